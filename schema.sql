@@ -9,6 +9,9 @@ CREATE TABLE IF NOT EXISTS users (
   pass_hash TEXT NOT NULL,
   role TEXT NOT NULL DEFAULT 'user',     -- 'user' | 'admin'
   alias_limit INTEGER NOT NULL DEFAULT 3,
+  pattern_limit INTEGER NOT NULL DEFAULT 1, -- pattern alias dihitung terpisah dari alias_limit
+  storage_quota_bytes INTEGER NOT NULL DEFAULT 104857600, -- 100 MB, 0 = tanpa batas
+  storage_policy TEXT NOT NULL DEFAULT 'reject',          -- 'reject' | 'purge_oldest'
   disabled INTEGER NOT NULL DEFAULT 0,
   created_at INTEGER NOT NULL
 );
@@ -33,7 +36,10 @@ CREATE TABLE IF NOT EXISTS aliases (
   local_part TEXT NOT NULL,             -- contoh: "sipar" untuk sipar@domain
   domain TEXT NOT NULL,                 -- contoh: "mazaya.codes"
   user_id TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'exact',   -- 'exact' | 'pattern' (local_part berisi satu "*")
   disabled INTEGER NOT NULL DEFAULT 0,
+  forward_keep INTEGER NOT NULL DEFAULT 1, -- 1 = forward + simpan di portal, 0 = forward saja
+  subaddressing INTEGER NOT NULL DEFAULT 1, -- 1 = local+tag@domain ikut masuk ke alias ini
   created_at INTEGER NOT NULL,
   PRIMARY KEY(local_part, domain),      -- kombinasi local_part + domain harus unik
   FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -52,6 +58,30 @@ CREATE TABLE IF NOT EXISTS emails (
   html TEXT,
   raw_key TEXT,                          -- key object di R2 (nullable)
   size INTEGER NOT NULL,
+  tag TEXT,                              -- "github" untuk local+github@domain
+  envelope_from TEXT,                    -- MAIL FROM (message.from)
+  auth_spf TEXT,                         -- pass | fail | softfail | neutral | none | ...
+  auth_dkim TEXT,
+  auth_dmarc TEXT,
+  from_mismatch INTEGER NOT NULL DEFAULT 0, -- 1 = domain envelope != domain header From
+  auth_suspicious INTEGER NOT NULL DEFAULT 0,
+  message_id TEXT,                       -- "<...>" dari header Message-ID
+  in_reply_to TEXT,
+  msg_references TEXT,                   -- header References apa adanya
+  thread_id TEXT,                        -- id email pertama di percakapan
+  from_name TEXT,
+  to_list TEXT,                          -- JSON [{name, address}]
+  cc_list TEXT,
+  bcc_list TEXT,
+  reply_to_list TEXT,
+  headers_json TEXT,                     -- JSON [{key, value}] semua header
+  folder TEXT NOT NULL DEFAULT 'inbox',  -- 'inbox' | 'archive' | 'trash' | 'spam'
+  read_at INTEGER,                       -- NULL = belum dibaca
+  otp_code TEXT,                         -- kode OTP yang terdeteksi saat ingest
+  verify_link TEXT,                      -- link verifikasi / magic link
+  starred INTEGER NOT NULL DEFAULT 0,
+  trashed_at INTEGER,                    -- kapan masuk Trash (buat auto-empty)
+  trashed_from TEXT,                     -- folder asal, dipakai saat restore
   created_at INTEGER NOT NULL,
   FOREIGN KEY(local_part, domain) REFERENCES aliases(local_part, domain) ON DELETE CASCADE,
   FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -59,3 +89,220 @@ CREATE TABLE IF NOT EXISTS emails (
 
 CREATE INDEX IF NOT EXISTS idx_emails_user_created ON emails(user_id, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_emails_alias_created ON emails(local_part, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id TEXT PRIMARY KEY,
+  email_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  filename TEXT,
+  mime_type TEXT,
+  size INTEGER NOT NULL,
+  content_id TEXT,                       -- tanpa <>, buat referensi cid:
+  disposition TEXT,                      -- 'attachment' | 'inline' | NULL
+  r2_key TEXT,                           -- key object di R2 (nullable kalau MAIL_R2 tidak ada)
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY(email_id) REFERENCES emails(id) ON DELETE CASCADE,
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_email ON attachments(email_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_user ON attachments(user_id);
+
+-- Alamat tujuan forward milik user; hanya dipakai setelah diverifikasi lewat link email
+CREATE TABLE IF NOT EXISTS forward_addresses (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  address TEXT NOT NULL,
+  verified_at INTEGER,
+  token_hash TEXT,
+  token_expires_at INTEGER,
+  created_at INTEGER NOT NULL,
+  UNIQUE(user_id, address),
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_forward_addresses_token ON forward_addresses(token_hash);
+
+CREATE TABLE IF NOT EXISTS alias_forwards (
+  local_part TEXT NOT NULL,
+  domain TEXT NOT NULL,
+  forward_id TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY(local_part, domain, forward_id),
+  FOREIGN KEY(local_part, domain) REFERENCES aliases(local_part, domain) ON DELETE CASCADE,
+  FOREIGN KEY(forward_id) REFERENCES forward_addresses(id) ON DELETE CASCADE
+);
+
+-- Setting global yang bisa diubah admin (key/value)
+CREATE TABLE IF NOT EXISTS settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+-- Aturan pengirim per alias, dicek di email() sebelum parse/simpan
+CREATE TABLE IF NOT EXISTS alias_rules (
+  id TEXT PRIMARY KEY,
+  local_part TEXT NOT NULL,
+  domain TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  action TEXT NOT NULL,                  -- 'allow' | 'block'
+  pattern TEXT NOT NULL,                 -- a@b.com | b.com | *@b.com
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY(local_part, domain) REFERENCES aliases(local_part, domain) ON DELETE CASCADE,
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_alias_rules_alias ON alias_rules(local_part, domain);
+
+-- Auto-reply (vacation) per alias; starts_at/ends_at unix detik, NULL = tanpa batas
+CREATE TABLE IF NOT EXISTS alias_autoreplies (
+  local_part TEXT NOT NULL,
+  domain TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  starts_at INTEGER,
+  ends_at INTEGER,
+  interval_days INTEGER NOT NULL DEFAULT 7, -- balas sekali per pengirim per N hari
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY(local_part, domain),
+  FOREIGN KEY(local_part, domain) REFERENCES aliases(local_part, domain) ON DELETE CASCADE,
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Pengirim yang sudah dibalas auto-reply (anti loop/spam)
+CREATE TABLE IF NOT EXISTS autoreply_log (
+  local_part TEXT NOT NULL,
+  domain TEXT NOT NULL,
+  sender TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  replied_at INTEGER NOT NULL,
+  PRIMARY KEY(local_part, domain, sender),
+  FOREIGN KEY(local_part, domain) REFERENCES aliases(local_part, domain) ON DELETE CASCADE
+);
+
+-- Webhook saat email baru masuk. user_id NULL = global (admin), local_part NULL = semua alias user
+CREATE TABLE IF NOT EXISTS webhooks (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  local_part TEXT,
+  domain TEXT,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,                  -- kunci HMAC-SHA256 untuk x-webhook-signature
+  disabled INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY(local_part, domain) REFERENCES aliases(local_part, domain) ON DELETE CASCADE,
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT NOT NULL,
+  email_id TEXT,                         -- NULL untuk event test
+  event TEXT NOT NULL,                   -- 'email.received' | 'test'
+  ok INTEGER NOT NULL,
+  status_code INTEGER,
+  attempts INTEGER NOT NULL,
+  error TEXT,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY(webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, created_at DESC);
+
+-- Aturan filter per user (/api/rules), dijalankan di email() setelah parse
+CREATE TABLE IF NOT EXISTS mail_rules (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  position INTEGER NOT NULL,             -- urutan eksekusi (kecil dulu)
+  enabled INTEGER NOT NULL DEFAULT 1,
+  match_all INTEGER NOT NULL DEFAULT 1,  -- 1 = semua kondisi, 0 = salah satu
+  conditions TEXT NOT NULL,              -- JSON [{field, op, value}]
+  actions TEXT NOT NULL,                 -- JSON [{type, value}]
+  stop INTEGER NOT NULL DEFAULT 0,       -- 1 = rule berikutnya tidak dicek
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_rules_user ON mail_rules(user_id, position);
+
+CREATE TABLE IF NOT EXISTS email_labels (
+  email_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  label TEXT NOT NULL,
+  PRIMARY KEY(email_id, label),
+  FOREIGN KEY(email_id) REFERENCES emails(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_labels_user ON email_labels(user_id, label);
+
+-- Pengirim yang gambar remote-nya selalu dimuat di viewer
+CREATE TABLE IF NOT EXISTS trusted_senders (
+  user_id TEXT NOT NULL,
+  sender TEXT NOT NULL,                 -- alamat from, lowercase
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY(user_id, sender),
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Full-text search; rowid sama dengan emails.rowid (diisi di email(), dihapus bareng emails)
+CREATE VIRTUAL TABLE IF NOT EXISTS emails_fts USING fts5(
+  email_id UNINDEXED,
+  subject,
+  sender,                                -- from_name + from_addr
+  recipients,                            -- to_addr + To/Cc
+  body,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Backfill email lama (aman dijalankan ulang)
+INSERT INTO emails_fts (rowid, email_id, subject, sender, recipients, body)
+SELECT rowid, id, COALESCE(subject, ''), COALESCE(from_addr, ''), COALESCE(to_addr, ''), COALESCE(text, '')
+FROM emails
+WHERE rowid NOT IN (SELECT rowid FROM emails_fts);
+
+-- Change log untuk delta sync (/api/sync); seq = cursor. Ref yang sudah tidak ada = terhapus
+CREATE TABLE IF NOT EXISTS change_log (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  kind TEXT NOT NULL,                    -- 'email' | 'alias'
+  ref TEXT NOT NULL,                     -- email id / local_part@domain
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_log_user ON change_log(user_id, seq);
+CREATE INDEX IF NOT EXISTS idx_change_log_created ON change_log(created_at);
+
+-- Export mailbox (mbox / zip .eml) ke R2; dibuat di background, diunduh lewat link bertanda tangan
+CREATE TABLE IF NOT EXISTS exports (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  local_part TEXT,                       -- NULL = seluruh akun
+  domain TEXT,
+  format TEXT NOT NULL,                  -- 'mbox' | 'zip'
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | running | done | error
+  attempts INTEGER NOT NULL DEFAULT 0,
+  r2_key TEXT,
+  upload_id TEXT,                        -- multipart upload yang sedang jalan
+  checkpoint TEXT,                       -- JSON progres export (lihat saveExportCheckpoint)
+  filename TEXT,
+  size INTEGER,
+  email_count INTEGER,
+  error TEXT,
+  created_at INTEGER NOT NULL,
+  started_at INTEGER,
+  finished_at INTEGER,
+  expires_at INTEGER,                    -- file R2 + baris ini dihapus cron setelahnya
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_exports_user ON exports(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_exports_status ON exports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_exports_expires ON exports(expires_at);
@@ -1,14 +1,35 @@
 // src/index.js
 import PostalMime from "postal-mime";
+import { EmailMessage } from "cloudflare:email";
 
 /**
  * Cloudflare Email Routing + Email Worker + Web Inbox
  * Features:
  * - Signup/Login/Logout
  * - Reset password via Resend (optional; but recommended)
- * - Mail (alias) management with per-user limit
+ * - Mail (alias) management with per-user limit (+ pattern aliases like sipar.*, own limit)
  * - Admin dashboard: list users, set mail limit, disable user, DELETE user
  * - Email handler: accept via catch-all, store if mail registered else reject
+ * - Attachments: metadata in D1, bytes in R2 (MAIL_R2), download per email
+ * - Per-alias forwarding to verified external addresses (message.forward)
+ * - Per-user storage quota (reject or auto-purge oldest when full)
+ * - Vacation auto-reply per alias (message.reply, once per sender per N days)
+ * - Conversation threading (Message-ID / In-Reply-To / References)
+ * - Full headers + To/Cc/Bcc/Reply-To address lists per email
+ * - Signed outgoing webhooks on new mail (HMAC-SHA256, retries, delivery log)
+ * - Per-user inbound rules engine (label, mark read, skip inbox, delete, forward, reject)
+ * - OTP code + verification/magic link extraction (EN + ID phrasing)
+ * - HTML sanitization on read + remote image / tracker blocking (per-sender trust)
+ * - Inline cid: images via short-lived signed URLs (works inside the sandboxed viewer)
+ * - Keyset pagination (before=<created_at,id>) + total/unread counts for inbox & admin list
+ * - Full-text search (FTS5) with from:/to:/subject:/alias:/after:/before: qualifiers
+ * - Read/unread + starred state, unread badge per alias
+ * - Folders (inbox/archive/trash/spam) + custom labels; delete = trash, auto-empty via cron
+ * - Bulk operations (POST /api/emails/bulk) by id list or filter, in one D1 batch
+ * - Unified "All mail" list across aliases, filterable by alias/domain set
+ * - Real-time new-mail push: Durable Object per user (MAIL_EVENTS) -> WebSocket /api/events
+ * - Delta sync (GET /api/sync?since=<cursor>) from a change log + ETag/304 on list endpoints
+ * - Mailbox export (one alias or whole account) as mbox / zip of .eml, built in background into R2
  */
 
 const encoder = new TextEncoder();
@@ -17,6 +38,78 @@ const encoder = new TextEncoder();
 const PBKDF2_MAX_ITERS = 100000; // Cloudflare Workers WebCrypto limit
 const PBKDF2_MIN_ITERS = 10000; // sensible floor
 
+// -------------------- Limits --------------------
+const MAX_FORWARD_ADDRESSES = 10; // alamat tujuan forward per user
+const MIN_PATTERN_LITERAL = 3; // pattern alias minimal 3 karakter selain "*"
+const MAX_ALIAS_RULES = 50; // aturan allow/block pengirim per alias
+// Kalau kuota storage penuh: tolak email baru, atau hapus email terlama dulu
+const STORAGE_POLICIES = ["reject", "purge_oldest"];
+const MAX_AUTOREPLY_SUBJECT = 200;
+const MAX_AUTOREPLY_BODY = 4000;
+const MAX_AUTOREPLY_INTERVAL_DAYS = 365;
+const MAX_THREADS = 50; // thread per halaman di /api/threads
+const MAX_STORED_HEADERS = 200;
+const MAX_HEADER_VALUE = 4000;
+const MAX_WEBHOOKS = 10; // per user (global milik admin dihitung terpisah)
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_DELIVERIES_KEPT = 100; // log delivery per webhook
+const MAX_MAIL_RULES = 50; // aturan filter per user (/api/rules)
+const MAX_RULE_CONDITIONS = 10;
+const MAX_RULE_ACTIONS = 10;
+const RULE_DRY_RUN_EMAILS = 50;
+const EMAIL_FOLDERS = ["inbox", "archive", "trash", "spam"];
+const MAX_LABELS_PER_EMAIL = 20;
+const MAX_LABEL_LENGTH = 40;
+const MAX_TRASH_RETENTION_DAYS = 3650;
+const MAX_BULK_IDS = 1000; // per request /api/emails/bulk
+const MAX_SCOPE_ENTRIES = 50; // aliases= + domains= di "All mail"
+const MAX_EVENT_SOCKETS = 20; // WebSocket /api/events per user (tab/perangkat)
+const MAX_SYNC_CHANGES = 500; // email + alias per response /api/sync
+const CHANGE_LOG_TTL_DAYS = 30; // cursor lebih tua dari ini -> reset (full resync)
+const EXPORT_FORMATS = ["mbox", "zip"];
+const MAX_EXPORT_EMAILS = 20000; // zip tanpa zip64: maks 65535 entry
+const EXPORT_TTL_DAYS = 7; // file export di R2 dihapus cron setelah ini
+const EXPORT_URL_TTL = 3600; // link download bertanda tangan
+const EXPORT_RETRY_AFTER = 600; // pending/running lebih lama dari ini dilanjutkan cron
+const MAX_EXPORT_ATTEMPTS = 3; // percobaan gagal berturut-turut (checkpoint yang tersimpan me-reset hitungan)
+const EXPORT_BATCH_EMAILS = 500; // email per invocation; sisanya dilanjutkan cron dari checkpoint
+const EXPORT_PART_SIZE = 8 * 1024 * 1024; // R2 multipart: minimal 5 MiB per part
+const EXPORT_CRON = "* * * * *"; // cron yang cuma mengurus export (lihat wrangler.toml)
+const BULK_ACTIONS = ["delete", "restore", "read", "unread", "star", "unstar", "move", "label", "unlabel"];
+const MAX_SEARCH_RESULTS = 50;
+const MAX_SEARCH_QUERY = 500;
+const MAX_SEARCH_BODY = 100000; // teks body yang diindeks per email
+
+// -------------------- Query fragments --------------------
+// Kolom untuk list inbox (tanpa text/html penuh)
+const EMAIL_LIST_COLUMNS = `id, local_part, from_addr, from_name, to_addr, subject, date, tag, created_at,
+  auth_spf, auth_dkim, auth_dmarc, from_mismatch, auth_suspicious, COALESCE(thread_id, id) as thread_id,
+  folder, read_at, starred, (SELECT group_concat(label, ',') FROM email_labels l WHERE l.email_id = emails.id) as labels,
+  otp_code, verify_link,
+  substr(COALESCE(text,''), 1, 180) as snippet`;
+
+const PAGE_LIMIT_DEFAULT = 50;
+const PAGE_LIMIT_MAX = 200;
+
+// Cursor keyset "<created_at>,<id>" (urut created_at DESC, id DESC)
+function parseCursor(v) {
+  const m = /^(\d+),(.+)$/.exec(String(v || "").trim());
+  return m ? { t: Number(m[1]), id: m[2] } : null;
+}
+
+function cursorOf(row) {
+  return `${row.created_at},${row.id}`;
+}
+
+// Ambil limit+1 baris lalu potong; baris ekstra cuma penanda masih ada halaman berikutnya
+function pageOf(rows, limit) {
+  const list = rows.results || [];
+  const more = list.length > limit;
+  const page = more ? list.slice(0, limit) : list;
+  return { rows: page, next_cursor: more ? cursorOf(page[page.length - 1]) : null };
+}
+
 let USERS_HAS_PASS_ITERS = null;
 let ALIASES_HAS_DOMAIN = null;
 let EMAILS_HAS_DOMAIN = null;
@@ -61,6 +154,29 @@ function notFound() {
   return json({ ok: false, error: "Not found" }, 404);
 }
 
+// Binary download (attachment/raw). Always served as a download with a sandbox CSP
+// so an HTML/SVG part can never run on the portal origin.
+function download(body, contentType, filename, headers = {}) {
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "content-type": contentType || "application/octet-stream",
+      "content-disposition": contentDisposition("attachment", filename),
+      "content-security-policy": "sandbox",
+      "cache-control": "private, no-store",
+      "x-content-type-options": "nosniff",
+      "referrer-policy": "no-referrer",
+      ...headers,
+    },
+  });
+}
+
+function contentDisposition(type, filename) {
+  const name = String(filename || "download").replace(/[\r\n"\\]/g, "_");
+  const ascii = name.replace(/[^\x20-\x7e]/g, "_");
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
 // -------------------- Utils --------------------
 function safeInt(v, fallback) {
   const n = Number(v);
@@ -100,6 +216,18 @@ async function sha256Base64Url(inputBytes) {
   return base64Url(new Uint8Array(digest));
 }
 
+async function hmacSha256Hex(secret, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", key, encoder.encode(message)));
+  return Array.from(sig, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
 async function pbkdf2HashBase64Url(password, saltBytes, iterations) {
   const it = safeInt(iterations, 0);
   if (it > PBKDF2_MAX_ITERS) {
@@ -161,6 +289,44 @@ function validLocalPart(local) {
   return /^[a-z0-9][a-z0-9._+-]{0,63}$/.test(local);
 }
 
+// Pattern alias: satu "*" (minimal 1 karakter), contoh "sipar.*" atau "*-shop"
+function validPattern(local) {
+  if (!/^[a-z0-9._-]*\*[a-z0-9._-]*$/.test(local) || local.length > 64) return false;
+  return local.length - 1 >= MIN_PATTERN_LITERAL;
+}
+
+function validAliasName(local) {
+  return validLocalPart(local) || validPattern(local);
+}
+
+// return bagian yang ditangkap "*", atau null kalau tidak match
+function matchPattern(pattern, local) {
+  const star = pattern.indexOf("*");
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+  if (local.length <= prefix.length + suffix.length) return null;
+  if (!local.startsWith(prefix) || !local.endsWith(suffix)) return null;
+  return local.slice(prefix.length, local.length - suffix.length);
+}
+
+// Dua pattern tumpang-tindih kalau ada alamat yang match keduanya:
+// prefix salah satu diawali prefix yang lain, dan suffix-nya juga begitu.
+function patternsOverlap(a, b) {
+  const [pa, sa] = a.split("*");
+  const [pb, sb] = b.split("*");
+  return (pa.startsWith(pb) || pb.startsWith(pa)) && (sa.endsWith(sb) || sb.endsWith(sa));
+}
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (m) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[m]);
+}
+
 async function usersHasPassIters(env) {
   if (USERS_HAS_PASS_ITERS !== null) return USERS_HAS_PASS_ITERS;
   try {
@@ -194,6 +360,78 @@ async function emailsHasDomain(env) {
   return EMAILS_HAS_DOMAIN;
 }
 
+// Kolom baru di tabel lama. schema.sql cuma CREATE TABLE IF NOT EXISTS, jadi DB yang
+// sudah jalan tidak otomatis dapat kolom ini; ditambahkan sekali per isolate di sini.
+const COLUMN_UPGRADES = [
+  ["aliases", "forward_keep", "INTEGER NOT NULL DEFAULT 1"],
+  ["aliases", "subaddressing", "INTEGER NOT NULL DEFAULT 1"],
+  ["aliases", "kind", "TEXT NOT NULL DEFAULT 'exact'"],
+  ["users", "pattern_limit", "INTEGER NOT NULL DEFAULT 1"],
+  ["users", "storage_quota_bytes", "INTEGER NOT NULL DEFAULT 104857600"],
+  ["users", "storage_policy", "TEXT NOT NULL DEFAULT 'reject'"],
+  ["emails", "tag", "TEXT"],
+  ["emails", "envelope_from", "TEXT"],
+  ["emails", "auth_spf", "TEXT"],
+  ["emails", "auth_dkim", "TEXT"],
+  ["emails", "auth_dmarc", "TEXT"],
+  ["emails", "from_mismatch", "INTEGER NOT NULL DEFAULT 0"],
+  ["emails", "auth_suspicious", "INTEGER NOT NULL DEFAULT 0"],
+  ["emails", "message_id", "TEXT"],
+  ["emails", "in_reply_to", "TEXT"],
+  ["emails", "msg_references", "TEXT"],
+  ["emails", "thread_id", "TEXT"],
+  ["emails", "from_name", "TEXT"],
+  ["emails", "to_list", "TEXT"],
+  ["emails", "cc_list", "TEXT"],
+  ["emails", "bcc_list", "TEXT"],
+  ["emails", "reply_to_list", "TEXT"],
+  ["emails", "headers_json", "TEXT"],
+  ["emails", "folder", "TEXT NOT NULL DEFAULT 'inbox'"],
+  ["emails", "read_at", "INTEGER"],
+  ["emails", "otp_code", "TEXT"],
+  ["emails", "verify_link", "TEXT"],
+  ["emails", "starred", "INTEGER NOT NULL DEFAULT 0"],
+  ["emails", "trashed_at", "INTEGER"],
+  ["emails", "trashed_from", "TEXT"],
+];
+// Index untuk kolom di atas tidak bisa ditaruh di schema.sql (kolomnya belum ada di DB lama)
+const INDEX_UPGRADES = [
+  `CREATE INDEX IF NOT EXISTS idx_emails_message_id ON emails(user_id, message_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_emails_thread ON emails(user_id, thread_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_emails_unread ON emails(user_id, local_part) WHERE read_at IS NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_emails_trash ON emails(trashed_at) WHERE folder = 'trash'`,
+];
+let COLUMNS_UPGRADED = null;
+
+async function upgradeColumns(env) {
+  const tables = [...new Set(COLUMN_UPGRADES.map(([t]) => t))];
+  for (const table of tables) {
+    const res = await env.DB.prepare(`PRAGMA table_info(${table})`).all();
+    const have = new Set((res.results || []).map((r) => r?.name));
+    if (have.size === 0) continue;
+    for (const [t, col, def] of COLUMN_UPGRADES) {
+      if (t !== table || have.has(col)) continue;
+      try {
+        await env.DB.prepare(`ALTER TABLE ${table} ADD COLUMN ${col} ${def}`).run();
+      } catch (e) {
+        // isolate lain mungkin barusan menambahkan kolom yang sama
+        if (!String(e && e.message ? e.message : e).includes("duplicate column")) throw e;
+      }
+    }
+  }
+  for (const sql of INDEX_UPGRADES) await env.DB.prepare(sql).run();
+}
+
+async function ensureColumns(env) {
+  if (!COLUMNS_UPGRADED) {
+    COLUMNS_UPGRADED = upgradeColumns(env).catch((e) => {
+      COLUMNS_UPGRADED = null;
+      console.log("column upgrade error:", e && e.message ? e.message : e);
+    });
+  }
+  return COLUMNS_UPGRADED;
+}
+
 function getAllowedDomains(env) {
   const domainsStr = env.ALLOWED_DOMAINS || env.DOMAIN || "";
   return domainsStr
@@ -202,6 +440,37 @@ function getAllowedDomains(env) {
     .filter((d) => d.length > 0);
 }
 
+// Setting global yang bisa diubah admin dari UI (tabel settings, key/value string)
+const SETTING_DEFAULTS = {
+  allow_pattern_overlap: "0",
+  trash_retention_days: "30", // 0 = Trash tidak dikosongkan otomatis
+};
+
+async function getSettings(env) {
+  const out = { ...SETTING_DEFAULTS };
+  try {
+    const res = await env.DB.prepare(`SELECT key, value FROM settings`).all();
+    for (const r of res.results || []) {
+      if (r.key in SETTING_DEFAULTS) out[r.key] = r.value;
+    }
+  } catch { }
+  return out;
+}
+
+// Key HMAC internal buat URL bertanda tangan (inline image). Dibuat sekali lalu disimpan
+// di tabel settings; sengaja bukan bagian SETTING_DEFAULTS supaya tidak pernah terekspos.
+let URL_SIGNING_KEY = null;
+
+async function getUrlSigningKey(env) {
+  if (URL_SIGNING_KEY) return URL_SIGNING_KEY;
+  await env.DB.prepare(`INSERT OR IGNORE INTO settings (key, value, updated_at) VALUES ('url_signing_key', ?, ?)`)
+    .bind(base64Url(crypto.getRandomValues(new Uint8Array(32))), nowSec())
+    .run();
+  const row = await env.DB.prepare(`SELECT value FROM settings WHERE key = 'url_signing_key'`).first();
+  URL_SIGNING_KEY = row.value;
+  return URL_SIGNING_KEY;
+}
+
 
 // -------------------- UI: Brand + Template --------------------
 const LOGO_SVG = `
@@ -462,6 +731,7 @@ function pageTemplate(title, body, extraHead = "") {
     }
     .mailSubject{font-weight:900; font-size:14.5px}
     .mailMeta{color:var(--muted); font-size:12.5px; margin-top:4px; line-height:1.35}
+    mark{background:rgba(250,204,21,.35); color:inherit; border-radius:3px; padding:0 2px}
     .mailSnippet{
       color: rgba(238,242,255,.92);
       font-size: 13.5px;
@@ -504,6 +774,107 @@ function pageTemplate(title, body, extraHead = "") {
 
     .hr{border:0;border-top:1px solid var(--border);margin:12px 0}
 
+    /* Sender authentication warning */
+    .authWarn{
+      padding:2px 8px;
+      color:#fde68a;
+      border-color: rgba(245,158,11,.55);
+      background: rgba(245,158,11,.14);
+    }
+    .authBox{
+      margin-top:10px;
+      padding:10px 12px;
+      border-radius:12px;
+      border:1px solid rgba(245,158,11,.55);
+      background: rgba(245,158,11,.12);
+      color:#fde68a;
+      font-size:13px;
+      line-height:1.5;
+    }
+    .remoteBox{
+      margin-top:10px;
+      padding:10px 12px;
+      border-radius:12px;
+      border:1px solid rgba(96,165,250,.45);
+      background: rgba(96,165,250,.10);
+      font-size:13px;
+      line-height:1.5;
+    }
+
+    /* OTP / link chip di list */
+    .chip{
+      display:inline-flex;
+      align-items:center;
+      gap:6px;
+      padding:4px 10px;
+      border-radius:999px;
+      border:1px solid rgba(16,185,129,.45);
+      background:rgba(16,185,129,.12);
+      color:var(--text);
+      font-family:ui-monospace,monospace;
+      font-size:12.5px;
+      font-weight:700;
+      text-decoration:none;
+      cursor:pointer;
+    }
+
+    /* Header email (detail) */
+    .hdrTable{
+      width:100%;
+      border-collapse:collapse;
+      font-family:ui-monospace,monospace;
+      font-size:12px;
+    }
+    .hdrTable td{
+      padding:3px 6px;
+      vertical-align:top;
+      border-bottom:1px solid rgba(15,23,42,.08);
+      word-break:break-all;
+    }
+    .hdrTable td:first-child{
+      white-space:nowrap;
+      font-weight:700;
+      word-break:normal;
+    }
+
+    /* Storage meter */
+    .meter{
+      height:6px;
+      background:rgba(255,255,255,.06);
+      border:1px solid var(--border);
+      border-radius:999px;
+      overflow:hidden;
+    }
+    .meter > div{
+      height:100%;
+      background:var(--brand);
+    }
+    .meter.full > div{
+      background:var(--danger);
+    }
+
+    /* Attachments */
+    .attItem{
+      display:flex;
+      align-items:center;
+      gap:10px;
+      padding:10px 12px;
+      border:1px solid var(--border);
+      border-radius:12px;
+      background: rgba(255,255,255,.03);
+      margin-bottom:8px;
+    }
+    .attDownload{
+      padding:8px 12px;
+      border-radius:12px;
+      border:1px solid var(--border);
+      background: rgba(59,130,246,.15);
+      color:var(--text);
+      font-size:13px;
+      white-space:nowrap;
+    }
+    .attDownload:hover{text-decoration:none;background: rgba(59,130,246,.22)}
+
     /* Checkbox styling */
     .emailCheckbox{
       width:20px;
@@ -519,6 +890,9 @@ function pageTemplate(title, body, extraHead = "") {
       accent-color: var(--brand);
       margin-right:8px;
     }
+    .mailItem.unread{border-left:3px solid var(--brand)}
+    .mailItem.unread .mailSubject::before{content:"● "; color:var(--brand)}
+    .starBtn{padding:4px 8px; background:transparent; border:none; font-size:16px; line-height:1; cursor:pointer}
     .mailItem.selected{
       background: rgba(59,130,246,.12);
       border-color: rgba(59,130,246,.45);
@@ -870,6 +1244,65 @@ const PAGES = {
     );
   },
 
+  forwardVerify() {
+    return pageTemplate(
+      "Konfirmasi Forward",
+      `
+      ${headerHtml({
+        badge: "Forward",
+        subtitle: "Konfirmasi alamat tujuan forward",
+        rightHtml: `<a class="pill" href="/login">Login</a>`,
+      })}
+
+      <div class="card">
+        <div class="muted">Dengan konfirmasi, email dari alias portal boleh diteruskan ke alamat ini.</div>
+        <div style="margin-top:12px">
+          <label>Token</label>
+          <input id="t" placeholder="token dari email" />
+        </div>
+        <div style="margin-top:12px">
+          <button class="btn-primary" onclick="confirmForward()">Konfirmasi</button>
+        </div>
+        <pre id="out" class="muted"></pre>
+      </div>
+
+      <script>
+        async function readJsonOrText(r){
+          try { return await r.json(); }
+          catch {
+            const t = await r.text().catch(()=> '');
+            return { ok:false, error: 'Server returned non-JSON ('+r.status+'). ' + (t ? t.slice(0,200) : '') };
+          }
+        }
+
+        // autofill token from #token=...
+        (function(){
+          try{
+            const h = location.hash || '';
+            const m = h.match(/token=([^&]+)/);
+            if(m && m[1]){
+              document.getElementById('t').value = decodeURIComponent(m[1]);
+            }
+          }catch{}
+        })();
+
+        async function confirmForward(){
+          const token = document.getElementById('t').value.trim();
+          const out = document.getElementById('out');
+          out.textContent = '...';
+          const r = await fetch('/api/forwards/verify',{
+            method:'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({token})
+          });
+          const j = await readJsonOrText(r);
+          out.textContent = j.ok ? 'Alamat '+j.address+' terverifikasi.' : (j.error || 'gagal');
+        }
+      </script>
+      `
+    );
+  },
+
   app(domains) {
     const domainOptions = domains.map(d => `<option value="${d}">${d}</option>`).join('');
 
@@ -895,7 +1328,7 @@ const PAGES = {
             <div class="muted">Buat mail baru</div>
             <div style="margin-top:10px">
               <div style="display:grid;grid-template-columns:1fr auto;gap:10px;margin-bottom:10px">
-                <input id="alias" placeholder="contoh: sipar" />
+                <input id="alias" placeholder="contoh: sipar atau pattern sipar.*" />
                 <button class="btn-primary" onclick="createAlias()">Create</button>
               </div>
               <select id="domainSelect" style="width:100%">
@@ -910,11 +1343,81 @@ const PAGES = {
       <div class="card">
         <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap">
           <b>Mail</b>
-          <span class="muted" id="limitInfo"></span>
+          <span style="display:flex;gap:10px;align-items:center">
+            <span class="muted" id="limitInfo"></span>
+            <button class="btn-ghost" id="allMailBtn" onclick="selectAllMail()">All mail</button>
+          </span>
         </div>
+        <div id="allMailBox" style="display:none;margin-top:10px"></div>
         <div id="aliases" style="margin-top:10px"></div>
       </div>
 
+      <div class="card">
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap">
+          <b>Cari Email</b>
+          <span class="muted" style="font-size:12.5px">from: to: subject: alias: after:/before:YYYY-MM-DD, "frasa", -kata</span>
+        </div>
+        <div style="display:grid;grid-template-columns:1fr auto;gap:10px;margin-top:10px">
+          <input id="searchQ" placeholder="contoh: invoice from:tokopedia after:2026-01-01" onkeydown="if(event.key==='Enter') searchMail()" />
+          <button class="btn-primary" onclick="searchMail()">Cari</button>
+        </div>
+        <div id="searchResults" style="margin-top:10px"></div>
+      </div>
+
+      <div class="card">
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap">
+          <b>Alamat Forward</b>
+          <span class="muted" style="font-size:12.5px">Harus dikonfirmasi lewat email sebelum dipakai</span>
+        </div>
+        <div style="display:grid;grid-template-columns:1fr auto;gap:10px;margin-top:10px">
+          <input id="fwdAddr" placeholder="contoh: sipar@gmail.com" />
+          <button class="btn-primary" onclick="addForward()">Tambah</button>
+        </div>
+        <div id="fwdMsg" class="muted" style="margin-top:8px"></div>
+        <div id="forwards" style="margin-top:10px"></div>
+      </div>
+
+      <div class="card">
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap">
+          <b>Aturan Email</b>
+          <button class="btn-ghost" onclick="editMailRule(null)">+ Rule baru</button>
+        </div>
+        <div class="muted" style="font-size:12.5px;margin-top:6px">Dicek berurutan dari atas untuk setiap email yang masuk (label, tandai dibaca, lewati inbox, hapus, forward, tolak).</div>
+        <div id="mailRules" style="margin-top:10px"></div>
+        <div id="ruleEditor" style="display:none;margin-top:10px"></div>
+      </div>
+
+      <div class="card">
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap">
+          <b>Webhooks</b>
+          <span class="muted" style="font-size:12.5px">POST JSON tiap email baru, ditandatangani HMAC-SHA256 (x-webhook-signature)</span>
+        </div>
+        <div style="display:grid;grid-template-columns:1fr auto auto;gap:10px;margin-top:10px">
+          <input id="hookUrl" placeholder="https://example.com/hooks/mail" />
+          <select id="hookScope" style="width:auto"></select>
+          <button class="btn-primary" onclick="addWebhook()">Tambah</button>
+        </div>
+        <div id="hookMsg" class="muted" style="margin-top:8px;word-break:break-all"></div>
+        <div id="webhooks" style="margin-top:10px"></div>
+      </div>
+
+      <div class="card">
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap">
+          <b>Export</b>
+          <span class="muted" style="font-size:12.5px">Arsipkan mail sebelum dihapus: mbox atau zip berisi .eml, link download berlaku terbatas</span>
+        </div>
+        <div style="display:grid;grid-template-columns:1fr auto auto;gap:10px;margin-top:10px">
+          <select id="exportScope"></select>
+          <select id="exportFormat" style="width:auto">
+            <option value="mbox">mbox</option>
+            <option value="zip">zip (.eml)</option>
+          </select>
+          <button class="btn-primary" onclick="startExport()">Export</button>
+        </div>
+        <div id="exportMsg" class="muted" style="margin-top:8px"></div>
+        <div id="exports" style="margin-top:10px"></div>
+      </div>
+
       <div class="card" id="emailView" style="display:none"></div>
 
       <script>
@@ -927,7 +1430,29 @@ const PAGES = {
         let ME=null;
         let SELECTED=null;
         let AUTO_REFRESH_INTERVAL=null;
+        let EVENTS_LIVE=false;
+        let EVENTS_OPENED=false;
+        let EVENTS_RETRY=1000;
+        let EVENTS_PING=null;
         let SELECTED_EMAILS=[];
+        let ALIASES=[];
+        let FORWARDS=[];
+        let TAG_FILTER='';
+        let LABEL_FILTER='';
+        const FOLDER_NAMES = {inbox:'Inbox', archive:'Arsip', trash:'Trash', spam:'Spam'};
+        let THREAD_VIEW=false;
+        let OPEN_THREADS=[];
+        let FOLDER='inbox';
+        // halaman-halaman inbox yang sudah dimuat (keyset cursor dari server)
+        let EMAIL_LIST=[];
+        let EMAIL_LIST_KEY='';
+        let NEXT_CURSOR=null;
+        let MAIL_RULES=[];
+        let RULE_EDIT_ID=null;
+        let EXPORT_POLL=null;
+        // SELECTED==='*' = "All mail"; filter opsional per alias / domain
+        let ALL_FILTER={aliases:[], domains:[]};
+        let ALL_FILTER_OPEN=false;
 
         function esc(s){return (s||'').replace(/[&<>"']/g, m=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[m]));}
 
@@ -974,11 +1499,22 @@ const PAGES = {
           ME=j.user;
           document.getElementById('me').innerHTML =
             '<div><b>'+esc(ME.username)+'</b> <span class="muted">('+esc(ME.email)+')</span></div>'+
-            '<div class="muted" style="margin-top:4px">role: '+esc(ME.role)+'</div>';
-          document.getElementById('limitInfo').textContent = 'limit: '+ME.alias_limit;
+            '<div class="muted" style="margin-top:4px">role: '+esc(ME.role)+'</div>'+
+            storageMeter(ME);
+          document.getElementById('limitInfo').textContent = 'limit: '+ME.alias_limit+' • pattern: '+(ME.pattern_limit||0);
           if(ME.role==='admin') document.getElementById('adminLink').style.display='inline-flex';
         }
 
+        function storageMeter(u){
+          const used = Number(u.storage_used)||0;
+          const quota = Number(u.storage_quota_bytes)||0;
+          if(!quota) return '<div class="muted" style="margin-top:6px;font-size:12.5px">Storage: '+fmtSize(used)+' (tanpa batas)</div>';
+          const pct = Math.min(100, Math.round(used/quota*100));
+          return '<div class="muted" style="margin-top:6px;font-size:12.5px">Storage: '+fmtSize(used)+' of '+fmtSize(quota)+' used'+
+              (u.storage_policy==='purge_oldest' ? ' • email terlama (kecuali berbintang) dihapus otomatis jika penuh' : '')+'</div>'+
+            '<div class="meter'+(pct>=90?' full':'')+'" style="margin-top:4px"><div style="width:'+pct+'%"></div></div>';
+        }
+
         async function loadAliases(){
           const j = await api('/api/aliases');
           console.log('loadAliases response:', j); // DEBUG
@@ -992,6 +1528,7 @@ const PAGES = {
           box.style.visibility='visible';
           box.style.minHeight='40px';
           
+          ALIASES = j.aliases;
           if(j.aliases.length===0){
             box.innerHTML='<div class="muted">Belum ada mail.</div>';
             return;
@@ -1013,9 +1550,29 @@ const PAGES = {
                     (isOpen?'Close':'Open')+
                   '</button>'+
                   '<span style="flex:1"><b>'+esc(addr)+'</b></span>'+
+                  '<span class="pill" id="unread_'+inboxId+'" style="display:'+(a.unread?'inline-flex':'none')+'">'+a.unread+' baru</span>'+
+                  (a.kind==='pattern'?'<span class="pill">pattern</span>':'')+
+                  (a.autoreply?'<span class="pill">auto-reply</span>':'')+
                   (a.disabled?'<span class="pill">disabled</span>':'')+
                 '</div>'+
-                '<div style="width:100%"><button onclick="delAlias(\\''+a.local_part+'\\',\\''+a.domain+'\\')" class="danger" style="width:100%">Delete</button></div>'+
+                (a.subaddressing!==undefined && a.kind!=='pattern' ?
+                  '<label style="display:flex;gap:8px;align-items:center;margin:0;font-size:12.5px">'+
+                    '<input type="checkbox" style="width:auto" '+(a.subaddressing?'checked ':'')+
+                      'onchange="setSubaddressing(\\''+a.local_part+'\\',\\''+a.domain+'\\',this.checked)" />'+
+                    'Terima '+esc(a.local_part)+'+tag@'+esc(a.domain)+'</label>' : '')+
+                (a.forwards && a.forwards.length ?
+                  '<div class="muted" style="font-size:12.5px">→ '+esc(a.forwards.map(f=>f.address).join(', '))+
+                    (a.forward_keep===0?' (tanpa simpan)':'')+'</div>' : '')+
+                '<div style="width:100%;display:grid;grid-template-columns:repeat(auto-fit,minmax(90px,1fr));gap:10px">'+
+                  '<button class="btn-ghost" onclick="toggleForwardPanel(\\''+a.local_part+'\\',\\''+a.domain+'\\')">Forward</button>'+
+                  '<button class="btn-ghost" onclick="toggleRulesPanel(\\''+a.local_part+'\\',\\''+a.domain+'\\')">Rules</button>'+
+                  '<button class="btn-ghost" onclick="toggleAutoReplyPanel(\\''+a.local_part+'\\',\\''+a.domain+'\\')">Auto-reply</button>'+
+                  '<button class="btn-ghost" onclick="startExport(\\''+a.local_part+'@'+a.domain+'\\')">Export</button>'+
+                  '<button onclick="delAlias(\\''+a.local_part+'\\',\\''+a.domain+'\\')" class="danger">Delete</button>'+
+                '</div>'+
+                '<div id="fwd_'+inboxId+'" style="display:none;width:100%"></div>'+
+                '<div id="rules_'+inboxId+'" style="display:none;width:100%"></div>'+
+                '<div id="ar_'+inboxId+'" style="display:none;width:100%"></div>'+
               '</div>'+
               '<div id="'+inboxId+'" style="display:'+(isOpen?'block':'none')+';margin-top:10px;padding-left:10px"></div>'+
             '</div>';
@@ -1024,42 +1581,783 @@ const PAGES = {
           }
           
           box.innerHTML = html;
+          fillExportScopes();
+
+          const allBox = document.getElementById('allMailBox');
+          allBox.style.display = SELECTED==='*' ? 'block' : 'none';
+          if(SELECTED!=='*') allBox.innerHTML = '';
+          document.getElementById('allMailBtn').textContent = SELECTED==='*' ? 'Close All mail' : 'All mail';
           
           if(SELECTED){ await loadEmails(); }
         }
 
-        async function selectAlias(local, domain){
-          const key = local+'@'+domain;
-          const wasSelected = SELECTED===key;
-          
-          if(wasSelected){
-            SELECTED=null;
-            stopAutoRefresh();
-          } else {
-            SELECTED=key;
-            startAutoRefresh();
+        // update badge unread tanpa render ulang list alias
+        async function updateUnreadBadges(){
+          const j = await api('/api/aliases').catch(()=>null);
+          if(!j || !j.ok) return;
+          for(const a of j.aliases){
+            const el = document.getElementById('unread_'+inboxDomId(a.local_part, a.domain));
+            if(!el) continue;
+            el.textContent = a.unread+' baru';
+            el.style.display = a.unread ? 'inline-flex' : 'none';
           }
-          
+        }
+
+        async function setEmailFlags(id, patch){
+          const j = await api('/api/emails/'+encodeURIComponent(id), {
+            method:'PATCH',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify(patch)
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return null; }
+          const m = EMAIL_LIST.find(x => x.id === id);
+          if(m){ m.read_at = j.read_at; m.starred = j.starred; }
+          await loadEmails();
+          await updateUnreadBadges();
+          return j;
+        }
+
+        // tombol star di viewer; state terakhir disimpan di data-starred
+        async function toggleStar(btn, id){
+          const j = await setEmailFlags(id, {starred: btn.getAttribute('data-starred') !== '1'});
+          if(!j) return;
+          btn.setAttribute('data-starred', j.starred ? '1' : '0');
+          btn.textContent = j.starred ? '★ Starred' : '☆ Star';
+        }
+
+        async function markUnread(id){
+          await setEmailFlags(id, {read: false});
+          document.getElementById('emailView').style.display='none';
+        }
+
+        async function loadForwards(){
+          const j = await api('/api/forwards');
+          if(!j.ok) return;
+          FORWARDS = j.forwards;
+          const box = document.getElementById('forwards');
+          if(FORWARDS.length===0){
+            box.innerHTML='<div class="muted">Belum ada alamat forward.</div>';
+            return;
+          }
+          let html='';
+          for(const f of FORWARDS){
+            html += '<div class="listItem">'+
+              '<div style="flex:1;min-width:0"><b style="word-break:break-all">'+esc(f.address)+'</b> '+
+                (f.verified_at ? '<span class="pill">verified</span>' : '<span class="pill">menunggu konfirmasi</span>')+
+              '</div>'+
+              '<div style="display:flex;gap:8px">'+
+                (f.verified_at ? '' : '<button class="btn-ghost" onclick="resendForward(\\''+f.id+'\\')">Kirim ulang</button>')+
+                '<button class="danger" onclick="delForward(\\''+f.id+'\\')">Hapus</button>'+
+              '</div>'+
+            '</div>';
+          }
+          box.innerHTML = html;
+        }
+
+        async function addForward(){
+          const address = document.getElementById('fwdAddr').value.trim().toLowerCase();
+          const msg = document.getElementById('fwdMsg');
+          msg.textContent='...';
+          const j = await api('/api/forwards', {
+            method:'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({address})
+          });
+          msg.textContent = j.ok ? (j.verified ? 'Alamat sudah terverifikasi.' : 'Link konfirmasi dikirim ke '+address+'.') : (j.error||'gagal');
+          if(j.ok){
+            document.getElementById('fwdAddr').value='';
+            await loadForwards();
+          }
+        }
+
+        async function resendForward(id){
+          const f = FORWARDS.find(x=>x.id===id);
+          if(!f) return;
+          document.getElementById('fwdAddr').value = f.address;
+          await addForward();
+        }
+
+        async function delForward(id){
+          if(!confirm('Hapus alamat forward ini? Semua mail yang memakainya berhenti diteruskan.')) return;
+          const j = await api('/api/forwards/'+encodeURIComponent(id), {method:'DELETE'});
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await loadForwards();
           await loadAliases();
-          
-          if(!wasSelected){
-            const inbox = document.getElementById('inbox_'+local+'_'+domain.replace(/\./g,'_'));
-            if(inbox) inbox.scrollIntoView({behavior:'smooth', block:'nearest'});
+        }
+
+        const RULE_FIELDS = {from:'Dari', to:'Ke', subject:'Subject', body:'Isi', has_attachment:'Ada attachment', size:'Ukuran'};
+        const RULE_OPS = {contains:'mengandung', not_contains:'tidak mengandung', equals:'sama dengan', starts_with:'diawali', ends_with:'diakhiri'};
+        const RULE_ACTION_NAMES = {label:'Beri label', mark_read:'Tandai dibaca', skip_inbox:'Lewati inbox (arsip)', delete:'Hapus', forward:'Forward ke', reject:'Tolak'};
+
+        function optionsHtml(map, selected){
+          let html='';
+          for(const k in map) html += '<option value="'+k+'"'+(k===selected?' selected':'')+'>'+esc(map[k])+'</option>';
+          return html;
+        }
+
+        function condRowHtml(c){
+          const field = c.field || 'from';
+          let opHtml, valHtml;
+          if(field==='has_attachment'){
+            opHtml = '<select class="reOp" style="width:auto"><option value="is">adalah</option></select>';
+            valHtml = '<select class="reValue"><option value="true">ya</option><option value="false"'+(c.value===false?' selected':'')+'>tidak</option></select>';
+          } else if(field==='size'){
+            opHtml = '<select class="reOp" style="width:auto">'+optionsHtml({gt:'lebih dari', lt:'kurang dari'}, c.op)+'</select>';
+            valHtml = '<input class="reValue" type="number" min="0" placeholder="KB" value="'+(c.value!==undefined ? Math.round(c.value/1024) : '')+'" />';
+          } else {
+            opHtml = '<select class="reOp" style="width:auto">'+optionsHtml(RULE_OPS, c.op)+'</select>';
+            valHtml = '<input class="reValue" placeholder="newsletter" value="'+esc(c.value||'')+'" />';
           }
+          return '<div class="reCond" style="display:grid;grid-template-columns:auto auto 1fr auto;gap:8px;margin-bottom:6px">'+
+            '<select class="reField" style="width:auto" onchange="ruleRowChanged(this, \\'cond\\')">'+optionsHtml(RULE_FIELDS, field)+'</select>'+
+            opHtml+valHtml+
+            '<button class="btn-ghost" onclick="this.parentNode.remove()">✕</button>'+
+          '</div>';
         }
 
-        async function loadEmails(silent=false){
-          console.log('📧 === loadEmails START ===');
-          console.log('📧 SELECTED:', SELECTED);
-          if(!SELECTED) {
-            console.log('⚠️ No SELECTED alias!');
+        function actRowHtml(a){
+          const type = a.type || 'label';
+          let valHtml = '<span></span>';
+          if(type==='label') valHtml = '<input class="reVal" placeholder="newsletter" value="'+esc(a.value||'')+'" />';
+          if(type==='reject') valHtml = '<input class="reVal" placeholder="Pesan penolakan (opsional)" value="'+esc(a.value||'')+'" />';
+          if(type==='forward'){
+            const verified = FORWARDS.filter(f=>f.verified_at);
+            valHtml = verified.length ?
+              '<select class="reVal">'+verified.map(f=>'<option value="'+esc(f.id)+'"'+(f.id===a.value?' selected':'')+'>'+esc(f.address)+'</option>').join('')+'</select>' :
+              '<span class="muted" style="font-size:12.5px">Belum ada alamat forward terverifikasi</span>';
+          }
+          return '<div class="reAct" style="display:grid;grid-template-columns:auto 1fr auto;gap:8px;margin-bottom:6px">'+
+            '<select class="reType" style="width:auto" onchange="ruleRowChanged(this, \\'act\\')">'+optionsHtml(RULE_ACTION_NAMES, type)+'</select>'+
+            valHtml+
+            '<button class="btn-ghost" onclick="this.parentNode.remove()">✕</button>'+
+          '</div>';
+        }
+
+        function ruleRowChanged(sel, kind){
+          const row = sel.parentNode;
+          const tmp = document.createElement('div');
+          tmp.innerHTML = kind==='cond' ? condRowHtml({field: sel.value}) : actRowHtml({type: sel.value});
+          row.replaceWith(tmp.firstChild);
+        }
+
+        function addRuleRow(kind){
+          const box = document.getElementById(kind==='cond' ? 'reConds' : 'reActs');
+          box.insertAdjacentHTML('beforeend', kind==='cond' ? condRowHtml({}) : actRowHtml({}));
+        }
+
+        function ruleSummary(r){
+          const conds = r.conditions.map(c=>{
+            if(c.field==='has_attachment') return (c.value?'ada':'tanpa')+' attachment';
+            if(c.field==='size') return 'ukuran '+(c.op==='gt'?'>':'<')+' '+fmtSize(c.value);
+            return RULE_FIELDS[c.field].toLowerCase()+' '+RULE_OPS[c.op]+' "'+c.value+'"';
+          }).join(r.match_all ? ' dan ' : ' atau ');
+          const acts = r.actions.map(a=>{
+            if(a.type==='forward'){
+              const f = FORWARDS.find(x=>x.id===a.value);
+              return RULE_ACTION_NAMES.forward+' '+(f ? f.address : '?');
+            }
+            return RULE_ACTION_NAMES[a.type]+(a.type==='label' ? ' "'+a.value+'"' : '');
+          }).join(', ');
+          return 'Jika '+conds+' → '+acts+(r.stop ? ' (stop)' : '');
+        }
+
+        async function loadMailRules(){
+          const j = await api('/api/rules');
+          if(!j.ok) return;
+          MAIL_RULES = j.rules;
+          const box = document.getElementById('mailRules');
+          if(MAIL_RULES.length===0){
+            box.innerHTML='<div class="muted">Belum ada rule.</div>';
             return;
           }
-          
-          const [local, domain] = SELECTED.split('@');
-          const inboxId = inboxDomId(local, domain);
-          console.log('📧 Looking for inbox ID:', inboxId);
-          const box=document.getElementById(inboxId);
+          let html='';
+          MAIL_RULES.forEach((r, i)=>{
+            html += '<div class="listItem" style="margin-bottom:8px">'+
+              '<div style="flex:1;min-width:0">'+
+                '<b>'+(i+1)+'. '+esc(r.name)+'</b>'+(r.enabled ? '' : ' <span class="pill">disabled</span>')+
+                '<div class="muted" style="font-size:12.5px;margin-top:4px;word-break:break-word">'+esc(ruleSummary(r))+'</div>'+
+              '</div>'+
+              '<div style="display:flex;gap:6px;flex-wrap:wrap">'+
+                '<button class="btn-ghost" onclick="moveMailRule('+i+',-1)"'+(i===0?' disabled':'')+'>↑</button>'+
+                '<button class="btn-ghost" onclick="moveMailRule('+i+',1)"'+(i===MAIL_RULES.length-1?' disabled':'')+'>↓</button>'+
+                '<button class="btn-ghost" onclick="setMailRuleEnabled(\\''+r.id+'\\','+(r.enabled?0:1)+')">'+(r.enabled?'Disable':'Enable')+'</button>'+
+                '<button class="btn-ghost" onclick="editMailRule(\\''+r.id+'\\')">Edit</button>'+
+                '<button class="danger" onclick="delMailRule(\\''+r.id+'\\')">Hapus</button>'+
+              '</div>'+
+            '</div>';
+          });
+          box.innerHTML = html;
+        }
+
+        function editMailRule(id){
+          const r = (id && MAIL_RULES.find(x=>x.id===id)) || {name:'', match_all:1, stop:0, conditions:[{}], actions:[{}]};
+          RULE_EDIT_ID = id || null;
+          const box = document.getElementById('ruleEditor');
+          box.style.display='block';
+          box.innerHTML = '<div style="padding:10px;border:1px solid var(--border);border-radius:12px">'+
+            '<div style="display:grid;grid-template-columns:1fr auto;gap:8px">'+
+              '<input id="reName" placeholder="Nama rule, contoh: Newsletter" value="'+esc(r.name)+'" />'+
+              '<select id="reMatch" style="width:auto">'+
+                '<option value="all"'+(r.match_all?' selected':'')+'>Semua kondisi</option>'+
+                '<option value="any"'+(r.match_all?'':' selected')+'>Salah satu kondisi</option>'+
+              '</select>'+
+            '</div>'+
+            '<div class="muted" style="margin:10px 0 6px">Kondisi</div>'+
+            '<div id="reConds">'+r.conditions.map(condRowHtml).join('')+'</div>'+
+            '<button class="btn-ghost" onclick="addRuleRow(\\'cond\\')">+ Kondisi</button>'+
+            '<div class="muted" style="margin:10px 0 6px">Aksi</div>'+
+            '<div id="reActs">'+r.actions.map(actRowHtml).join('')+'</div>'+
+            '<button class="btn-ghost" onclick="addRuleRow(\\'act\\')">+ Aksi</button>'+
+            '<label style="display:flex;gap:8px;align-items:center;margin-top:10px">'+
+              '<input type="checkbox" id="reStop" style="width:auto" '+(r.stop?'checked':'')+' /> Stop: jangan cek rule berikutnya</label>'+
+            '<div style="display:flex;gap:8px;flex-wrap:wrap;margin-top:10px">'+
+              '<button class="btn-primary" onclick="saveMailRule()">Simpan</button>'+
+              '<button class="btn-ghost" onclick="testMailRule()">Test ke 50 email terakhir</button>'+
+              '<button class="btn-ghost" onclick="document.getElementById(\\'ruleEditor\\').style.display=\\'none\\'">Batal</button>'+
+            '</div>'+
+            '<div id="reTestResult" style="margin-top:10px"></div>'+
+          '</div>';
+          box.scrollIntoView({behavior:'smooth', block:'nearest'});
+        }
+
+        function readRuleForm(){
+          const conditions = Array.from(document.querySelectorAll('#reConds .reCond')).map(row=>{
+            const field = row.querySelector('.reField').value;
+            const op = row.querySelector('.reOp').value;
+            let value = row.querySelector('.reValue').value;
+            if(field==='has_attachment') value = value==='true';
+            if(field==='size') value = Math.round((parseFloat(value)||0)*1024);
+            return {field, op, value};
+          });
+          const actions = Array.from(document.querySelectorAll('#reActs .reAct')).map(row=>{
+            const val = row.querySelector('.reVal');
+            return {type: row.querySelector('.reType').value, value: val ? val.value : undefined};
+          });
+          return {
+            name: document.getElementById('reName').value.trim(),
+            match_all: document.getElementById('reMatch').value==='all',
+            stop: document.getElementById('reStop').checked,
+            conditions,
+            actions
+          };
+        }
+
+        async function saveMailRule(){
+          const body = readRuleForm();
+          const j = await api(RULE_EDIT_ID ? '/api/rules/'+encodeURIComponent(RULE_EDIT_ID) : '/api/rules', {
+            method: RULE_EDIT_ID ? 'PATCH' : 'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify(body)
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          document.getElementById('ruleEditor').style.display='none';
+          await loadMailRules();
+        }
+
+        async function testMailRule(){
+          const f = readRuleForm();
+          const box = document.getElementById('reTestResult');
+          box.innerHTML = '<div class="muted">...</div>';
+          const j = await api('/api/rules/test', {
+            method:'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({conditions:f.conditions, match_all:f.match_all})
+          });
+          if(!j.ok){ box.innerHTML = '<div class="muted">'+esc(j.error||'gagal')+'</div>'; return; }
+          let html = '<div class="muted" style="margin-bottom:6px">Cocok '+j.matches.length+' dari '+j.checked+' email terakhir:</div>';
+          for(const m of j.matches){
+            html += '<div style="font-size:12.5px;padding:3px 0;word-break:break-word">'+
+              '<b>'+esc(m.subject||'(no subject)')+'</b> <span class="muted">'+esc(m.from_addr||'')+' • '+esc(fmtDate(m.created_at))+'</span></div>';
+          }
+          box.innerHTML = html;
+        }
+
+        async function moveMailRule(i, dir){
+          const ids = MAIL_RULES.map(r=>r.id);
+          const j2 = i+dir;
+          if(j2<0 || j2>=ids.length) return;
+          [ids[i], ids[j2]] = [ids[j2], ids[i]];
+          const j = await api('/api/rules/reorder', {
+            method:'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({ids})
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await loadMailRules();
+        }
+
+        async function setMailRuleEnabled(id, enabled){
+          const j = await api('/api/rules/'+encodeURIComponent(id), {
+            method:'PATCH',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({enabled: !!enabled})
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await loadMailRules();
+        }
+
+        async function delMailRule(id){
+          if(!confirm('Hapus rule ini?')) return;
+          const j = await api('/api/rules/'+encodeURIComponent(id), {method:'DELETE'});
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await loadMailRules();
+        }
+
+        function fillHookScopes(){
+          const sel = document.getElementById('hookScope');
+          let html = '<option value="">Semua mail saya</option>';
+          for(const a of ALIASES){
+            if(!a.domain) continue;
+            html += '<option value="'+esc(a.local_part+'@'+a.domain)+'">'+esc(a.local_part+'@'+a.domain)+'</option>';
+          }
+          if(ME && ME.role==='admin') html += '<option value="*">Global (semua user)</option>';
+          sel.innerHTML = html;
+        }
+
+        async function loadWebhooks(){
+          fillHookScopes();
+          const j = await api('/api/webhooks');
+          if(!j.ok) return;
+          const box = document.getElementById('webhooks');
+          if(j.webhooks.length===0){
+            box.innerHTML='<div class="muted">Belum ada webhook.</div>';
+            return;
+          }
+          let html='';
+          for(const w of j.webhooks){
+            const scope = w.global ? 'global' : (w.local_part ? w.local_part+'@'+w.domain : 'semua mail');
+            const last = w.last_at ? (w.last_ok ? '✓ ' : '✕ ')+(w.last_status||'error')+' • '+fmtDate(w.last_at) : 'belum pernah dikirim';
+            html += '<div style="margin-bottom:10px">'+
+              '<div class="listItem">'+
+                '<div style="flex:1;min-width:0">'+
+                  '<b style="word-break:break-all">'+esc(w.url)+'</b> <span class="pill">'+esc(scope)+'</span>'+
+                  (w.disabled ? ' <span class="pill">disabled</span>' : '')+
+                  '<div class="muted" style="font-size:12.5px;margin-top:4px">'+esc(last)+'</div>'+
+                '</div>'+
+                '<div style="display:flex;gap:8px;flex-wrap:wrap">'+
+                  '<button class="btn-ghost" onclick="testWebhook(\\''+w.id+'\\')">Test</button>'+
+                  '<button class="btn-ghost" onclick="toggleDeliveries(\\''+w.id+'\\')">Riwayat</button>'+
+                  '<button class="btn-ghost" onclick="setWebhookDisabled(\\''+w.id+'\\','+(w.disabled?0:1)+')">'+(w.disabled?'Enable':'Disable')+'</button>'+
+                  '<button class="danger" onclick="delWebhook(\\''+w.id+'\\')">Hapus</button>'+
+                '</div>'+
+              '</div>'+
+              '<div id="hookLog_'+w.id+'" style="display:none;margin-top:6px"></div>'+
+            '</div>';
+          }
+          box.innerHTML = html;
+        }
+
+        async function addWebhook(){
+          const url = document.getElementById('hookUrl').value.trim();
+          const scope = document.getElementById('hookScope').value;
+          const msg = document.getElementById('hookMsg');
+          const payload = {url};
+          if(scope==='*') payload.global = true;
+          else if(scope){
+            const i = scope.lastIndexOf('@');
+            payload.alias = scope.slice(0, i);
+            payload.domain = scope.slice(i+1);
+          }
+          msg.textContent='...';
+          const j = await api('/api/webhooks', {
+            method:'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify(payload)
+          });
+          if(!j.ok){ msg.textContent = j.error||'gagal'; return; }
+          msg.innerHTML = 'Webhook dibuat. Simpan secret ini (tidak ditampilkan lagi): <span class="kbd">'+esc(j.secret)+'</span>';
+          document.getElementById('hookUrl').value='';
+          await loadWebhooks();
+        }
+
+        async function testWebhook(id){
+          const j = await api('/api/webhooks/'+encodeURIComponent(id)+'/test', {method:'POST'});
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          const d = j.delivery;
+          alert(d.ok ? 'Terkirim (HTTP '+d.status_code+')' : 'Gagal setelah '+d.attempts+'x: '+(d.error||''));
+          await loadWebhooks();
+        }
+
+        async function toggleDeliveries(id){
+          const box = document.getElementById('hookLog_'+id);
+          if(!box) return;
+          if(box.style.display !== 'none'){ box.style.display='none'; return; }
+          box.style.display='block';
+          box.innerHTML='<div class="muted">...</div>';
+          const j = await api('/api/webhooks/'+encodeURIComponent(id)+'/deliveries');
+          if(!j.ok){ box.innerHTML='<div class="muted">'+esc(j.error||'gagal')+'</div>'; return; }
+          if(j.deliveries.length===0){ box.innerHTML='<div class="muted">Belum ada pengiriman.</div>'; return; }
+          let html = '<div style="padding:10px;border:1px solid var(--border);border-radius:12px;font-size:12.5px">';
+          for(const d of j.deliveries){
+            html += '<div style="display:flex;gap:8px;padding:4px 0;flex-wrap:wrap">'+
+              '<span>'+(d.ok?'✓':'✕')+'</span>'+
+              '<span class="muted">'+esc(fmtDate(d.created_at))+'</span>'+
+              '<span class="pill" style="padding:1px 8px">'+esc(d.event)+'</span>'+
+              '<span>'+(d.status_code ? 'HTTP '+d.status_code : '')+' • '+d.attempts+'x</span>'+
+              (d.error ? '<span class="muted" style="word-break:break-all">'+esc(d.error)+'</span>' : '')+
+            '</div>';
+          }
+          box.innerHTML = html+'</div>';
+        }
+
+        async function setWebhookDisabled(id, disabled){
+          const j = await api('/api/webhooks/'+encodeURIComponent(id), {
+            method:'PATCH',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({disabled: !!disabled})
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await loadWebhooks();
+        }
+
+        function fillExportScopes(){
+          const sel = document.getElementById('exportScope');
+          const cur = sel.value;
+          let html = '<option value="">Semua mail saya</option>';
+          for(const a of ALIASES){
+            if(a.kind==='pattern') continue;
+            const addr = a.local_part+'@'+a.domain;
+            html += '<option value="'+esc(addr)+'"'+(addr===cur?' selected':'')+'>'+esc(addr)+'</option>';
+          }
+          sel.innerHTML = html;
+        }
+
+        async function loadExports(){
+          if(EXPORT_POLL){ clearTimeout(EXPORT_POLL); EXPORT_POLL = null; }
+          const j = await api('/api/exports');
+          if(!j.ok) return;
+          const box = document.getElementById('exports');
+          if(j.exports.length===0){
+            box.innerHTML='<div class="muted">Belum ada export.</div>';
+            return;
+          }
+          let html='';
+          for(const x of j.exports){
+            const busy = x.status==='pending' || x.status==='running';
+            const info = busy ? 'sedang diproses...'+(x.email_count ? ' ('+x.email_count+' email)' : '') :
+              x.status==='error' ? 'gagal: '+(x.error||'') :
+              x.email_count+' email • '+fmtSize(x.size)+(x.expires_at ? ' • berlaku s/d '+fmtDate(x.expires_at) : '');
+            html += '<div class="listItem" style="margin-bottom:10px">'+
+              '<div style="flex:1;min-width:0">'+
+                '<b>'+esc(x.alias||'Semua mail')+'</b> <span class="pill">'+esc(x.format)+'</span> <span class="pill">'+esc(x.status)+'</span>'+
+                '<div class="muted" style="font-size:12.5px;margin-top:4px">'+esc(fmtDate(x.created_at))+' • '+esc(info)+'</div>'+
+              '</div>'+
+              '<div style="display:flex;gap:8px;flex-wrap:wrap">'+
+                (x.download_url ? '<a class="pill" href="'+esc(x.download_url)+'" download>⬇ Download</a>' : '')+
+                (x.status!=='running' ? '<button class="danger" onclick="delExport(\\''+x.id+'\\')">Hapus</button>' : '')+
+              '</div>'+
+            '</div>';
+          }
+          box.innerHTML = html;
+          if(j.exports.some(x => x.status==='pending' || x.status==='running')) EXPORT_POLL = setTimeout(loadExports, 5000);
+        }
+
+        async function startExport(scope){
+          if(scope===undefined) scope = document.getElementById('exportScope').value;
+          const msg = document.getElementById('exportMsg');
+          const payload = {format: document.getElementById('exportFormat').value};
+          if(scope){
+            const i = scope.lastIndexOf('@');
+            payload.alias = scope.slice(0, i);
+            payload.domain = scope.slice(i+1);
+          }
+          msg.textContent='...';
+          const j = await api('/api/exports', {
+            method:'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify(payload)
+          });
+          msg.textContent = j.ok ? 'Export dimulai. Link download muncul di bawah setelah selesai.' : (j.error||'gagal');
+          await loadExports();
+        }
+
+        async function delExport(id){
+          if(!confirm('Hapus file export ini?')) return;
+          const j = await api('/api/exports/'+encodeURIComponent(id), {method:'DELETE'});
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await loadExports();
+        }
+
+        async function delWebhook(id){
+          if(!confirm('Hapus webhook ini beserta riwayatnya?')) return;
+          const j = await api('/api/webhooks/'+encodeURIComponent(id), {method:'DELETE'});
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await loadWebhooks();
+        }
+
+        function toggleForwardPanel(local, domain){
+          const panel = document.getElementById('fwd_'+inboxDomId(local, domain));
+          if(!panel) return;
+          if(panel.style.display !== 'none'){ panel.style.display='none'; return; }
+
+          const a = ALIASES.find(x=>x.local_part===local && x.domain===domain) || {forwards:[]};
+          const active = (a.forwards||[]).map(f=>f.id);
+          const verified = FORWARDS.filter(f=>f.verified_at);
+
+          let html = '<div style="padding:10px;border:1px solid var(--border);border-radius:12px">';
+          if(verified.length===0){
+            html += '<div class="muted">Belum ada alamat forward yang terverifikasi.</div>';
+          } else {
+            for(const f of verified){
+              html += '<label style="display:flex;gap:8px;align-items:center;color:var(--text)">'+
+                '<input type="checkbox" class="fwdChk" value="'+esc(f.id)+'" style="width:auto" '+(active.includes(f.id)?'checked':'')+' />'+
+                esc(f.address)+'</label>';
+            }
+            html += '<label style="display:flex;gap:8px;align-items:center;margin-top:8px">'+
+              '<input type="checkbox" class="fwdKeep" style="width:auto" '+(a.forward_keep===0?'':'checked')+' />'+
+              'Tetap simpan salinan di portal</label>'+
+              '<button class="btn-primary" style="margin-top:8px" onclick="saveForwards(\\''+local+'\\',\\''+domain+'\\')">Simpan</button>';
+          }
+          html += '</div>';
+          panel.innerHTML = html;
+          panel.style.display = 'block';
+        }
+
+        async function saveForwards(local, domain){
+          const panel = document.getElementById('fwd_'+inboxDomId(local, domain));
+          const forward_ids = Array.from(panel.querySelectorAll('.fwdChk')).filter(c=>c.checked).map(c=>c.value);
+          const keepEl = panel.querySelector('.fwdKeep');
+          const j = await api('/api/aliases/'+encodeURIComponent(local)+'/forwards?domain='+encodeURIComponent(domain), {
+            method:'PUT',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({forward_ids, keep: keepEl ? keepEl.checked : true})
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await loadAliases();
+        }
+
+        async function setSubaddressing(local, domain, on){
+          const j = await api('/api/aliases/'+encodeURIComponent(local)+'?domain='+encodeURIComponent(domain), {
+            method:'PATCH',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({subaddressing: on?1:0})
+          });
+          if(!j.ok){ alert(j.error||'gagal'); }
+          await loadAliases();
+        }
+
+        function rulesUrl(local, domain, id){
+          return '/api/aliases/'+encodeURIComponent(local)+'/rules'+(id ? '/'+encodeURIComponent(id) : '')+
+            '?domain='+encodeURIComponent(domain);
+        }
+
+        async function toggleRulesPanel(local, domain){
+          const panel = document.getElementById('rules_'+inboxDomId(local, domain));
+          if(!panel) return;
+          if(panel.style.display !== 'none'){ panel.style.display='none'; return; }
+          panel.style.display = 'block';
+          await renderRules(local, domain);
+        }
+
+        async function renderRules(local, domain){
+          const panel = document.getElementById('rules_'+inboxDomId(local, domain));
+          if(!panel) return;
+          panel.innerHTML = '<div class="muted">...</div>';
+          const j = await api(rulesUrl(local, domain));
+          if(!j.ok){ panel.innerHTML = '<div class="muted">'+esc(j.error||'gagal')+'</div>'; return; }
+
+          let html = '<div style="padding:10px;border:1px solid var(--border);border-radius:12px">'+
+            '<div class="muted" style="font-size:12.5px;margin-bottom:8px">'+
+              'Block selalu menang. Kalau ada aturan allow, hanya pengirim (envelope, bukan header From) yang cocok yang diterima. '+
+              'Contoh: <span class="kbd">*@github.com</span> <span class="kbd">spammy.tld</span> <span class="kbd">news@spammy.tld</span>'+
+            '</div>';
+          if(j.rules.length===0){
+            html += '<div class="muted">Belum ada aturan, semua pengirim diterima.</div>';
+          }
+          for(const r of j.rules){
+            html += '<div style="display:flex;gap:8px;align-items:center;padding:6px 0">'+
+              '<span class="pill" style="padding:2px 8px">'+(r.action==='allow'?'✓ allow':'✕ block')+'</span>'+
+              '<span style="flex:1;word-break:break-all;font-family:ui-monospace,monospace;font-size:13px">'+esc(r.pattern)+'</span>'+
+              '<button class="danger" style="padding:6px 10px" onclick="delRule(\\''+local+'\\',\\''+domain+'\\',\\''+r.id+'\\')">Hapus</button>'+
+            '</div>';
+          }
+          html += '<div style="display:grid;grid-template-columns:auto 1fr auto;gap:8px;margin-top:8px">'+
+              '<select class="ruleAction" style="width:auto"><option value="block">block</option><option value="allow">allow</option></select>'+
+              '<input class="rulePattern" placeholder="*@github.com" />'+
+              '<button class="btn-primary" onclick="addRule(\\''+local+'\\',\\''+domain+'\\')">Tambah</button>'+
+            '</div>'+
+          '</div>';
+          panel.innerHTML = html;
+        }
+
+        async function addRule(local, domain){
+          const panel = document.getElementById('rules_'+inboxDomId(local, domain));
+          const action = panel.querySelector('.ruleAction').value;
+          const pattern = panel.querySelector('.rulePattern').value.trim().toLowerCase();
+          const j = await api(rulesUrl(local, domain), {
+            method:'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({action, pattern})
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await renderRules(local, domain);
+        }
+
+        async function delRule(local, domain, id){
+          const j = await api(rulesUrl(local, domain, id), {method:'DELETE'});
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await renderRules(local, domain);
+        }
+
+        function autoReplyUrl(local, domain){
+          return '/api/aliases/'+encodeURIComponent(local)+'/autoreply?domain='+encodeURIComponent(domain);
+        }
+
+        // unix detik <-> value input type=date (tanggal lokal)
+        function toDateInput(sec){
+          if(!sec) return '';
+          const d = new Date(sec*1000);
+          return d.getFullYear()+'-'+String(d.getMonth()+1).padStart(2,'0')+'-'+String(d.getDate()).padStart(2,'0');
+        }
+        function fromDateInput(v, endOfDay){
+          if(!v) return null;
+          const d = new Date(v+'T00:00:00');
+          if(endOfDay) d.setDate(d.getDate()+1);
+          return Math.floor(d.getTime()/1000);
+        }
+
+        async function toggleAutoReplyPanel(local, domain){
+          const panel = document.getElementById('ar_'+inboxDomId(local, domain));
+          if(!panel) return;
+          if(panel.style.display !== 'none'){ panel.style.display='none'; return; }
+          panel.style.display = 'block';
+          panel.innerHTML = '<div class="muted">...</div>';
+
+          const j = await api(autoReplyUrl(local, domain));
+          if(!j.ok){ panel.innerHTML = '<div class="muted">'+esc(j.error||'gagal')+'</div>'; return; }
+          const ar = j.autoreply || {enabled:1, subject:'', body:'', interval_days:7};
+          // ends_at disimpan sebagai awal hari berikutnya
+          const endVal = ar.ends_at ? toDateInput(ar.ends_at - 86400) : '';
+
+          panel.innerHTML = '<div style="padding:10px;border:1px solid var(--border);border-radius:12px">'+
+            '<label style="display:flex;gap:8px;align-items:center;margin:0 0 8px">'+
+              '<input type="checkbox" class="arEnabled" style="width:auto" '+(ar.enabled?'checked':'')+' /> Aktif</label>'+
+            '<input class="arSubject" placeholder="Subject, contoh: Sedang cuti" value="'+esc(ar.subject)+'" />'+
+            '<textarea class="arBody" rows="4" style="width:100%;margin-top:8px" placeholder="Isi balasan">'+esc(ar.body)+'</textarea>'+
+            '<div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:8px;margin-top:8px">'+
+              '<label style="margin:0;font-size:12.5px">Mulai<input type="date" class="arStart" value="'+toDateInput(ar.starts_at)+'" /></label>'+
+              '<label style="margin:0;font-size:12.5px">Sampai<input type="date" class="arEnd" value="'+endVal+'" /></label>'+
+              '<label style="margin:0;font-size:12.5px">Sekali per (hari)<input type="number" min="1" class="arInterval" value="'+(ar.interval_days||7)+'" /></label>'+
+            '</div>'+
+            '<div class="muted" style="font-size:12.5px;margin-top:8px">Tidak membalas mailing list, bulk mail, bounce, balasan otomatis, dan email yang gagal SPF/DKIM/DMARC.</div>'+
+            '<div style="display:flex;gap:8px;margin-top:8px">'+
+              '<button class="btn-primary" onclick="saveAutoReply(\\''+local+'\\',\\''+domain+'\\')">Simpan</button>'+
+              (j.autoreply ? '<button class="danger" onclick="delAutoReply(\\''+local+'\\',\\''+domain+'\\')">Hapus</button>' : '')+
+            '</div>'+
+          '</div>';
+        }
+
+        async function saveAutoReply(local, domain){
+          const panel = document.getElementById('ar_'+inboxDomId(local, domain));
+          const j = await api(autoReplyUrl(local, domain), {
+            method:'PUT',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({
+              enabled: panel.querySelector('.arEnabled').checked,
+              subject: panel.querySelector('.arSubject').value,
+              body: panel.querySelector('.arBody').value,
+              starts_at: fromDateInput(panel.querySelector('.arStart').value, false),
+              ends_at: fromDateInput(panel.querySelector('.arEnd').value, true),
+              interval_days: parseInt(panel.querySelector('.arInterval').value,10)
+            })
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await loadAliases();
+        }
+
+        async function delAutoReply(local, domain){
+          if(!confirm('Hapus auto-reply untuk '+local+'@'+domain+'?')) return;
+          const j = await api(autoReplyUrl(local, domain), {method:'DELETE'});
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await loadAliases();
+        }
+
+        function setFolder(f){
+          FOLDER = f;
+          loadEmails();
+        }
+
+        function setTagFilter(tag){
+          TAG_FILTER = tag;
+          loadEmails();
+        }
+
+        function setLabelFilter(label){
+          LABEL_FILTER = label;
+          loadEmails();
+        }
+
+        async function selectAlias(local, domain){
+          const key = local+'@'+domain;
+          const wasSelected = SELECTED===key;
+          TAG_FILTER = '';
+          LABEL_FILTER = '';
+          FOLDER = 'inbox';
+          
+          if(wasSelected){
+            SELECTED=null;
+            stopAutoRefresh();
+          } else {
+            SELECTED=key;
+            startAutoRefresh();
+          }
+          
+          await loadAliases();
+          
+          if(!wasSelected){
+            const inbox = document.getElementById('inbox_'+local+'_'+domain.replace(/\./g,'_'));
+            if(inbox) inbox.scrollIntoView({behavior:'smooth', block:'nearest'});
+          }
+        }
+
+        async function selectAllMail(){
+          const wasSelected = SELECTED==='*';
+          TAG_FILTER = '';
+          LABEL_FILTER = '';
+          FOLDER = 'inbox';
+          ALL_FILTER = {aliases:[], domains:[]};
+          SELECTED = wasSelected ? null : '*';
+          if(wasSelected) stopAutoRefresh(); else startAutoRefresh();
+          await loadAliases();
+        }
+
+        function toggleAllFilter(kind, value, on){
+          const list = ALL_FILTER[kind].filter(v => v !== value);
+          if(on) list.push(value);
+          ALL_FILTER[kind] = list;
+          loadEmails();
+        }
+
+        function allFilterHtml(){
+          const domains = [...new Set(ALIASES.map(a => a.domain))];
+          const active = ALL_FILTER.aliases.length + ALL_FILTER.domains.length;
+          const box = (kind, v, text) =>
+            '<label style="display:flex;gap:6px;align-items:center;margin:0;font-size:12.5px">'+
+              '<input type="checkbox" style="width:auto" '+(ALL_FILTER[kind].includes(v)?'checked ':'')+
+                'onchange="toggleAllFilter(\\''+kind+'\\', \\''+esc(v)+'\\', this.checked)" />'+esc(text)+'</label>';
+          return '<details style="margin-bottom:10px"'+(ALL_FILTER_OPEN?' open':'')+' ontoggle="ALL_FILTER_OPEN=this.open">'+
+            '<summary class="muted" style="cursor:pointer">Filter alias/domain'+(active ? ' ('+active+')' : '')+'</summary>'+
+            '<div style="display:flex;gap:12px;flex-wrap:wrap;margin-top:8px">'+
+              domains.map(d => box('domains', d, '@'+d)).join('')+
+            '</div>'+
+            '<div style="display:flex;gap:12px;flex-wrap:wrap;margin-top:8px">'+
+              ALIASES.filter(a => a.kind!=='pattern').map(a => box('aliases', a.local_part+'@'+a.domain, a.local_part+'@'+a.domain)).join('')+
+            '</div>'+
+          '</details>';
+        }
+
+        async function loadEmails(silent=false){
+          console.log('📧 === loadEmails START ===');
+          console.log('📧 SELECTED:', SELECTED);
+          if(!SELECTED) {
+            console.log('⚠️ No SELECTED alias!');
+            return;
+          }
+          
+          const [local, domain] = SELECTED.split('@');
+          const inboxId = SELECTED==='*' ? 'allMailBox' : inboxDomId(local, domain);
+          console.log('📧 Looking for inbox ID:', inboxId);
+          const box=document.getElementById(inboxId);
           console.log('📧 Inbox element found:', box);
           if(!box) {
             console.error('❌ Inbox container NOT FOUND! ID:', inboxId);
@@ -1076,10 +2374,16 @@ const PAGES = {
           box.style.padding = '12px';
           box.style.borderRadius = '8px';
           console.log('✅ Forced visibility CSS applied to inbox container');
+
+          if(THREAD_VIEW && SELECTED!=='*'){
+            try{ await loadThreads(local, domain, box, silent); }
+            catch(e){ console.error('Load threads error:', e); }
+            return;
+          }
           
           try{
             console.log('📧 Fetching emails from API...');
-            const j = await api('/api/emails?alias='+encodeURIComponent(local)+'&domain='+encodeURIComponent(domain));
+            const j = await api(emailListUrl(local, domain));
             console.log('📧 API Response:', j);
             if(!j.ok){ 
               console.error('❌ API returned error:', j.error);
@@ -1087,8 +2391,11 @@ const PAGES = {
               return; 
             }
             console.log('✅ Number of emails:', j.emails ? j.emails.length : 0);
+            mergeFirstPage(local, domain, j);
+            j.emails = EMAIL_LIST;
             
-            const refreshInfo = silent ? '<span class="muted" style="font-size:11px;margin-left:8px">\ud83d\udd04 Auto (30s)</span>' : '';
+            const refreshInfo = EVENTS_LIVE ? '<span class="muted" style="font-size:11px;margin-left:8px">⚡ Live</span>' :
+              silent ? '<span class="muted" style="font-size:11px;margin-left:8px">\ud83d\udd04 Auto (30s)</span>' : '';
             
             // Bulk actions bar - shown when emails exist
             let bulkActionsHtml = '';
@@ -1099,44 +2406,75 @@ const PAGES = {
                   '<input type="checkbox" class="selectAllCheckbox" id="selectAllCheck" onclick="toggleSelectAll()" />'+
                   '<span class="muted" style="font-size:13px">Select All</span>'+
                 '</label>'+
-                (selectedCount > 0 ? 
-                  '<button class="danger" onclick="deleteSelectedEmails()" style="margin-left:auto">'+
-                    'Delete Selected ('+selectedCount+')'+
-                  '</button>' : '')+
+                (selectedCount > 0 ?
+                  '<span style="margin-left:auto;display:flex;gap:8px;flex-wrap:wrap">'+
+                    '<button class="btn-ghost" onclick="bulkAction(\\'read\\')">Tandai dibaca</button>'+
+                    '<button class="btn-ghost" onclick="bulkAction(\\'unread\\')">Belum dibaca</button>'+
+                    (FOLDER==='trash' ?
+                      '<button class="btn-ghost" onclick="bulkAction(\\'restore\\')">Restore</button>' :
+                      '<button class="btn-ghost" onclick="bulkAction(\\'move\\', {folder: \\''+(FOLDER==='inbox'?'archive':'inbox')+'\\'})">'+(FOLDER==='inbox'?'Arsipkan':'Ke Inbox')+'</button>')+
+                    '<button class="btn-ghost" onclick="bulkLabel()">Label</button>'+
+                    '<button class="danger" onclick="deleteSelectedEmails()">'+
+                      (FOLDER==='trash' ? 'Hapus permanen' : 'Delete Selected')+' ('+selectedCount+')'+
+                    '</button>'+
+                  '</span>' : '')+
               '</div>';
             }
             
+            // Filter tag (local+tag@domain)
+            let tagFilterHtml = '';
+            if(j.tags && j.tags.length > 0){
+              tagFilterHtml = '<div style="margin-bottom:10px">'+
+                '<select onchange="setTagFilter(this.value)" style="max-width:260px">'+
+                  '<option value="">Semua tag</option>';
+              for(const t of j.tags){
+                tagFilterHtml += '<option value="'+esc(t.tag)+'"'+(t.tag===TAG_FILTER?' selected':'')+'>+'+esc(t.tag)+' ('+t.count+')</option>';
+              }
+              tagFilterHtml += '</select></div>';
+            }
+
+            // Filter label buatan user
+            let labelFilterHtml = '';
+            if(j.label_counts && j.label_counts.length > 0){
+              labelFilterHtml = '<div style="margin-bottom:10px">'+
+                '<select onchange="setLabelFilter(this.value)" style="max-width:260px">'+
+                  '<option value="">Semua label</option>';
+              for(const l of j.label_counts){
+                labelFilterHtml += '<option value="'+esc(l.label)+'"'+(l.label===LABEL_FILTER?' selected':'')+'>🏷 '+esc(l.label)+' ('+l.count+')</option>';
+              }
+              labelFilterHtml += '</select></div>';
+            }
+
             let html = '<div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap;margin-bottom:10px">'+
-              '<b>Inbox</b>'+refreshInfo+
-              '<button class="btn-ghost" onclick="loadEmails()">Refresh</button>'+
+              '<b>'+FOLDER_NAMES[FOLDER]+'</b>'+
+              '<span class="muted" style="font-size:12px">'+j.total+' email'+(j.unread ? ' • '+j.unread+' belum dibaca' : '')+'</span>'+refreshInfo+
+              '<span style="display:flex;gap:8px">'+
+                '<select onchange="setFolder(this.value)" style="width:auto">'+
+                  '<option value="inbox"'+(FOLDER==='inbox'?' selected':'')+'>Inbox</option>'+
+                  '<option value="archive"'+(FOLDER==='archive'?' selected':'')+'>Arsip</option>'+
+                  '<option value="spam"'+(FOLDER==='spam'?' selected':'')+'>Spam</option>'+
+                  '<option value="trash"'+(FOLDER==='trash'?' selected':'')+'>Trash</option>'+
+                '</select>'+
+                (FOLDER==='trash' && j.total ? '<button class="danger" onclick="emptyTrash()">Kosongkan Trash</button>' : '')+
+                (SELECTED!=='*' ? '<button class="btn-ghost" onclick="setThreadView(true)">Percakapan</button>' : '')+
+                '<button class="btn-ghost" onclick="loadEmails()">Refresh</button>'+
+              '</span>'+
               '</div>'+
+              (SELECTED==='*' ? allFilterHtml() : '')+
+              tagFilterHtml+
+              labelFilterHtml+
               bulkActionsHtml;
             
             if(!j.emails || j.emails.length===0){
               html += '<div class="muted" style="padding:24px;text-align:center;background:rgba(255,255,255,0.03);border-radius:8px;border:1px dashed rgba(148,163,184,0.3)">'+
-                '📪 Belum ada email masuk.'+
+                (FOLDER==='inbox' ? '📪 Belum ada email masuk.' : '📪 '+FOLDER_NAMES[FOLDER]+' kosong.')+
               '</div>';
               console.log('⚠️ No emails to display');
             } else {
-              for(const m of j.emails){
-                const isSelected = SELECTED_EMAILS.includes(m.id);
-                html += '<div class="mailItem'+(isSelected?' selected':'')+'" id="mail_'+m.id+'">'+
-                  '<div style="display:flex;gap:12px;align-items:flex-start">'+
-                    '<input type="checkbox" class="emailCheckbox" '+
-                      'id="check_'+m.id+'" '+
-                      (isSelected?'checked ':'')+
-                      'onclick="toggleEmailSelection(\\''+m.id+'\\')"/>'+
-                    '<div style="flex:1;min-width:0">'+
-                      '<div class="mailSubject">'+esc(m.subject||'(no subject)')+'</div>'+
-                      '<div class="mailMeta">From: '+esc(m.from_addr||'')+'</div>'+
-                      '<div class="mailMeta">'+esc(fmtDate(m.date || m.created_at || ""))+'</div>'+
-                      (m.snippet ? '<div class="mailSnippet">'+esc(m.snippet)+'</div>' : '')+
-                      '<div style="margin-top:10px;display:flex;gap:8px;flex-wrap:wrap">'+
-                        '<button class="btn-primary" onclick="openEmail(\\''+m.id+'\\')">View</button>'+
-                        '<button onclick="delEmail(\\''+m.id+'\\')" class="danger">Delete</button>'+
-                      '</div>'+
-                    '</div>'+
-                  '</div>'+
+              for(const m of j.emails) html += mailItemHtml(m);
+              if(NEXT_CURSOR){
+                html += '<div style="text-align:center;margin-top:10px">'+
+                  '<button class="btn-ghost" id="loadMoreBtn" onclick="loadMoreEmails()">Muat lebih banyak ('+j.emails.length+'/'+j.total+')</button>'+
                 '</div>';
               }
             }
@@ -1157,48 +2495,345 @@ const PAGES = {
           console.log('📧 === loadEmails END ===');
         }
 
-        function wrapEmailHtml(inner){
-          // bikin email HTML kebaca jelas: background putih + text gelap
-          return '<!doctype html><html><head><meta charset="utf-8">'+
-            '<meta name="viewport" content="width=device-width,initial-scale=1">'+
-            '<style>'+
-              'html,body{margin:0;padding:0;background:#f8fafc;color:#0f172a;font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;}' +
-              'body{padding:16px;line-height:1.55;font-size:14px;}' +
-              'img{max-width:100%;height:auto;}' +
-              'table{max-width:100%;border-collapse:collapse;}' +
-              'a{color:#2563eb;}' +
-              'pre{white-space:pre-wrap;word-break:break-word;}' +
-              'blockquote{margin:0;padding-left:12px;border-left:3px solid rgba(15,23,42,.2);color:rgba(15,23,42,.85)}' +
-            '</style></head><body>'+ (inner || '') +'</body></html>';
+        function emailListUrl(local, domain, before){
+          const scope = SELECTED==='*' ?
+            (ALL_FILTER.aliases.length ? '&aliases='+encodeURIComponent(ALL_FILTER.aliases.join(',')) : '')+
+            (ALL_FILTER.domains.length ? '&domains='+encodeURIComponent(ALL_FILTER.domains.join(',')) : '') :
+            '&alias='+encodeURIComponent(local)+'&domain='+encodeURIComponent(domain);
+          return '/api/emails?folder='+encodeURIComponent(FOLDER)+scope+
+            (TAG_FILTER ? '&tag='+encodeURIComponent(TAG_FILTER) : '')+
+            (LABEL_FILTER ? '&label='+encodeURIComponent(LABEL_FILTER) : '')+
+            (before ? '&before='+encodeURIComponent(before) : '');
         }
 
-        async function openEmail(id){
-          const j = await api('/api/emails/'+encodeURIComponent(id));
-          if(!j.ok){ alert(j.error||'gagal'); return; }
+        // Refresh cuma ambil halaman pertama; halaman lama yang sudah dimuat tetap dipertahankan
+        function mergeFirstPage(local, domain, j){
+          const key = [local, domain, FOLDER, TAG_FILTER, LABEL_FILTER, ALL_FILTER.aliases, ALL_FILTER.domains].join('|');
+          const page = j.emails || [];
+          if(key !== EMAIL_LIST_KEY || !j.next_cursor || !page.length){
+            EMAIL_LIST_KEY = key;
+            EMAIL_LIST = page;
+            NEXT_CURSOR = j.next_cursor;
+            return;
+          }
+          const last = page[page.length-1];
+          const ids = new Set(page.map(m => m.id));
+          const older = EMAIL_LIST.filter(m => !ids.has(m.id) &&
+            (m.created_at < last.created_at || (m.created_at === last.created_at && m.id < last.id)));
+          EMAIL_LIST = page.concat(older);
+          if(!older.length) NEXT_CURSOR = j.next_cursor;
+        }
 
-          const v=document.getElementById('emailView');
-          v.style.display='block';
-          v.innerHTML =
-            '<div class="viewerHead">'+
-              '<div>'+
-                '<div style="font-weight:900;font-size:16px">'+esc(j.email.subject||'(no subject)')+'</div>'+
-                '<div class="muted" style="margin-top:6px">From: '+esc(j.email.from_addr||'')+'</div>'+
-                '<div class="muted">To: '+esc(j.email.to_addr||'')+'</div>'+
-                '<div class="muted">'+esc(fmtDate(j.email.date || j.email.created_at || ""))+'</div>'+
-              '</div>'+
-              '<button class="btn-ghost" onclick="document.getElementById(\\'emailView\\').style.display=\\'none\\'">Close</button>'+
-            '</div>'+
-            '<hr class="hr" />'+
-            '<div id="msgBody"></div>';
+        async function loadMoreEmails(){
+          if(!SELECTED || !NEXT_CURSOR) return;
+          const [local, domain] = SELECTED.split('@');
+          const btn = document.getElementById('loadMoreBtn');
+          if(btn){ btn.disabled = true; btn.textContent = '...'; }
+          const j = await api(emailListUrl(local, domain, NEXT_CURSOR));
+          if(!j.ok){ alert(j.error||'gagal'); if(btn) btn.disabled = false; return; }
+          const ids = new Set(EMAIL_LIST.map(m => m.id));
+          EMAIL_LIST = EMAIL_LIST.concat((j.emails||[]).filter(m => !ids.has(m.id)));
+          NEXT_CURSOR = j.next_cursor;
+          await loadEmails();
+        }
 
-          const body = document.getElementById('msgBody');
+        function dropFromEmailList(ids){
+          EMAIL_LIST = EMAIL_LIST.filter(m => !ids.includes(m.id));
+        }
+
+        // snippet dari server berisi <mark>; sisanya di-escape
+        function markHtml(s){
+          return esc(s||'').replace(/&lt;mark&gt;/g,'<mark>').replace(/&lt;\\/mark&gt;/g,'</mark>');
+        }
+
+        async function searchMail(){
+          const q = document.getElementById('searchQ').value.trim();
+          const box = document.getElementById('searchResults');
+          if(!q){ box.innerHTML=''; return; }
+          box.innerHTML = '<div class="muted">...</div>';
+          const j = await api('/api/search?q='+encodeURIComponent(q));
+          if(!j.ok){ box.innerHTML = '<div class="muted">'+esc(j.error||'gagal')+'</div>'; return; }
+          if(!j.results.length){ box.innerHTML = '<div class="muted">Tidak ada hasil.</div>'; return; }
+          box.innerHTML = '<div class="muted" style="margin-bottom:8px">'+j.results.length+' hasil</div>'+
+            j.results.map(r =>
+              '<div class="mailItem" style="cursor:pointer" onclick="openEmail(\\''+r.id+'\\')">'+
+                '<div class="mailSubject">'+(r.subject_hl ? markHtml(r.subject_hl) : esc(r.subject||'(no subject)'))+
+                  ' <span class="pill" style="padding:2px 8px">'+esc(r.local_part+(r.domain?'@'+r.domain:''))+'</span></div>'+
+                '<div class="mailMeta">From: '+esc(fmtAddr({name:r.from_name, address:r.from_addr}))+' • '+esc(fmtDate(r.date || r.created_at || ""))+'</div>'+
+                '<div class="muted" style="margin-top:4px;font-size:13px">'+markHtml(r.snippet)+'</div>'+
+              '</div>'
+            ).join('');
+        }
+
+        function mailItemHtml(m){
+          const isSelected = SELECTED_EMAILS.includes(m.id);
+          return '<div class="mailItem'+(isSelected?' selected':'')+(m.read_at?'':' unread')+'" id="mail_'+m.id+'">'+
+            '<div style="display:flex;gap:12px;align-items:flex-start">'+
+              '<input type="checkbox" class="emailCheckbox" '+
+                'id="check_'+m.id+'" '+
+                (isSelected?'checked ':'')+
+                'onclick="toggleEmailSelection(\\''+m.id+'\\')"/>'+
+              '<div style="flex:1;min-width:0">'+
+                '<div class="mailSubject">'+
+                  '<button class="starBtn" title="Star" onclick="setEmailFlags(\\''+m.id+'\\', {starred: '+(m.starred?'false':'true')+'})">'+(m.starred?'★':'☆')+'</button>'+
+                  esc(m.subject||'(no subject)')+
+                  (SELECTED==='*' ? ' <span class="pill" style="padding:2px 8px">'+esc(m.local_part+(m.domain?'@'+m.domain:''))+'</span>' : '')+
+                  (m.tag ? ' <span class="pill" style="padding:2px 8px">+'+esc(m.tag)+'</span>' : '')+
+                  (m.labels ? m.labels.split(',').map(l=>' <span class="pill" style="padding:2px 8px">🏷 '+esc(l)+'</span>').join('') : '')+
+                  authBadge(m)+'</div>'+
+                '<div class="mailMeta">From: '+esc(fmtAddr({name:m.from_name, address:m.from_addr}))+'</div>'+
+                '<div class="mailMeta">'+esc(fmtDate(m.date || m.created_at || ""))+'</div>'+
+                (m.snippet ? '<div class="mailSnippet">'+esc(m.snippet)+'</div>' : '')+
+                (m.otp_code || m.verify_link ?
+                  '<div style="margin-top:8px;display:flex;gap:8px;flex-wrap:wrap">'+
+                    (m.otp_code ? '<button class="chip" data-code="'+esc(m.otp_code)+'" onclick="copyCode(this)" title="Copy code">📋 '+esc(m.otp_code)+'</button>' : '')+
+                    (m.verify_link ? '<a class="chip" href="'+esc(m.verify_link)+'" target="_blank" rel="noopener noreferrer" title="'+esc(m.verify_link)+'">🔗 Open link</a>' : '')+
+                  '</div>' : '')+
+                '<div style="margin-top:10px;display:flex;gap:8px;flex-wrap:wrap">'+
+                  '<button class="btn-primary" onclick="openEmail(\\''+m.id+'\\')">View</button>'+
+                  '<button class="btn-ghost" onclick="setEmailFlags(\\''+m.id+'\\', {read: '+(m.read_at?'false':'true')+'})">'+(m.read_at?'Tandai belum dibaca':'Tandai dibaca')+'</button>'+
+                  folderButtonsHtml(m)+
+                  '<button class="btn-ghost" onclick="editLabels(\\''+m.id+'\\')">Label</button>'+
+                  '<button onclick="delEmail(\\''+m.id+'\\')" class="danger">'+(m.folder==='trash'?'Hapus permanen':'Delete')+'</button>'+
+                '</div>'+
+              '</div>'+
+            '</div>'+
+          '</div>';
+        }
+
+        function folderButtonsHtml(m){
+          const move = (f, text) => '<button class="btn-ghost" onclick="moveEmail(\\''+m.id+'\\',\\''+f+'\\')">'+text+'</button>';
+          if(m.folder==='trash') return '<button class="btn-ghost" onclick="restoreEmail(\\''+m.id+'\\')">Restore</button>';
+          if(m.folder==='spam') return move('inbox', 'Bukan spam');
+          if(m.folder==='archive') return move('inbox', 'Ke Inbox')+move('spam', 'Spam');
+          return move('archive', 'Arsipkan')+move('spam', 'Spam');
+        }
+
+        async function moveEmail(id, folder){
+          const j = await api('/api/emails/'+encodeURIComponent(id), {
+            method:'PATCH',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({folder})
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          dropFromEmailList([id]);
+          await loadEmails();
+          await updateUnreadBadges();
+        }
+
+        async function restoreEmail(id){
+          const j = await api('/api/emails/'+encodeURIComponent(id)+'/restore', {method:'POST'});
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          dropFromEmailList([id]);
+          await loadEmails();
+          await updateUnreadBadges();
+        }
+
+        async function emptyTrash(){
+          if(!SELECTED) return;
+          const [local, domain] = SELECTED.split('@');
+          const all = SELECTED==='*';
+          if(!confirm('Hapus permanen semua email di Trash '+(all ? 'semua alias' : SELECTED)+'?')) return;
+          const j = await api('/api/trash/empty', {
+            method:'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify(all ? {} : {alias: local, domain})
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          EMAIL_LIST = [];
+          SELECTED_EMAILS = [];
+          await loadMe();
+          await loadEmails();
+        }
+
+        async function editLabels(id){
+          const m = EMAIL_LIST.find(x => x.id === id);
+          const cur = m && m.labels ? m.labels.split(',').join(', ') : '';
+          const v = prompt('Label (pisahkan dengan koma):', cur);
+          if(v === null) return;
+          const j = await api('/api/emails/'+encodeURIComponent(id), {
+            method:'PATCH',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({labels: v.split(',').map(x => x.trim()).filter(Boolean)})
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          if(m) m.labels = j.labels;
+          await loadEmails();
+        }
+
+        async function copyCode(btn){
+          const code = btn.getAttribute('data-code');
+          try{
+            await navigator.clipboard.writeText(code);
+            btn.textContent = '✓ Copied';
+            setTimeout(()=>{ btn.textContent = '📋 '+code; }, 1500);
+          }catch(e){
+            prompt('Copy code:', code);
+          }
+        }
+
+        function setThreadView(on){
+          THREAD_VIEW = on;
+          loadEmails();
+        }
+
+        function toggleThread(threadId){
+          const box = document.getElementById('thr_'+threadId);
+          if(!box) return;
+          const open = box.style.display === 'none';
+          box.style.display = open ? 'block' : 'none';
+          OPEN_THREADS = OPEN_THREADS.filter(x=>x!==threadId);
+          if(open) OPEN_THREADS.push(threadId);
+        }
+
+        async function loadThreads(local, domain, box, silent){
+          const j = await api('/api/threads?alias='+encodeURIComponent(local)+'&domain='+encodeURIComponent(domain));
+          if(!j.ok){ if(!silent) alert(j.error||'gagal'); return; }
+
+          let html = '<div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap;margin-bottom:10px">'+
+            '<b>Percakapan</b>'+
+            (silent ? '<span class="muted" style="font-size:11px;margin-left:8px">\ud83d\udd04 Auto (30s)</span>' : '')+
+            '<span style="display:flex;gap:8px">'+
+              '<button class="btn-ghost" onclick="setThreadView(false)">Daftar biasa</button>'+
+              '<button class="btn-ghost" onclick="loadEmails()">Refresh</button>'+
+            '</span>'+
+          '</div>';
+
+          if(j.threads.length===0){
+            html += '<div class="muted" style="padding:24px;text-align:center;background:rgba(255,255,255,0.03);border-radius:8px;border:1px dashed rgba(148,163,184,0.3)">'+
+              '📪 Belum ada email masuk.'+
+            '</div>';
+          }
+          for(const t of j.threads){
+            const open = OPEN_THREADS.includes(t.thread_id);
+            html += '<div class="mailItem">'+
+              '<div style="cursor:pointer" onclick="toggleThread(\\''+t.thread_id+'\\')">'+
+                '<div class="mailSubject">'+esc(t.subject||'(no subject)')+
+                  (t.count>1 ? ' <span class="pill" style="padding:2px 8px">'+t.count+'</span>' : '')+'</div>'+
+                '<div class="mailMeta">'+esc(t.participants.join(', '))+'</div>'+
+                '<div class="mailMeta">'+esc(fmtDate(t.last_at))+'</div>'+
+              '</div>'+
+              '<div id="thr_'+t.thread_id+'" style="display:'+(open?'block':'none')+';margin-top:10px">'+
+                t.emails.map(mailItemHtml).join('')+
+              '</div>'+
+            '</div>';
+          }
+          box.innerHTML = html;
+        }
+
+        function authSummary(m){
+          return 'SPF: '+(m.auth_spf||'-')+' • DKIM: '+(m.auth_dkim||'-')+' • DMARC: '+(m.auth_dmarc||'-');
+        }
+
+        function authBadge(m){
+          if(!m.auth_suspicious) return '';
+          return ' <span class="pill authWarn" title="'+esc(authSummary(m)+(m.from_mismatch?' • envelope ≠ From':''))+'">⚠️ Pengirim tidak terverifikasi</span>';
+        }
+
+        function wrapEmailHtml(inner, allowRemote){
+          // bikin email HTML kebaca jelas: background putih + text gelap
+          // CSP kedua di dalam srcdoc: gambar remote hanya jalan kalau diizinkan
+          return '<!doctype html><html><head><meta charset="utf-8">'+
+            '<meta http-equiv="Content-Security-Policy" content="default-src \\'none\\'; style-src \\'unsafe-inline\\''+(allowRemote?' https:':'')+'; img-src data: '+location.origin+(allowRemote?' https: http:':'')+'; font-src data:'+(allowRemote?' https:':'')+'">'+
+            '<meta name="viewport" content="width=device-width,initial-scale=1">'+
+            '<style>'+
+              'html,body{margin:0;padding:0;background:#f8fafc;color:#0f172a;font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;}' +
+              'body{padding:16px;line-height:1.55;font-size:14px;}' +
+              'img{max-width:100%;height:auto;}' +
+              'table{max-width:100%;border-collapse:collapse;}' +
+              'a{color:#2563eb;}' +
+              'pre{white-space:pre-wrap;word-break:break-word;}' +
+              'blockquote{margin:0;padding-left:12px;border-left:3px solid rgba(15,23,42,.2);color:rgba(15,23,42,.85)}' +
+            '</style></head><body>'+ (inner || '') +'</body></html>';
+        }
+
+        function remoteNotice(e){
+          if(!e.html) return '';
+          const sender = e.trust_sender || '';
+          const trustBtn = sender ? (e.sender_trusted ?
+            '<button class="btn-ghost" data-sender="'+esc(sender)+'" data-id="'+esc(e.id)+'" onclick="untrustSender(this)">Berhenti percayai '+esc(sender)+'</button>' :
+            '<button class="btn-ghost" data-sender="'+esc(sender)+'" data-id="'+esc(e.id)+'" onclick="trustSender(this)">Selalu percayai '+esc(sender)+'</button>') : '';
+          if(!e.remote_blocked && !e.trackers && !e.sender_trusted) return '';
+          return '<div class="remoteBox">'+
+            (e.remote_blocked ? '🛡️ '+e.remote_blocked+' konten remote diblokir. ' : '')+
+            (e.trackers ? '👁️ '+e.trackers+' tracker diblokir. ' : '')+
+            (e.images_loaded && !e.remote_blocked ? 'Gambar remote dimuat. ' : '')+
+            '<div style="margin-top:6px;display:flex;gap:8px;flex-wrap:wrap">'+
+              (e.remote_blocked ? '<button class="btn-ghost" onclick="openEmail(\\''+e.id+'\\', true)">Load remote images</button>' : '')+
+              trustBtn+
+            '</div>'+
+          '</div>';
+        }
+
+        async function trustSender(btn){
+          const sender = btn.getAttribute('data-sender');
+          const id = btn.getAttribute('data-id');
+          const j = await api('/api/trusted-senders', {
+            method:'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({sender})
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await openEmail(id);
+        }
+
+        async function untrustSender(btn){
+          const sender = btn.getAttribute('data-sender');
+          const id = btn.getAttribute('data-id');
+          const j = await api('/api/trusted-senders/'+encodeURIComponent(sender), {method:'DELETE'});
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          await openEmail(id);
+        }
+
+        async function openEmail(id, images){
+          const j = await api('/api/emails/'+encodeURIComponent(id)+(images?'?images=1':''));
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+
+          const v=document.getElementById('emailView');
+          v.style.display='block';
+          v.innerHTML =
+            '<div class="viewerHead">'+
+              '<div>'+
+                '<div style="font-weight:900;font-size:16px">'+esc(j.email.subject||'(no subject)')+'</div>'+
+                '<div class="muted" style="margin-top:6px">From: '+esc(fmtAddr({name:j.email.from_name, address:j.email.from_addr}))+'</div>'+
+                '<div class="muted">To: '+esc(j.email.to.length ? j.email.to.map(fmtAddr).join(', ') : (j.email.to_addr||''))+'</div>'+
+                (j.email.cc.length ? '<div class="muted">Cc: '+esc(j.email.cc.map(fmtAddr).join(', '))+'</div>' : '')+
+                (j.email.bcc.length ? '<div class="muted">Bcc: '+esc(j.email.bcc.map(fmtAddr).join(', '))+'</div>' : '')+
+                (j.email.reply_to.length ? '<div class="muted">Reply-To: '+esc(j.email.reply_to.map(fmtAddr).join(', '))+'</div>' : '')+
+                '<div class="muted">'+esc(fmtDate(j.email.date || j.email.created_at || ""))+'</div>'+
+              '</div>'+
+              '<button class="btn-ghost" onclick="document.getElementById(\\'emailView\\').style.display=\\'none\\'">Close</button>'+
+            '</div>'+
+            '<div style="margin-top:10px;display:flex;gap:8px;flex-wrap:wrap">'+
+              '<button class="btn-ghost" data-starred="'+(j.email.starred?'1':'0')+'" onclick="toggleStar(this,\\''+j.email.id+'\\')">'+(j.email.starred?'★ Starred':'☆ Star')+'</button>'+
+              '<button class="btn-ghost" onclick="markUnread(\\''+j.email.id+'\\')">Tandai belum dibaca</button>'+
+              (j.email.headers.length ? '<button class="btn-ghost" onclick="toggleHeaders()">Details / all headers</button>' : '')+
+              (j.email.raw_key ?
+                '<button class="btn-ghost" onclick="toggleSource(\\''+j.email.id+'\\')">View source</button>'+
+                '<a class="attDownload" href="/api/emails/'+encodeURIComponent(j.email.id)+'/raw" download>Download .eml</a>' : '')+
+            '</div>'+
+            (j.email.auth_suspicious ?
+              '<div class="authBox">'+
+                '<b>⚠️ Hati-hati: pengirim tidak terverifikasi.</b> Email ini bisa saja memalsukan alamat From.'+
+                '<div style="margin-top:6px">'+esc(authSummary(j.email))+'</div>'+
+                (j.email.from_mismatch ? '<div>Envelope sender: '+esc(j.email.envelope_from||'(kosong)')+' ≠ From: '+esc(j.email.from_addr||'')+'</div>' : '')+
+              '</div>' :
+              '<div class="muted" style="margin-top:6px;font-size:12.5px">'+esc(authSummary(j.email))+'</div>')+
+            remoteNotice(j.email)+
+            '<div id="msgHeaders" style="display:none;margin-top:10px">'+headersTable(j.email.headers)+'</div>'+
+            '<div id="msgSource" style="display:none;margin-top:10px"></div>'+
+            '<hr class="hr" />'+
+            '<div id="msgBody"></div>'+
+            '<div id="msgAttachments"></div>';
+
+          const body = document.getElementById('msgBody');
 
           if (j.email.html) {
             const iframe = document.createElement('iframe');
             iframe.className = 'mailFrame';
             iframe.setAttribute('sandbox',''); // no scripts
             iframe.setAttribute('referrerpolicy','no-referrer');
-            iframe.srcdoc = wrapEmailHtml(j.email.html);
+            iframe.srcdoc = wrapEmailHtml(j.email.html, j.email.images_loaded);
             body.appendChild(iframe);
 
             const note = document.createElement('div');
@@ -1217,6 +2852,88 @@ const PAGES = {
           }
 
           v.scrollIntoView({behavior:'smooth'});
+          await loadAttachments(id, j.email.inline_parts);
+
+          // server sudah menandai dibaca; sinkronkan list + badge
+          const listed = EMAIL_LIST.find(x => x.id === id);
+          if(listed && !listed.read_at){
+            listed.read_at = j.email.read_at;
+            const item = document.getElementById('mail_'+id);
+            if(item) item.classList.remove('unread');
+            await updateUnreadBadges();
+          }
+        }
+
+        function fmtAddr(a){
+          if(!a || !a.address) return '';
+          return a.name ? a.name+' <'+a.address+'>' : a.address;
+        }
+
+        function headersTable(headers){
+          let html = '<div class="paper" style="max-height:50vh;overflow:auto"><table class="hdrTable">';
+          for(const h of headers){
+            html += '<tr><td>'+esc(h.key)+'</td><td>'+esc(h.value)+'</td></tr>';
+          }
+          return html + '</table></div>';
+        }
+
+        function toggleHeaders(){
+          const box = document.getElementById('msgHeaders');
+          if(box) box.style.display = box.style.display === 'none' ? 'block' : 'none';
+        }
+
+        async function toggleSource(id){
+          const box = document.getElementById('msgSource');
+          if(!box) return;
+          if(box.style.display !== 'none'){ box.style.display='none'; return; }
+          box.style.display = 'block';
+          box.textContent = '...';
+          const r = await fetch('/api/emails/'+encodeURIComponent(id)+'/raw');
+          if(!r.ok){
+            const j = await r.json().catch(()=>null);
+            box.textContent = (j && j.error) || 'gagal';
+            return;
+          }
+          const src = await r.text();
+          box.innerHTML = '';
+          const wrap = document.createElement('div');
+          wrap.className = 'paper';
+          const pre = document.createElement('pre');
+          pre.className = 'mailText';
+          pre.style.maxHeight = '50vh';
+          pre.style.overflow = 'auto';
+          pre.textContent = src;
+          wrap.appendChild(pre);
+          box.appendChild(wrap);
+        }
+
+        function fmtSize(n){
+          n = Number(n)||0;
+          if(n < 1024) return n+' B';
+          if(n < 1024*1024) return (n/1024).toFixed(1)+' KB';
+          return (n/1024/1024).toFixed(1)+' MB';
+        }
+
+        async function loadAttachments(id, inlineParts){
+          const box = document.getElementById('msgAttachments');
+          if(!box) return;
+          const j = await api('/api/emails/'+encodeURIComponent(id)+'/attachments').catch(()=>null);
+          // gambar inline yang sudah tampil di body tidak perlu diulang di list
+          const list = j && j.ok ? j.attachments.filter(a => !(inlineParts||[]).includes(a.id)) : [];
+          if(!list.length){ box.innerHTML=''; return; }
+
+          let html = '<hr class="hr" /><div class="muted" style="margin-bottom:8px">📎 Attachment ('+list.length+')</div>';
+          for(const a of list){
+            const href = '/api/emails/'+encodeURIComponent(id)+'/attachments/'+encodeURIComponent(a.id);
+            html += '<div class="attItem">'+
+              '<div style="flex:1;min-width:0">'+
+                '<div style="font-weight:700;word-break:break-all">'+esc(a.filename||'(tanpa nama)')+'</div>'+
+                '<div class="muted" style="font-size:12px">'+esc(a.mime_type||'')+' • '+fmtSize(a.size)+'</div>'+
+              '</div>'+
+              '<a class="attDownload" href="'+href+'" download>Download</a>'+
+            '</div>';
+          }
+          box.innerHTML = html;
         }
 
         async function createAlias(){
@@ -1251,13 +2968,16 @@ const PAGES = {
           await loadAliases();
         }
 
+        // Delete biasa = pindah ke Trash (bisa di-restore); dari Trash = permanen
         async function delEmail(id){
-          if(!confirm('Hapus email ini?')) return;
+          const m = EMAIL_LIST.find(x => x.id === id);
+          if(m && m.folder==='trash' && !confirm('Hapus permanen email ini?')) return;
           const j = await api('/api/emails/'+encodeURIComponent(id), {method:'DELETE'});
           if(!j.ok){ alert(j.error||'gagal'); return; }
           // Remove from selection if it was selected
           const idx = SELECTED_EMAILS.indexOf(id);
           if(idx !== -1) SELECTED_EMAILS.splice(idx, 1);
+          dropFromEmailList([id]);
           document.getElementById('emailView').style.display='none';
           await loadEmails();
         }
@@ -1296,6 +3016,22 @@ const PAGES = {
           loadEmails();
         }
 
+        // Semua aksi massal lewat satu request /api/emails/bulk
+        async function bulkSelected(action, extra){
+          if(SELECTED_EMAILS.length === 0){
+            alert('Tidak ada email yang dipilih.');
+            return null;
+          }
+          const j = await api('/api/emails/bulk', {
+            method:'POST',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify(Object.assign({action, ids: SELECTED_EMAILS}, extra||{}))
+          });
+          if(!j.ok){ alert(j.error||'gagal'); return null; }
+          if(j.summary.failed > 0) alert('Berhasil: '+j.summary.ok+' email. Gagal: '+j.summary.failed);
+          return j;
+        }
+
         async function deleteSelectedEmails(){
           if(SELECTED_EMAILS.length === 0){
             alert('Tidak ada email yang dipilih.');
@@ -1303,42 +3039,44 @@ const PAGES = {
           }
           
           const count = SELECTED_EMAILS.length;
-          if(!confirm('Hapus '+count+' email yang dipilih?')) return;
-          
-          // Delete all selected emails
-          let successCount = 0;
-          let failCount = 0;
+          if(!confirm(FOLDER==='trash' ? 'Hapus permanen '+count+' email yang dipilih?' : 'Pindahkan '+count+' email ke Trash?')) return;
           
-          for(const id of SELECTED_EMAILS){
-            try{
-              const j = await api('/api/emails/'+encodeURIComponent(id), {method:'DELETE'});
-              if(j.ok) successCount++;
-              else failCount++;
-            } catch(e){
-              console.error('Failed to delete email:', id, e);
-              failCount++;
-            }
-          }
+          const j = await bulkSelected('delete');
+          if(!j) return;
           
           // Clear selection
+          dropFromEmailList(j.results.filter(r => r.ok).map(r => r.id));
           SELECTED_EMAILS = [];
           
-          // Show result
-          if(failCount > 0){
-            alert('Berhasil hapus '+successCount+' email. Gagal: '+failCount);
-          } else {
-            alert('Berhasil hapus '+successCount+' email.');
-          }
-          
           // Refresh inbox
           document.getElementById('emailView').style.display='none';
           await loadEmails();
+          await updateUnreadBadges();
+          if(FOLDER==='trash') await loadMe();
+        }
+
+        async function bulkAction(action, extra){
+          const j = await bulkSelected(action, extra);
+          if(!j) return;
+          // pindah folder = hilang dari list sekarang
+          if(action === 'move' || action === 'restore') dropFromEmailList(j.results.filter(r => r.ok).map(r => r.id));
+          SELECTED_EMAILS = [];
+          await loadEmails();
+          await updateUnreadBadges();
+        }
+
+        async function bulkLabel(){
+          const v = prompt('Tambah label ke email yang dipilih (pisahkan dengan koma):', '');
+          if(!v) return;
+          await bulkAction('label', {labels: v.split(',').map(x => x.trim()).filter(Boolean)});
         }
 
         function startAutoRefresh(){
           stopAutoRefresh();
+          if(EVENTS_LIVE) return;
           AUTO_REFRESH_INTERVAL = setInterval(()=>{
             loadEmails(true);
+            updateUnreadBadges();
           }, 30000);
         }
 
@@ -1349,6 +3087,45 @@ const PAGES = {
           }
         }
 
+        // Push email baru via WebSocket (/api/events); polling 30 detik cuma fallback saat koneksi putus
+        function connectEvents(){
+          if(!window.WebSocket) return;
+          let ws;
+          try{ ws = new WebSocket((location.protocol==='https:'?'wss:':'ws:')+'//'+location.host+'/api/events'); }
+          catch(e){ return; }
+          ws.onopen = ()=>{
+            EVENTS_LIVE = true;
+            EVENTS_OPENED = true;
+            EVENTS_RETRY = 1000;
+            stopAutoRefresh();
+            EVENTS_PING = setInterval(()=>{ try{ ws.send('ping'); }catch(e){} }, 45000);
+            // bisa jadi ada email masuk selama terputus
+            if(SELECTED) loadEmails(true);
+            updateUnreadBadges();
+          };
+          ws.onmessage = (ev)=>{
+            let e;
+            try{ e = JSON.parse(ev.data); }catch(err){ return; }
+            if(e.type==='email') onNewMail(e);
+          };
+          ws.onclose = ()=>{
+            EVENTS_LIVE = false;
+            if(EVENTS_PING){ clearInterval(EVENTS_PING); EVENTS_PING = null; }
+            if(SELECTED) startAutoRefresh();
+            // server tanpa MAIL_EVENTS tidak pernah open -> berhenti setelah beberapa percobaan
+            if(!EVENTS_OPENED && EVENTS_RETRY >= 16000) return;
+            setTimeout(connectEvents, EVENTS_RETRY);
+            EVENTS_RETRY = Math.min(EVENTS_RETRY*2, 60000);
+          };
+        }
+
+        function onNewMail(e){
+          updateUnreadBadges();
+          if(!SELECTED || e.folder!==FOLDER) return;
+          const [local, domain] = SELECTED.split('@');
+          if(SELECTED==='*' || (local===e.alias && (!e.domain || domain===e.domain))) loadEmails(true);
+        }
+
         async function logout(){
           stopAutoRefresh();
           await fetch('/api/auth/logout',{method:'POST'});
@@ -1360,16 +3137,75 @@ const PAGES = {
         window.selectAlias = selectAlias;
         window.delAlias = delAlias;
         window.openEmail = openEmail;
+        window.loadMoreEmails = loadMoreEmails;
+        window.selectAllMail = selectAllMail;
+        window.toggleAllFilter = toggleAllFilter;
+        window.searchMail = searchMail;
+        window.setEmailFlags = setEmailFlags;
+        window.toggleStar = toggleStar;
+        window.markUnread = markUnread;
+        window.setLabelFilter = setLabelFilter;
+        window.moveEmail = moveEmail;
+        window.restoreEmail = restoreEmail;
+        window.emptyTrash = emptyTrash;
+        window.editLabels = editLabels;
+        window.bulkAction = bulkAction;
+        window.bulkLabel = bulkLabel;
+        window.trustSender = trustSender;
+        window.untrustSender = untrustSender;
+        window.toggleSource = toggleSource;
         window.delEmail = delEmail;
         window.toggleEmailSelection = toggleEmailSelection;
         window.toggleSelectAll = toggleSelectAll;
         window.deleteSelectedEmails = deleteSelectedEmails;
         window.logout = logout;
+        window.addForward = addForward;
+        window.resendForward = resendForward;
+        window.delForward = delForward;
+        window.toggleForwardPanel = toggleForwardPanel;
+        window.saveForwards = saveForwards;
+        window.setSubaddressing = setSubaddressing;
+        window.setTagFilter = setTagFilter;
+        window.toggleRulesPanel = toggleRulesPanel;
+        window.toggleAutoReplyPanel = toggleAutoReplyPanel;
+        window.setThreadView = setThreadView;
+        window.toggleHeaders = toggleHeaders;
+        window.toggleThread = toggleThread;
+        window.saveAutoReply = saveAutoReply;
+        window.delAutoReply = delAutoReply;
+        window.addRule = addRule;
+        window.delRule = delRule;
+        window.editMailRule = editMailRule;
+        window.saveMailRule = saveMailRule;
+        window.testMailRule = testMailRule;
+        window.moveMailRule = moveMailRule;
+        window.setMailRuleEnabled = setMailRuleEnabled;
+        window.delMailRule = delMailRule;
+        window.addRuleRow = addRuleRow;
+        window.ruleRowChanged = ruleRowChanged;
+        window.setFolder = setFolder;
+        window.copyCode = copyCode;
+        window.addWebhook = addWebhook;
+        window.testWebhook = testWebhook;
+        window.toggleDeliveries = toggleDeliveries;
+        window.setWebhookDisabled = setWebhookDisabled;
+        window.delWebhook = delWebhook;
+        window.startExport = startExport;
+        window.delExport = delExport;
 
         (async ()=>{
           try{
             await loadMe();
+            await loadForwards();
             await loadAliases();
+            await loadMailRules();
+            await loadWebhooks();
+            await loadExports();
+            connectEvents();
+
+            // link dari webhook: /app#email=<id>
+            const m = location.hash.match(/^#email=(.+)$/);
+            if(m) await openEmail(decodeURIComponent(m[1]));
           }catch(e){
             alert(String(e && e.message ? e.message : e));
           }
@@ -1523,6 +3359,7 @@ const PAGES = {
         }
         .limitInput{
           display:flex;
+          flex-wrap:wrap;
           gap:8px;
           align-items:center;
           grid-column:1/-1;
@@ -1571,7 +3408,7 @@ const PAGES = {
               <span class="sidebarIcon">📨</span>
               <span>Pesan User</span>
             </div>
-            <div class="sidebarItem" onclick="showSettings()">
+            <div class="sidebarItem" id="navSettings" data-section="settings">
               <span class="sidebarIcon">⚙️</span>
               <span>Settings</span>
             </div>
@@ -1608,12 +3445,45 @@ const PAGES = {
             </div>
             
             <div style="margin-bottom:16px">
-              <input id="searchUser" placeholder="Filter by user email..." style="max-width:400px" oninput="filterMessages(this.value)" />
+              <input id="searchUser" placeholder="Cari: kata, from:, subject:, alias:, user:email, after:YYYY-MM-DD" style="max-width:520px" oninput="filterMessages(this.value)" />
             </div>
             
             <div id="messagesList"></div>
             <div id="emailViewer" style="display:none;margin-top:20px"></div>
           </div>
+
+          <!-- Settings Section -->
+          <div id="sectionSettings" style="display:none">
+            <div class="contentHeader">
+              <div class="contentTitle">Settings</div>
+              <div class="contentSubtitle">
+                <span class="muted">Domains: <span class="kbd">${domainsDisplay}</span></span>
+              </div>
+            </div>
+
+            <div class="userCard">
+              <div class="userName">Pattern alias</div>
+              <label style="display:flex;gap:8px;align-items:center;margin-top:10px;color:var(--text)">
+                <input type="checkbox" id="setAllowOverlap" style="width:auto" onchange="saveSettings()" />
+                Izinkan pattern user berbeda saling tumpang-tindih
+              </label>
+              <div class="muted" style="font-size:12.5px">Kalau mati, pattern baru yang bisa menangkap alamat yang sama dengan pattern user lain akan ditolak.</div>
+              <div id="settingsMsg" class="muted" style="margin-top:8px"></div>
+            </div>
+
+            <div class="userCard">
+              <div class="userName">Trash</div>
+              <label style="display:flex;gap:8px;align-items:center;margin-top:10px;color:var(--text)">
+                Kosongkan otomatis setelah
+                <input type="number" id="setTrashDays" min="0" max="3650" style="width:90px" onchange="saveSettings('trashMsg')" />
+                hari
+              </label>
+              <div class="muted" style="font-size:12.5px">Email yang dihapus user masuk Trash dulu. 0 = tidak pernah dikosongkan otomatis (cron harian).</div>
+              <div id="trashMsg" class="muted" style="margin-top:8px"></div>
+            </div>
+
+            <div class="muted" style="font-size:12.5px">⚠️ Delete user akan menghapus semua data terkait (sessions, tokens, aliases, emails + raw di R2 jika ada).</div>
+          </div>
         </div>
       </div>
 
@@ -1622,6 +3492,8 @@ const PAGES = {
         let CURRENT_SECTION = 'users';
         let ALL_MESSAGES = [];
         let FILTERED_MESSAGES = [];
+        let MESSAGES_CURSOR = null;
+        let MESSAGES_TOTAL = 0;
         function esc(s){return (s||'').replace(/[&<>"']/g, m=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[m]));}
 
         function bindNavigation(){
@@ -1674,6 +3546,7 @@ const PAGES = {
                     (u.role==='admin' ? '<span class="pill" style="background:rgba(59,130,246,.15);border-color:rgba(59,130,246,.4)">admin</span>' : '<span class="pill">user</span>')+
                     (u.disabled ? '<span class="pill" style="background:rgba(239,68,68,.15);border-color:rgba(239,68,68,.4)">disabled</span>' : '')+
                     '<span class="pill">'+u.alias_count+' mail</span>'+
+                    '<span class="pill">'+fmtMB(u.storage_used)+' of '+(u.storage_quota_bytes ? fmtMB(u.storage_quota_bytes) : '∞')+' used</span>'+
                   '</div>'+
                 '</div>'+
               '</div>'+
@@ -1681,6 +3554,14 @@ const PAGES = {
                 '<div class="limitInput">'+
                   '<label style="font-size:12px;color:var(--muted);white-space:nowrap">Mail Limit:</label>'+
                   '<input id="lim_'+esc(u.id)+'" value="'+u.alias_limit+'" type="number" />'+
+                  '<label style="font-size:12px;color:var(--muted);white-space:nowrap">Pattern:</label>'+
+                  '<input id="plim_'+esc(u.id)+'" value="'+(u.pattern_limit||0)+'" type="number" />'+
+                  '<label style="font-size:12px;color:var(--muted);white-space:nowrap">Quota MB:</label>'+
+                  '<input id="qmb_'+esc(u.id)+'" value="'+Math.round((Number(u.storage_quota_bytes)||0)/1048576)+'" type="number" title="0 = tanpa batas" />'+
+                  '<select id="qpol_'+esc(u.id)+'">'+
+                    '<option value="reject"'+(u.storage_policy!=='purge_oldest'?' selected':'')+'>Tolak jika penuh</option>'+
+                    '<option value="purge_oldest"'+(u.storage_policy==='purge_oldest'?' selected':'')+'>Hapus terlama (kecuali berbintang)</option>'+
+                  '</select>'+
                   '<button class="btn-primary" onclick="setLimit(\\''+esc(u.id)+'\\')">Update</button>'+
                 '</div>'+
                 '<button onclick="toggleAliases(\\''+esc(u.id)+'\\')" class="btn-ghost">📧 Lihat Mail</button>'+
@@ -1721,7 +3602,8 @@ const PAGES = {
             const aliasDomain = a.domain || DEFAULT_DOMAIN;
             html += '<div style="padding:10px 0;border-bottom:1px solid rgba(71,85,105,.2);display:flex;justify-content:space-between;align-items:center;gap:10px">'+
               '<div style="flex:1;min-width:0">'+
-                '<div style="font-family:ui-monospace,monospace;font-size:13px;word-break:break-all;font-weight:600">'+esc(a.local_part)+'@'+esc(aliasDomain)+'</div>'+
+                '<div style="font-family:ui-monospace,monospace;font-size:13px;word-break:break-all;font-weight:600">'+esc(a.local_part)+'@'+esc(aliasDomain)+
+                  (a.kind==='pattern' ? ' <span class="pill" style="font-size:11px">pattern</span>' : '')+'</div>'+
                 '<div class="muted" style="font-size:11px;margin-top:2px">'+new Date(a.created_at*1000).toLocaleDateString('id-ID', {day:'numeric', month:'short', year:'numeric', hour:'2-digit', minute:'2-digit'})+'</div>'+
               '</div>'+
               '<div>'+
@@ -1733,17 +3615,24 @@ const PAGES = {
           aliasBox.innerHTML = html;
         }
 
+        function fmtMB(n){
+          return ((Number(n)||0)/1048576).toFixed(1)+' MB';
+        }
+
         async function setLimit(id){
           const v = document.getElementById('lim_'+id).value;
           const lim = parseInt(v,10);
-          if(isNaN(lim) || lim < 0){
+          const plim = parseInt(document.getElementById('plim_'+id).value,10);
+          const qmb = parseInt(document.getElementById('qmb_'+id).value,10);
+          const policy = document.getElementById('qpol_'+id).value;
+          if(isNaN(lim) || lim < 0 || isNaN(plim) || plim < 0 || isNaN(qmb) || qmb < 0){
             alert('Limit harus angka positif');
             return;
           }
           const j = await api('/api/admin/users/'+encodeURIComponent(id), {
             method:'PATCH',
             headers:{'content-type':'application/json'},
-            body:JSON.stringify({alias_limit:lim})
+            body:JSON.stringify({alias_limit:lim, pattern_limit:plim, storage_quota_bytes:qmb*1048576, storage_policy:policy})
           });
           if(!j.ok){ alert(j.error||'gagal'); return; }
           alert('Limit berhasil diupdate!');
@@ -1770,36 +3659,30 @@ const PAGES = {
           await loadUsers();
         }
 
+        const SECTIONS = {
+          users: { nav: 'navUsers', el: 'sectionUsers' },
+          messages: { nav: 'navMessages', el: 'sectionMessages', onShow: () => loadAllMessages() },
+          settings: { nav: 'navSettings', el: 'sectionSettings', onShow: () => loadSettings() },
+        };
+
         function showSection(section){
           console.log('showSection called with:', section);
+          if(!SECTIONS[section]) return;
           CURRENT_SECTION = section;
           
           // Update nav active state
-          const navUsers = document.getElementById('navUsers');
-          const navMessages = document.getElementById('navMessages');
-          const sectionUsers = document.getElementById('sectionUsers');
-          const sectionMessages = document.getElementById('sectionMessages');
-          
-          if(!navUsers || !navMessages || !sectionUsers || !sectionMessages){
-            console.error('Missing elements:', {navUsers, navMessages, sectionUsers, sectionMessages});
-            return;
-          }
-          
-          navUsers.classList.remove('active');
-          navMessages.classList.remove('active');
-          
-          if(section === 'users'){
-            navUsers.classList.add('active');
-            sectionUsers.style.display = 'block';
-            sectionMessages.style.display = 'none';
-            console.log('Switched to users section');
-          } else if(section === 'messages'){
-            navMessages.classList.add('active');
-            sectionUsers.style.display = 'none';
-            sectionMessages.style.display = 'block';
-            console.log('Switched to messages section');
-            loadAllMessages();
+          for(const [key, s] of Object.entries(SECTIONS)){
+            const nav = document.getElementById(s.nav);
+            const el = document.getElementById(s.el);
+            if(!nav || !el){
+              console.error('Missing elements for section:', key);
+              continue;
+            }
+            nav.classList.toggle('active', key === section);
+            el.style.display = key === section ? 'block' : 'none';
           }
+          console.log('Switched to '+section+' section');
+          if(SECTIONS[section].onShow) SECTIONS[section].onShow();
         }
         
         async function loadAllMessages(){
@@ -1814,6 +3697,8 @@ const PAGES = {
             }
             
             ALL_MESSAGES = j.emails || [];
+            MESSAGES_CURSOR = j.next_cursor;
+            MESSAGES_TOTAL = j.total;
             FILTERED_MESSAGES = ALL_MESSAGES;
             renderMessages();
           } catch(e){
@@ -1821,17 +3706,43 @@ const PAGES = {
           }
         }
         
+        async function loadMoreMessages(){
+          if(!MESSAGES_CURSOR) return;
+          const j = await api('/api/admin/emails?before='+encodeURIComponent(MESSAGES_CURSOR));
+          if(!j.ok){ alert(j.error||'gagal'); return; }
+          ALL_MESSAGES = ALL_MESSAGES.concat(j.emails || []);
+          MESSAGES_CURSOR = j.next_cursor;
+          MESSAGES_TOTAL = j.total;
+          FILTERED_MESSAGES = ALL_MESSAGES;
+          renderMessages();
+        }
+
+        // Cari di server (FTS) — bukan cuma di halaman yang sudah dimuat
+        let SEARCH_TIMER = null;
+        let SEARCHING = false;
         function filterMessages(query){
-          const q = query.toLowerCase().trim();
+          clearTimeout(SEARCH_TIMER);
+          SEARCH_TIMER = setTimeout(() => searchMessages(query), 300);
+        }
+
+        async function searchMessages(query){
+          const q = query.trim();
           if(!q){
+            SEARCHING = false;
             FILTERED_MESSAGES = ALL_MESSAGES;
-          } else {
-            FILTERED_MESSAGES = ALL_MESSAGES.filter(m => 
-              (m.user_email||'').toLowerCase().includes(q) ||
-              (m.username||'').toLowerCase().includes(q)
-            );
+            renderMessages();
+            return;
           }
+          const j = await api('/api/admin/search?q='+encodeURIComponent(q));
+          if(q !== document.getElementById('searchUser').value.trim()) return; // sudah diketik ulang
+          SEARCHING = true;
+          FILTERED_MESSAGES = j.ok ? j.results : [];
           renderMessages();
+          if(!j.ok) document.getElementById('messagesList').innerHTML = '<div class="muted">'+esc(j.error||'gagal')+'</div>';
+        }
+
+        function markHtml(s){
+          return esc(s||'').replace(/&lt;mark&gt;/g,'<mark>').replace(/&lt;\\/mark&gt;/g,'</mark>');
         }
         
         function renderMessages(){
@@ -1841,17 +3752,12 @@ const PAGES = {
             return;
           }
           
-          if(FILTERED_MESSAGES.length === 0){
-            box.innerHTML = '<div class="muted">Tidak ada pesan.</div>';
-            return;
-          }
-          
-          let html = '';
+          let html = FILTERED_MESSAGES.length === 0 ? '<div class="muted">Tidak ada pesan.</div>' : '';
           for(const m of FILTERED_MESSAGES){
             const userInfo = esc((m.username||'unknown')+' ('+m.user_email+')');
             const fromAddr = esc(m.from_addr||'');
-            const subject = esc(m.subject||'(no subject)');
-            const snippet = esc((m.snippet||'').substring(0,120));
+            const subject = m.subject_hl ? markHtml(m.subject_hl) : esc(m.subject||'(no subject)');
+            const snippet = markHtml(m.snippet);
             const date = new Date(m.created_at*1000).toLocaleDateString('id-ID', {day:'numeric', month:'short', year:'numeric', hour:'2-digit', minute:'2-digit'});
             
             html += '<div class="userCard" style="cursor:pointer" data-msg-id="'+esc(m.id)+'">'+
@@ -1870,9 +3776,17 @@ const PAGES = {
             '</div>';
           }
           
+          if(MESSAGES_CURSOR && !SEARCHING){
+            html += '<div style="text-align:center;margin-top:10px">'+
+              '<button class="btn-ghost" data-action="more">Muat lebih banyak ('+ALL_MESSAGES.length+'/'+MESSAGES_TOTAL+')</button>'+
+            '</div>';
+          }
           box.innerHTML = html;
 
           // attach click handlers after render
+          box.querySelectorAll('[data-action="more"]').forEach(btn => {
+            btn.addEventListener('click', () => loadMoreMessages());
+          });
           box.querySelectorAll('[data-action="open"]').forEach(btn => {
             btn.addEventListener('click', (e) => {
               e.stopPropagation();
@@ -1912,8 +3826,9 @@ const PAGES = {
                   '<div style="margin-bottom:8px"><b>To:</b> '+esc(e.to_addr||'')+'</div>'+
                   '<div style="margin-bottom:8px"><b>Subject:</b> '+esc(e.subject||'')+'</div>'+
                   '<div style="margin-bottom:8px"><b>Date:</b> '+esc(e.date||'')+'</div>'+
+                  (e.raw_key ? '<a class="pill" href="/api/admin/emails/'+encodeURIComponent(e.id)+'/raw" download>⬇ Download .eml</a>' : '')+
                 '</div>'+
-                (e.html ? '<iframe class="mailFrame" srcdoc="'+esc(e.html)+'"></iframe>' : 
+                (e.html ? '<iframe class="mailFrame" sandbox="" referrerpolicy="no-referrer" srcdoc="'+esc(e.html)+'"></iframe>' : 
                          '<div class="paper"><pre class="mailText">'+esc(e.text||'')+'</pre></div>')+
               '</div>';
           } catch(e){
@@ -1926,8 +3841,28 @@ const PAGES = {
         }
         
         function showSettings(){
-          console.log('showSettings called');
-          alert('⚙️ Settings\\n\\nDomains: ${domainsDisplay}\\n\\n⚠️ Delete user akan menghapus semua data terkait (sessions, tokens, aliases, emails + raw di R2 jika ada).');
+          showSection('settings');
+        }
+
+        async function loadSettings(){
+          const j = await api('/api/admin/settings');
+          if(!j.ok){ document.getElementById('settingsMsg').textContent = j.error||'gagal'; return; }
+          document.getElementById('setAllowOverlap').checked = j.settings.allow_pattern_overlap === '1';
+          document.getElementById('setTrashDays').value = j.settings.trash_retention_days;
+        }
+
+        async function saveSettings(msgId){
+          const msg = document.getElementById(msgId || 'settingsMsg');
+          msg.textContent = '...';
+          const j = await api('/api/admin/settings', {
+            method:'PATCH',
+            headers:{'content-type':'application/json'},
+            body:JSON.stringify({
+              allow_pattern_overlap: document.getElementById('setAllowOverlap').checked ? 1 : 0,
+              trash_retention_days: parseInt(document.getElementById('setTrashDays').value, 10)
+            })
+          });
+          msg.textContent = j.ok ? 'Tersimpan.' : (j.error||'gagal');
         }
 
         async function logout(){
@@ -1941,6 +3876,7 @@ const PAGES = {
         // Expose functions for inline handlers - MUST BE BEFORE INIT
         window.showSection = showSection;
         window.showSettings = showSettings;
+        window.saveSettings = saveSettings;
         window.logout = logout;
         window.setLimit = setLimit;
         window.toggleUser = toggleUser;
@@ -1976,7 +3912,9 @@ async function getUserBySession(request, env) {
   const tokenHash = await sha256Base64Url(encoder.encode(token));
   const row = await env.DB.prepare(
     `SELECT s.user_id as user_id, u.id as id, u.username as username, u.email as email,
-            u.role as role, u.alias_limit as alias_limit, u.disabled as disabled
+            u.role as role, u.alias_limit as alias_limit, u.pattern_limit as pattern_limit,
+            u.storage_quota_bytes as storage_quota_bytes, u.storage_policy as storage_policy,
+            u.disabled as disabled
      FROM sessions s
      JOIN users u ON u.id = s.user_id
      WHERE s.token_hash = ? AND s.expires_at > ?`
@@ -2023,55 +3961,2061 @@ async function cleanupExpired(env) {
   } catch { }
 }
 
-// NEW: delete user (cascade + R2 cleanup)
-async function deleteUserCascade(env, userId, ctx) {
-  // ambil raw_key dulu sebelum email dihapus
-  let rawKeys = [];
-  try {
-    const r = await env.DB.prepare(
-      `SELECT raw_key FROM emails WHERE user_id = ? AND raw_key IS NOT NULL`
-    )
-      .bind(userId)
-      .all();
-    rawKeys = (r.results || []).map((x) => x?.raw_key).filter(Boolean);
-  } catch { }
+// D1 membatasi jumlah parameter per query
+function idChunks(ids, size = 90) {
+  const out = [];
+  for (let i = 0; i < ids.length; i += size) out.push(ids.slice(i, i + size));
+  return out;
+}
 
-  // hapus data turunan dulu
-  await env.DB.prepare(`DELETE FROM sessions WHERE user_id = ?`).bind(userId).run();
-  await env.DB.prepare(`DELETE FROM reset_tokens WHERE user_id = ?`).bind(userId).run();
-  await env.DB.prepare(`DELETE FROM emails WHERE user_id = ?`).bind(userId).run();
-  await env.DB.prepare(`DELETE FROM aliases WHERE user_id = ?`).bind(userId).run();
+// -------------------- Change log (delta sync) --------------------
+// Satu baris per perubahan; seq = cursor /api/sync. Yang dicatat cuma ref-nya: saat sync,
+// ref yang barisnya masih ada = dibuat/berubah, yang sudah hilang = dihapus (tombstone).
+// Statement email harus jalan SEBELUM DELETE (dipilih dari tabel emails).
+function logEmailChangesStmt(env, whereSql, binds) {
+  return env.DB.prepare(
+    `INSERT INTO change_log (user_id, kind, ref, created_at)
+     SELECT user_id, 'email', id, ? FROM emails WHERE ${whereSql}`
+  ).bind(nowSec(), ...binds);
+}
 
-  // hapus user
-  await env.DB.prepare(`DELETE FROM users WHERE id = ?`).bind(userId).run();
+function logEmailChangesStmts(env, userId, ids) {
+  return idChunks(ids).map((chunk) =>
+    logEmailChangesStmt(env, `user_id = ? AND id IN (${chunk.map(() => "?").join(",")})`, [userId, ...chunk])
+  );
+}
 
-  // hapus raw eml dari R2 (kalau ada)
-  if (env.MAIL_R2 && rawKeys.length) {
-    for (let i = 0; i < rawKeys.length; i += 1000) {
-      const chunk = rawKeys.slice(i, i + 1000);
-      if (ctx && typeof ctx.waitUntil === "function") {
-        ctx.waitUntil(env.MAIL_R2.delete(chunk));
-      } else {
-        // fallback sync (harusnya fetch selalu punya ctx)
-        await env.MAIL_R2.delete(chunk);
-      }
-    }
-  }
+function logAliasChangeStmt(env, userId, local, domain) {
+  return env.DB.prepare(`INSERT INTO change_log (user_id, kind, ref, created_at) VALUES (?, 'alias', ?, ?)`).bind(
+    userId,
+    `${local}@${domain}`,
+    nowSec()
+  );
 }
 
-// -------------------- Reset email (Resend) --------------------
-async function sendResetEmail(env, toEmail, token) {
-  if (!env.RESEND_API_KEY) {
-    console.log("reset email: RESEND_API_KEY not set -> skipping send");
-    return;
+// Dipanggil cron. seq tertinggi yang dibuang disimpan supaya /api/sync tahu cursor mana yang sudah basi.
+async function pruneChangeLog(env) {
+  const row = await env.DB.prepare(
+    `SELECT MAX(seq) as seq FROM change_log WHERE created_at < ?`
+  )
+    .bind(nowSec() - CHANGE_LOG_TTL_DAYS * 86400)
+    .first();
+  const seq = Number(row?.seq ?? 0);
+  if (!seq) return 0;
+
+  const res = await env.DB.batch([
+    env.DB.prepare(
+      `INSERT INTO settings (key, value, updated_at) VALUES ('sync_pruned_seq', ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`
+    ).bind(String(seq), nowSec()),
+    env.DB.prepare(`DELETE FROM change_log WHERE seq <= ?`).bind(seq),
+  ]);
+  return res[1].meta?.changes || 0;
+}
+
+// ETag dari isi response: klien yang polling dapat 304 kalau list tidak berubah
+async function jsonWithEtag(request, data) {
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(JSON.stringify(data)));
+  const etag = `"${base64Url(new Uint8Array(digest).slice(0, 18))}"`;
+  const headers = { etag, "cache-control": "private, no-cache" };
+  const inm = request.headers.get("if-none-match") || "";
+  if (inm.split(",").some((t) => t.trim().replace(/^W\//, "") === etag)) {
+    return new Response(null, { status: 304, headers });
   }
+  return json(data, 200, headers);
+}
 
-  const base = env.APP_BASE_URL || "";
-  const link = base ? `${base}/reset#token=${encodeURIComponent(token)}` : "";
+// Siapkan hapus permanen: cari email milik user + key R2 (raw & attachment), lalu statement D1-nya.
+// Dipisah dari eksekusi supaya bulk bisa menggabungkan semuanya dalam satu batch.
+async function prepareEmailDelete(env, userId, ids) {
+  const chunks = idChunks(ids);
+  if (!chunks.length) return { ids: [], r2Keys: [], stmts: [] };
+
+  const lookups = await env.DB.batch(
+    chunks.flatMap((chunk) => {
+      const ph = chunk.map(() => "?").join(",");
+      return [
+        env.DB.prepare(`SELECT id, raw_key FROM emails WHERE user_id = ? AND id IN (${ph})`).bind(userId, ...chunk),
+        env.DB.prepare(
+          `SELECT r2_key FROM attachments WHERE user_id = ? AND email_id IN (${ph}) AND r2_key IS NOT NULL`
+        ).bind(userId, ...chunk),
+      ];
+    })
+  );
 
-  const subject = "Reset password";
-  const bodyHtml = `
-    <div style="font-family:Arial,sans-serif">
+  const found = [];
+  let r2Keys = [];
+  for (let i = 0; i < lookups.length; i += 2) {
+    const rows = lookups[i].results || [];
+    found.push(...rows.map((r) => r.id));
+    r2Keys = r2Keys.concat(
+      rows.map((r) => r.raw_key).filter(Boolean),
+      (lookups[i + 1].results || []).map((r) => r.r2_key).filter(Boolean)
+    );
+  }
+
+  const stmts = idChunks(found).flatMap((chunk) => {
+    const ph = chunk.map(() => "?").join(",");
+    return [
+      logEmailChangesStmt(env, `user_id = ? AND id IN (${ph})`, [userId, ...chunk]),
+      unindexEmailsStmt(env, `user_id = ? AND id IN (${ph})`, [userId, ...chunk]),
+      env.DB.prepare(`DELETE FROM emails WHERE user_id = ? AND id IN (${ph})`).bind(userId, ...chunk),
+    ];
+  });
+  return { ids: found, r2Keys, stmts };
+}
+
+// R2 delete() menerima maksimal 1000 key per panggilan
+function purgeR2Keys(env, ctx, keys) {
+  if (!env.MAIL_R2 || !keys.length) return;
+  for (const chunk of idChunks(keys, 1000)) ctx.waitUntil(env.MAIL_R2.delete(chunk));
+}
+
+// Hapus email milik user (D1) + raw & attachment (R2). Return id yang benar-benar terhapus.
+async function deleteEmails(env, ctx, userId, ids) {
+  const plan = await prepareEmailDelete(env, userId, ids);
+  if (!plan.ids.length) return [];
+
+  await env.DB.batch(plan.stmts);
+  purgeR2Keys(env, ctx, plan.r2Keys);
+  return plan.ids;
+}
+
+// Pindahkan ke Trash (bukan hapus permanen); folder asal disimpan untuk restore
+function trashEmailsStmts(env, userId, ids) {
+  const t = nowSec();
+  return idChunks(ids).map((chunk) =>
+    env.DB.prepare(
+      `UPDATE emails SET trashed_from = folder, folder = 'trash', trashed_at = ?
+       WHERE user_id = ? AND folder != 'trash' AND id IN (${chunk.map(() => "?").join(",")})`
+    ).bind(t, userId, ...chunk)
+  );
+}
+
+function restoreEmailsStmts(env, userId, ids) {
+  return idChunks(ids).map((chunk) =>
+    env.DB.prepare(
+      `UPDATE emails SET folder = COALESCE(trashed_from, 'inbox'), trashed_from = NULL, trashed_at = NULL
+       WHERE user_id = ? AND folder = 'trash' AND id IN (${chunk.map(() => "?").join(",")})`
+    ).bind(userId, ...chunk)
+  );
+}
+
+// `extra` ikut di batch yang sama tapi tidak dihitung (mis. change log)
+async function runCounted(env, stmts, extra = []) {
+  if (!stmts.length) return 0;
+  const res = await env.DB.batch([...stmts, ...extra]);
+  return res.slice(0, stmts.length).reduce((n, r) => n + (r.meta?.changes || 0), 0);
+}
+
+async function trashEmails(env, userId, ids) {
+  return runCounted(env, trashEmailsStmts(env, userId, ids), logEmailChangesStmts(env, userId, ids));
+}
+
+async function restoreEmails(env, userId, ids) {
+  return runCounted(env, restoreEmailsStmts(env, userId, ids), logEmailChangesStmts(env, userId, ids));
+}
+
+// Cron: kosongkan Trash yang lebih lama dari trash_retention_days
+async function purgeTrash(env, ctx) {
+  const days = safeInt((await getSettings(env)).trash_retention_days, 0);
+  if (days <= 0) return 0;
+
+  const cutoff = nowSec() - days * 86400;
+  let purged = 0;
+  for (let round = 0; round < 20; round++) {
+    const rows = await env.DB.prepare(
+      `SELECT id, user_id FROM emails WHERE folder = 'trash' AND trashed_at < ? LIMIT 500`
+    )
+      .bind(cutoff)
+      .all();
+    const list = rows.results || [];
+    if (!list.length) break;
+
+    const byUser = new Map();
+    for (const r of list) byUser.set(r.user_id, [...(byUser.get(r.user_id) || []), r.id]);
+    for (const [userId, ids] of byUser) purged += (await deleteEmails(env, ctx, userId, ids)).length;
+  }
+  return purged;
+}
+
+function normalizeLabel(v) {
+  return String(v || "").trim().toLowerCase().replace(/\s+/g, " ").replace(/,/g, "");
+}
+
+// Attachment disimpan terpisah di R2 (selain raw .eml), jadi ikut dihitung ke kuota
+async function storageUsed(env, userId) {
+  const r = await env.DB.prepare(
+    `SELECT (SELECT COALESCE(SUM(size), 0) FROM emails WHERE user_id = ?)
+          + (SELECT COALESCE(SUM(size), 0) FROM attachments WHERE user_id = ? AND r2_key IS NOT NULL) as used`
+  )
+    .bind(userId, userId)
+    .first();
+  return Number(r?.used ?? 0);
+}
+
+// Cek kuota sebelum simpan. Policy "purge_oldest" menghapus email terlama sampai cukup
+// (Trash dulu; email berbintang tidak pernah ikut dihapus).
+// Return true kalau email baru boleh disimpan.
+async function makeRoomForEmail(env, ctx, row, incoming) {
+  const quota = safeInt(row.storage_quota_bytes, 0);
+  if (!quota) return true; // 0 = tanpa batas
+  if (incoming > quota) return false;
+
+  const used = await storageUsed(env, row.user_id);
+  let need = used + incoming - quota;
+  if (need <= 0) return true;
+  if (row.storage_policy !== "purge_oldest") return false;
+
+  const old = await env.DB.prepare(
+    `SELECT id, size + (SELECT COALESCE(SUM(a.size), 0) FROM attachments a WHERE a.email_id = emails.id AND a.r2_key IS NOT NULL) as size
+     FROM emails WHERE user_id = ? AND starred = 0 ORDER BY folder = 'trash' DESC, created_at ASC LIMIT 500`
+  )
+    .bind(row.user_id)
+    .all();
+
+  const ids = [];
+  for (const e of old.results || []) {
+    if (need <= 0) break;
+    ids.push(e.id);
+    need -= Number(e.size || 0);
+  }
+  if (need > 0) return false;
+
+  await deleteEmails(env, ctx, row.user_id, ids);
+  return true;
+}
+
+// Filter "All mail": aliases=local@domain,... dan/atau domains=a,b (digabung OR).
+// Tidak perlu cek kepemilikan alias — query tetap dibatasi user_id.
+function parseMailScope(url, emailsDomain) {
+  const list = (name) =>
+    (url.searchParams.get(name) || "")
+      .split(",")
+      .map((x) => x.trim().toLowerCase())
+      .filter(Boolean);
+  const aliases = list("aliases");
+  const domains = list("domains");
+  if (aliases.length + domains.length > MAX_SCOPE_ENTRIES) return { error: `Maksimal ${MAX_SCOPE_ENTRIES} filter` };
+
+  const parts = [];
+  const binds = [];
+  for (const a of aliases) {
+    const [local, domain] = a.split("@");
+    if (!validAliasName(local)) return { error: `alias invalid: ${a}` };
+    if (domain && emailsDomain) {
+      parts.push("(local_part = ? AND domain = ?)");
+      binds.push(local, domain);
+    } else {
+      parts.push("local_part = ?");
+      binds.push(local);
+    }
+  }
+  if (domains.length) {
+    if (!emailsDomain) return { error: "Filter domain belum didukung (tabel emails tanpa kolom domain)" };
+    parts.push(`domain IN (${domains.map(() => "?").join(",")})`);
+    binds.push(...domains);
+  }
+  return parts.length ? { sql: `(${parts.join(" OR ")})`, binds } : {};
+}
+
+// Cek alias milik user (dan aktif) + cari domain kanoniknya (kalau tabel aliases punya kolom domain).
+// Return { domain } atau { error: Response }.
+async function resolveOwnedAlias(env, userId, alias, domainParam) {
+  const allowedDomains = getAllowedDomains(env);
+  const fallbackDomain = allowedDomains[0] || env.DOMAIN || "";
+
+  if (!(await aliasesHasDomain(env))) {
+    const owned = await env.DB.prepare(
+      `SELECT local_part FROM aliases WHERE local_part = ? AND user_id = ? AND disabled = 0`
+    )
+      .bind(alias, userId)
+      .first();
+
+    if (!owned) return { error: forbidden("Mail bukan milikmu / disabled") };
+    return { domain: domainParam || fallbackDomain };
+  }
+
+  if (domainParam) {
+    const owned = await env.DB.prepare(
+      `SELECT domain FROM aliases WHERE local_part = ? AND domain = ? AND user_id = ? AND disabled = 0`
+    )
+      .bind(alias, domainParam, userId)
+      .first();
+
+    if (!owned) return { error: forbidden("Mail bukan milikmu / disabled") };
+    return { domain: owned.domain };
+  }
+
+  const ownedRows = await env.DB.prepare(
+    `SELECT domain FROM aliases WHERE local_part = ? AND user_id = ? AND disabled = 0`
+  )
+    .bind(alias, userId)
+    .all();
+
+  const list = ownedRows.results || [];
+  if (list.length === 0) return { error: forbidden("Mail bukan milikmu / disabled") };
+  if (list.length > 1) return { error: badRequest("domain required") };
+  return { domain: list[0].domain || fallbackDomain };
+}
+
+// NEW: delete user (cascade + R2 cleanup)
+async function deleteUserCascade(env, userId, ctx) {
+  // ambil raw_key dulu sebelum email dihapus
+  let rawKeys = [];
+  try {
+    const r = await env.DB.prepare(
+      `SELECT raw_key FROM emails WHERE user_id = ? AND raw_key IS NOT NULL`
+    )
+      .bind(userId)
+      .all();
+    rawKeys = (r.results || []).map((x) => x?.raw_key).filter(Boolean);
+  } catch { }
+  try {
+    const r = await env.DB.prepare(
+      `SELECT r2_key FROM attachments WHERE user_id = ? AND r2_key IS NOT NULL`
+    )
+      .bind(userId)
+      .all();
+    rawKeys = rawKeys.concat((r.results || []).map((x) => x?.r2_key).filter(Boolean));
+  } catch { }
+  try {
+    const r = await env.DB.prepare(
+      `SELECT r2_key FROM exports WHERE user_id = ? AND r2_key IS NOT NULL`
+    )
+      .bind(userId)
+      .all();
+    rawKeys = rawKeys.concat((r.results || []).map((x) => x?.r2_key).filter(Boolean));
+  } catch { }
+
+  // hapus data turunan dulu
+  await env.DB.prepare(`DELETE FROM sessions WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM reset_tokens WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM attachments WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM forward_addresses WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM alias_rules WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM alias_autoreplies WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM autoreply_log WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(
+    `DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE user_id = ?)`
+  )
+    .bind(userId)
+    .run();
+  await env.DB.prepare(`DELETE FROM webhooks WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM mail_rules WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM trusted_senders WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM email_labels WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM change_log WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM exports WHERE user_id = ?`).bind(userId).run();
+  await unindexEmailsStmt(env, "user_id = ?", [userId]).run();
+  await env.DB.prepare(`DELETE FROM emails WHERE user_id = ?`).bind(userId).run();
+  await env.DB.prepare(`DELETE FROM aliases WHERE user_id = ?`).bind(userId).run();
+
+  // hapus user
+  await env.DB.prepare(`DELETE FROM users WHERE id = ?`).bind(userId).run();
+
+  // hapus raw eml dari R2 (kalau ada)
+  if (env.MAIL_R2 && rawKeys.length) {
+    for (let i = 0; i < rawKeys.length; i += 1000) {
+      const chunk = rawKeys.slice(i, i + 1000);
+      if (ctx && typeof ctx.waitUntil === "function") {
+        ctx.waitUntil(env.MAIL_R2.delete(chunk));
+      } else {
+        // fallback sync (harusnya fetch selalu punya ctx)
+        await env.MAIL_R2.delete(chunk);
+      }
+    }
+  }
+}
+
+// -------------------- Attachments --------------------
+function normalizeContentId(cid) {
+  return String(cid || "").trim().replace(/^<|>$/g, "") || null;
+}
+
+// Gambar inline yang dirujuk body (cid:) bukan "attachment" untuk rule has_attachment, sama
+// seperti viewer yang tidak menampilkannya di daftar. Versi SQL-nya: LISTED_ATTACHMENT_SQL.
+function isListedAttachment(att, html) {
+  const cid = normalizeContentId(att.contentId);
+  return att.disposition !== "inline" || !cid || !String(html || "").includes(`cid:${cid}`);
+}
+
+const LISTED_ATTACHMENT_SQL = `EXISTS(SELECT 1 FROM attachments a WHERE a.email_id = emails.id
+  AND (COALESCE(a.disposition, '') != 'inline' OR a.content_id IS NULL
+       OR instr(COALESCE(emails.html, ''), 'cid:' || a.content_id) = 0))`;
+
+// Simpan metadata attachment ke D1, bytes ke R2 (kalau MAIL_R2 ada).
+async function storeAttachments(env, ctx, emailId, userId, attachments, t) {
+  const list = Array.isArray(attachments) ? attachments : [];
+  if (!list.length) return;
+
+  const stmts = [];
+  for (const att of list) {
+    const attId = crypto.randomUUID();
+    const content = att.content instanceof ArrayBuffer ? att.content : new Uint8Array(0).buffer;
+    const mimeType = String(att.mimeType || "application/octet-stream").toLowerCase();
+
+    let r2Key = null;
+    if (env.MAIL_R2) {
+      r2Key = `attachments/${emailId}/${attId}`;
+      ctx.waitUntil(env.MAIL_R2.put(r2Key, content, { httpMetadata: { contentType: mimeType } }));
+    }
+
+    stmts.push(
+      env.DB.prepare(
+        `INSERT INTO attachments
+         (id, email_id, user_id, filename, mime_type, size, content_id, disposition, r2_key, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(
+        attId,
+        emailId,
+        userId,
+        att.filename || null,
+        mimeType,
+        content.byteLength,
+        normalizeContentId(att.contentId),
+        att.disposition || null,
+        r2Key,
+        t
+      )
+    );
+  }
+
+  await env.DB.batch(stmts);
+}
+
+// -------------------- Sender authentication --------------------
+// Ambil verdict dari header Authentication-Results paling atas yang authserv-id-nya milik MTA
+// penerima (AUTHSERV_IDS, default Cloudflare). Header lain bisa ditulis sendiri oleh pengirim
+// (mis. "Authentication-Results: evil; dmarc=pass" di paling atas), jadi diabaikan.
+function authServIds(env) {
+  return String(env.AUTHSERV_IDS || "mx.cloudflare.net")
+    .split(",")
+    .map((x) => x.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function parseAuthResults(headers, ids) {
+  const list = Array.isArray(headers) ? headers : [];
+  const out = { spf: null, dkim: null, dmarc: null };
+  // authserv-id = token pertama sebelum ";" (boleh diikuti versi, RFC 8601)
+  const trusted = (h) =>
+    ids.includes(String(h.value || "").split(";")[0].trim().split(/\s+/)[0].toLowerCase());
+
+  const ar = list.find((h) => h && h.key === "authentication-results" && trusted(h));
+  if (ar) {
+    const re = /\b(spf|dkim|dmarc)\s*=\s*([a-z]+)/gi;
+    let m;
+    while ((m = re.exec(String(ar.value || "")))) {
+      const method = m[1].toLowerCase();
+      const result = m[2].toLowerCase();
+      // beberapa signature DKIM: cukup satu yang pass
+      if (!out[method] || (method === "dkim" && result === "pass")) out[method] = result;
+    }
+  }
+
+  if (!out.spf) {
+    // Received-SPF tidak punya authserv-id; cuma dipakai kalau menyebut host penerima sendiri
+    const byUs = (h) => {
+      const v = String(h.value || "").toLowerCase();
+      return ids.some((id) => v.includes(`(${id}:`) || v.includes(`receiver=${id};`));
+    };
+    const rs = list.find((h) => h && h.key === "received-spf" && byUs(h));
+    const m = rs && String(rs.value || "").trim().match(/^([a-z]+)/i);
+    if (m) out.spf = m[1].toLowerCase();
+  }
+
+  return out;
+}
+
+function addrDomain(addr) {
+  const s = String(addr || "").toLowerCase();
+  const at = s.lastIndexOf("@");
+  return at === -1 ? "" : s.slice(at + 1).replace(/>$/, "");
+}
+
+// Envelope sender vs header From "sejalan" kalau domainnya sama atau salah satu subdomain
+// yang lain (bounces.github.com vs github.com). Envelope kosong (bounce) dianggap sejalan.
+function fromDomainsAligned(envelopeFrom, headerFrom) {
+  const a = addrDomain(envelopeFrom);
+  const b = addrDomain(headerFrom);
+  if (!a || !b) return true;
+  return a === b || a.endsWith("." + b) || b.endsWith("." + a);
+}
+
+// Kunci trusted_senders: header From hanya kalau lolos DMARC (bisa dipalsukan),
+// selain itu envelope sender. Email lama tanpa envelope_from tidak bisa dipercaya.
+function trustedSenderKey(row) {
+  const addr = row.auth_dmarc === "pass" ? row.from_addr : row.envelope_from;
+  return String(addr || "").trim().toLowerCase() || null;
+}
+
+function isAuthSuspicious(auth, fromMismatch) {
+  if (auth.dmarc === "fail") return true;
+  if (auth.dkim !== "pass" && (auth.spf === "fail" || auth.spf === "softfail")) return true;
+  if (fromMismatch && auth.dmarc !== "pass") return true;
+  return false;
+}
+
+// -------------------- Sender rules (allow/block per alias) --------------------
+// Pattern: alamat penuh (a@b.com), domain (b.com, termasuk subdomain) atau wildcard (*@b.com).
+function validSenderPattern(p) {
+  return p.length <= 254 && /^[a-z0-9._%+*@-]+$/.test(p) && /[a-z0-9]/.test(p);
+}
+
+function senderMatches(pattern, addr) {
+  if (!addr) return false;
+  if (pattern.includes("*")) {
+    const re = new RegExp(
+      "^" + pattern.split("*").map((x) => x.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$"
+    );
+    return re.test(addr);
+  }
+  if (pattern.includes("@")) return addr === pattern;
+  const d = addrDomain(addr);
+  return d === pattern || d.endsWith("." + pattern);
+}
+
+function headerAddress(v) {
+  const s = String(v || "").trim().toLowerCase();
+  const m = s.match(/<([^>]+)>/);
+  return (m ? m[1] : s).trim();
+}
+
+// Block menang atas allow; kalau ada aturan allow, pengirim harus cocok salah satunya.
+// Block dicek ke envelope sender maupun header From; allow cuma ke envelope sender
+// (header From bebas diisi pengirim, jadi tidak boleh membuka allowlist).
+// Return alasan reject, atau null kalau boleh masuk.
+async function checkSenderRules(env, message, row) {
+  const res = await env.DB.prepare(
+    `SELECT action, pattern FROM alias_rules WHERE local_part = ? AND domain = ?`
+  )
+    .bind(row.local_part, row.domain)
+    .all();
+  const rules = res.results || [];
+  if (!rules.length) return null;
+
+  const envelope = String(message.from || "").toLowerCase();
+  const senders = [envelope, headerAddress(message.headers && message.headers.get("from"))].filter(Boolean);
+  const hit = (r) => senders.some((a) => senderMatches(r.pattern, a));
+
+  if (rules.some((r) => r.action === "block" && hit(r))) return "Sender blocked";
+  const allows = rules.filter((r) => r.action === "allow");
+  if (allows.length && !allows.some((r) => envelope && senderMatches(r.pattern, envelope))) return "Sender not allowed";
+  return null;
+}
+
+// -------------------- Address lists / headers --------------------
+// PostalMime: [{name, address}] atau grup {name, group: [...]} -> list datar
+function flattenAddresses(list) {
+  const out = [];
+  for (const a of list || []) {
+    if (a && Array.isArray(a.group)) out.push(...flattenAddresses(a.group));
+    else if (a && a.address) out.push({ name: a.name || "", address: a.address });
+  }
+  return out;
+}
+
+function addressListJson(list) {
+  const out = flattenAddresses(list);
+  return out.length ? JSON.stringify(out) : null;
+}
+
+function headersJson(headers) {
+  const out = (headers || []).slice(0, MAX_STORED_HEADERS).map((h) => ({
+    key: h.key,
+    value: String(h.value || "").slice(0, MAX_HEADER_VALUE),
+  }));
+  return out.length ? JSON.stringify(out) : null;
+}
+
+function parseJsonArray(v) {
+  if (!v) return [];
+  try {
+    const x = JSON.parse(v);
+    return Array.isArray(x) ? x : [];
+  } catch {
+    return [];
+  }
+}
+
+// -------------------- Threading --------------------
+// "<a@x> <b@y>" -> ["<a@x>", "<b@y>"]
+function parseMessageIds(v) {
+  return String(v || "").match(/<[^<>\s]+>/g) || [];
+}
+
+// Ikut thread email yang dibalas (In-Reply-To / References). Kalau balasannya masuk lebih dulu
+// dari email aslinya, ikut thread si balasan. Selain itu thread baru (= id email ini).
+async function resolveThreadId(env, userId, emailId, messageId, inReplyTo, references) {
+  const parents = [...new Set([...parseMessageIds(references), ...parseMessageIds(inReplyTo)])].slice(-50);
+  if (parents.length) {
+    const hit = await env.DB.prepare(
+      `SELECT thread_id FROM emails
+       WHERE user_id = ? AND message_id IN (${parents.map(() => "?").join(",")}) AND thread_id IS NOT NULL
+       ORDER BY created_at ASC LIMIT 1`
+    )
+      .bind(userId, ...parents)
+      .first();
+    if (hit) return hit.thread_id;
+  }
+  if (messageId) {
+    const child = await env.DB.prepare(
+      `SELECT thread_id FROM emails WHERE user_id = ? AND in_reply_to = ? AND thread_id IS NOT NULL LIMIT 1`
+    )
+      .bind(userId, messageId)
+      .first();
+    if (child) return child.thread_id;
+  }
+  return emailId;
+}
+
+// -------------------- Recipient lookup --------------------
+const RECIPIENT_COLUMNS = `a.local_part as local_part, a.domain as domain, a.user_id as user_id,
+  a.disabled as alias_disabled, a.forward_keep as forward_keep, a.subaddressing as subaddressing,
+  u.disabled as user_disabled, u.storage_quota_bytes as storage_quota_bytes, u.storage_policy as storage_policy`;
+
+async function lookupAlias(env, hasAliasDomain, local, domain) {
+  return hasAliasDomain
+    ? await env.DB.prepare(
+      `SELECT ${RECIPIENT_COLUMNS}
+       FROM aliases a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.local_part = ? AND a.domain = ? AND a.kind = 'exact'`
+    )
+      .bind(local, domain)
+      .first()
+    : await env.DB.prepare(
+      `SELECT a.local_part as local_part, a.user_id as user_id, a.disabled as alias_disabled,
+              u.disabled as user_disabled, u.storage_quota_bytes as storage_quota_bytes,
+              u.storage_policy as storage_policy
+       FROM aliases a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.local_part = ?`
+    )
+      .bind(local)
+      .first();
+}
+
+// Pattern paling spesifik menang: karakter literal terbanyak, lalu yang paling lama dibuat.
+async function lookupPatternAlias(env, local, domain) {
+  const res = await env.DB.prepare(
+    `SELECT ${RECIPIENT_COLUMNS}
+     FROM aliases a
+     JOIN users u ON u.id = a.user_id
+     WHERE a.kind = 'pattern' AND a.domain = ?
+     ORDER BY length(a.local_part) DESC, a.created_at ASC`
+  )
+    .bind(domain)
+    .all();
+
+  for (const row of res.results || []) {
+    const captured = matchPattern(row.local_part, local);
+    if (captured !== null) return { row, captured };
+  }
+  return null;
+}
+
+// local+tag@domain -> alias "local" dengan tag, kecuali alias "local+tag" memang ada
+// atau sub-addressing dimatikan di alias tersebut. Kalau tetap tidak ketemu, coba
+// pattern alias; bagian yang ditangkap "*" disimpan sebagai tag.
+async function resolveRecipient(env, hasAliasDomain, local, domain) {
+  const exact = await lookupAlias(env, hasAliasDomain, local, domain);
+  if (exact) return { row: exact, tag: null };
+
+  const plus = local.indexOf("+");
+  if (plus > 0 && plus < local.length - 1) {
+    const base = await lookupAlias(env, hasAliasDomain, local.slice(0, plus), domain);
+    if (base && base.subaddressing !== 0) return { row: base, tag: local.slice(plus + 1) };
+  }
+
+  if (hasAliasDomain && !local.includes("*")) {
+    const hit = await lookupPatternAlias(env, local, domain);
+    if (hit) return { row: hit.row, tag: hit.captured };
+  }
+
+  return { row: null, tag: null };
+}
+
+// -------------------- Forwarding --------------------
+// Teruskan ke alamat tujuan yang sudah diverifikasi. Return jumlah yang berhasil.
+async function aliasForwardAddresses(env, row) {
+  try {
+    const rows = await env.DB.prepare(
+      `SELECT f.address
+       FROM alias_forwards af
+       JOIN forward_addresses f ON f.id = af.forward_id
+       WHERE af.local_part = ? AND af.domain = ? AND f.user_id = ? AND f.verified_at IS NOT NULL`
+    )
+      .bind(row.local_part, row.domain, row.user_id)
+      .all();
+    return (rows.results || []).map((f) => f.address);
+  } catch (e) {
+    console.log("forward lookup error:", e && e.message ? e.message : e);
+    return [];
+  }
+}
+
+async function forwardMessage(message, addresses) {
+  let ok = 0;
+  for (const address of addresses) {
+    try {
+      await message.forward(address);
+      ok++;
+    } catch (e) {
+      // Cloudflare juga mewajibkan tujuan terverifikasi di Email Routing
+      console.log("forward error:", address, e && e.message ? e.message : e);
+    }
+  }
+  return ok;
+}
+
+// -------------------- Auto-reply (vacation) --------------------
+// RFC 3834: jangan balas bounce, mailing list, bulk, atau balasan otomatis lain.
+function isAutoReplyExempt(message) {
+  const h = (k) => String((message.headers && message.headers.get(k)) || "").trim().toLowerCase();
+  const sender = String(message.from || "").toLowerCase();
+  const senderLocal = sender.split("@")[0];
+
+  if (!sender || sender === String(message.to || "").toLowerCase()) return true;
+  if (/^(mailer-daemon|postmaster|no-?reply|do-?not-?reply|bounces?)([+._-]|$)/.test(senderLocal)) return true;
+  if (senderLocal.startsWith("owner-") || senderLocal.endsWith("-request")) return true;
+
+  const auto = h("auto-submitted");
+  if (auto && auto !== "no") return true;
+  if (["bulk", "list", "junk", "auto_reply"].includes(h("precedence"))) return true;
+  if (h("list-id") || h("list-unsubscribe") || h("list-post")) return true;
+  if (/\b(all|oof|autoreply)\b/.test(h("x-auto-response-suppress"))) return true;
+  if (h("x-autoreply") || h("x-autorespond")) return true;
+  return false;
+}
+
+// Header non-ASCII -> RFC 2047 encoded-word
+function mimeHeaderValue(s) {
+  const clean = String(s || "").replace(/[\r\n]+/g, " ");
+  if (/^[\x20-\x7e]*$/.test(clean)) return clean;
+  return "=?UTF-8?B?" + btoa(String.fromCharCode(...encoder.encode(clean))) + "?=";
+}
+
+function buildAutoReplyMime({ from, to, subject, body, inReplyTo, references }) {
+  const b64 = btoa(String.fromCharCode(...encoder.encode(String(body || "").replace(/\r?\n/g, "\r\n"))));
+  const lines = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${mimeHeaderValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${addrDomain(from) || "localhost"}>`,
+  ];
+  if (inReplyTo) {
+    lines.push(`In-Reply-To: ${inReplyTo}`);
+    lines.push(`References: ${references || inReplyTo}`);
+  }
+  lines.push(
+    "Auto-Submitted: auto-replied",
+    "X-Auto-Response-Suppress: All",
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    ...(b64.match(/.{1,76}/g) || []),
+    ""
+  );
+  return lines.join("\r\n");
+}
+
+// Balas sekali per pengirim per interval_days. Error di sini tidak boleh bikin email ditolak.
+// suspicious = gagal SPF/DKIM/DMARC: pengirimnya kemungkinan dipalsukan, balasan jadi backscatter.
+async function sendAutoReply(env, message, row, suspicious) {
+  try {
+    const ar = await env.DB.prepare(
+      `SELECT subject, body, starts_at, ends_at, interval_days
+       FROM alias_autoreplies WHERE local_part = ? AND domain = ? AND enabled = 1`
+    )
+      .bind(row.local_part, row.domain)
+      .first();
+    if (!ar) return;
+
+    const t = nowSec();
+    if (ar.starts_at && t < ar.starts_at) return;
+    if (ar.ends_at && t >= ar.ends_at) return;
+    if (suspicious || isAutoReplyExempt(message)) return;
+
+    const sender = String(message.from).toLowerCase();
+    const last = await env.DB.prepare(
+      `SELECT replied_at FROM autoreply_log WHERE local_part = ? AND domain = ? AND sender = ?`
+    )
+      .bind(row.local_part, row.domain, sender)
+      .first();
+    const windowSec = Math.max(1, safeInt(ar.interval_days, 7)) * 86400;
+    if (last && t - last.replied_at < windowSec) return;
+
+    // catat dulu supaya kiriman beruntun tidak dibalas dua kali
+    await env.DB.prepare(
+      `INSERT INTO autoreply_log (local_part, domain, sender, user_id, replied_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(local_part, domain, sender) DO UPDATE SET replied_at = excluded.replied_at`
+    )
+      .bind(row.local_part, row.domain, sender, row.user_id, t)
+      .run();
+
+    const msgId = message.headers.get("message-id");
+    const raw = buildAutoReplyMime({
+      from: message.to,
+      to: message.from,
+      subject: ar.subject,
+      body: ar.body,
+      inReplyTo: msgId,
+      references: [message.headers.get("references"), msgId].filter(Boolean).join(" "),
+    });
+    await message.reply(new EmailMessage(message.to, message.from, raw));
+  } catch (e) {
+    console.log("auto-reply error:", e && e.message ? e.message : e);
+  }
+}
+
+// -------------------- HTML sanitization (read time) --------------------
+// HTML asli tetap disimpan apa adanya; yang dikirim ke viewer selalu lewat sini.
+const REMOTE_URL_RE = /^\s*(https?:)?\/\//i;
+const TRACKER_URL_RE = /(track|pixel|beacon|\/open\b|\/o\.gif|\/wf\/open|mailtrack|\/e\/o\/|\/imp\b|analytics)/i;
+const DANGEROUS_URL_RE = /^\s*(javascript|vbscript|data:text\/html)/i;
+const BLOCKED_IMG_SRC =
+  "data:image/svg+xml," +
+  encodeURIComponent(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24"><rect width="24" height="24" fill="#e2e8f0"/><path d="M6 17l4-5 3 4 2-2 3 3z" fill="#94a3b8"/></svg>`
+  );
+
+function isTrackingPixel(el, src) {
+  const dim = (v) => v !== null && /^\s*[0-2](px)?\s*$/i.test(v);
+  const style = String(el.getAttribute("style") || "").toLowerCase();
+  return (
+    dim(el.getAttribute("width")) ||
+    dim(el.getAttribute("height")) ||
+    /(display\s*:\s*none|visibility\s*:\s*hidden|(width|height)\s*:\s*[0-2]px)/.test(style) ||
+    TRACKER_URL_RE.test(src)
+  );
+}
+
+// Ganti url(remote) di CSS; @import remote dibuang kalau gambar remote tidak diizinkan.
+function sanitizeCss(css, loadRemote, stats) {
+  let out = String(css || "")
+    .replace(/expression\s*\(/gi, "(")
+    .replace(/url\(\s*(['"]?)\s*(javascript|vbscript)[^)]*\)/gi, "none");
+  if (loadRemote) return out;
+  out = out.replace(/@import\s+[^;]+;?/gi, () => {
+    stats.remoteBlocked++;
+    return "";
+  });
+  return out.replace(/url\(\s*(['"]?)([^)'"]*)\1\s*\)/gi, (m, q, u) => {
+    if (!REMOTE_URL_RE.test(u)) return m;
+    stats.remoteBlocked++;
+    return "none";
+  });
+}
+
+// cidUrl(contentId) -> URL pengganti untuk cid:, atau null kalau part tidak ada
+async function sanitizeEmailHtml(html, { loadRemote = false, cidUrl = null } = {}) {
+  const stats = { remoteBlocked: 0, trackers: 0, cids: new Set() };
+  const mapCid = (value) => {
+    const m = /^\s*cid:(.+)$/i.exec(value || "");
+    if (!m || !cidUrl) return null;
+    let raw = m[1];
+    try {
+      raw = decodeURIComponent(raw);
+    } catch { }
+    const cid = normalizeContentId(raw);
+    const target = cid ? cidUrl(cid) : null;
+    if (target) stats.cids.add(cid);
+    return target;
+  };
+  let styleBuf = "";
+
+  const rewriter = new HTMLRewriter()
+    .on("script, iframe, frame, frameset, object, embed, applet, base, form, link, meta[http-equiv]", {
+      element(el) {
+        if (el.tagName === "link" && REMOTE_URL_RE.test(el.getAttribute("href") || "") && !loadRemote) {
+          stats.remoteBlocked++;
+        }
+        if (el.tagName === "link" && loadRemote && /stylesheet/i.test(el.getAttribute("rel") || "")) return;
+        el.remove();
+      },
+    })
+    .on("*", {
+      element(el) {
+        for (const [name, value] of [...el.attributes]) {
+          const n = name.toLowerCase();
+          if (n.startsWith("on") || n === "formaction" || n === "ping") {
+            el.removeAttribute(name);
+          } else if ((n === "href" || n === "src" || n === "xlink:href" || n === "action") && DANGEROUS_URL_RE.test(value)) {
+            el.removeAttribute(name);
+          } else if (n === "style") {
+            el.setAttribute(name, sanitizeCss(value, loadRemote, stats));
+          } else if ((n === "src" || n === "background") && mapCid(value)) {
+            el.setAttribute(name, mapCid(value));
+          } else if ((n === "background" || n === "poster" || n === "srcset") && REMOTE_URL_RE.test(value) && !loadRemote) {
+            stats.remoteBlocked++;
+            el.removeAttribute(name);
+          } else if (n === "src" && el.tagName !== "img" && REMOTE_URL_RE.test(value) && !loadRemote) {
+            stats.remoteBlocked++;
+            el.removeAttribute(name);
+          }
+        }
+      },
+    })
+    // SVG <image>/<use>/<feImage> ikut mengambil resource lewat href; selain #fragment,
+    // data: dan cid: dianggap remote
+    .on("image, use, feImage", {
+      element(el) {
+        for (const name of ["href", "xlink:href"]) {
+          const value = el.getAttribute(name);
+          if (value === null || /^\s*(#|data:)/i.test(value)) continue;
+          const cid = mapCid(value);
+          if (cid) {
+            el.setAttribute(name, cid);
+          } else if (!loadRemote || !REMOTE_URL_RE.test(value)) {
+            stats.remoteBlocked++;
+            el.removeAttribute(name);
+          }
+        }
+      },
+    })
+    .on("img", {
+      element(el) {
+        const src = el.getAttribute("src") || "";
+        if (!REMOTE_URL_RE.test(src)) return;
+        // tracking pixel selalu diblokir, walaupun gambar remote diizinkan
+        if (isTrackingPixel(el, src)) {
+          stats.trackers++;
+          el.remove();
+          return;
+        }
+        if (loadRemote) return;
+        stats.remoteBlocked++;
+        el.setAttribute("src", BLOCKED_IMG_SRC);
+        el.setAttribute("data-blocked", "1");
+        el.removeAttribute("srcset");
+      },
+    })
+    .on("style", {
+      text(t) {
+        styleBuf += t.text;
+        if (!t.lastInTextNode) {
+          t.remove();
+          return;
+        }
+        t.replace(sanitizeCss(styleBuf, loadRemote, stats));
+        styleBuf = "";
+      },
+    });
+
+  const out = await rewriter.transform(new Response(String(html || ""))).text();
+  return { html: out, remoteBlocked: stats.remoteBlocked, trackers: stats.trackers, cids: [...stats.cids] };
+}
+
+// URL inline part: ditandatangani per user + email + part, berlaku INLINE_URL_TTL detik.
+// Viewer iframe di-sandbox (origin opaque) jadi cookie session tidak ikut terkirim.
+const INLINE_URL_TTL = 900;
+
+async function inlinePartSig(env, userId, emailId, attId, exp) {
+  return hmacSha256Hex(await getUrlSigningKey(env), `inline.${userId}.${emailId}.${attId}.${exp}`);
+}
+
+async function inlinePartUrls(env, userId, emailId) {
+  const rows = await env.DB.prepare(
+    `SELECT id, content_id FROM attachments
+     WHERE email_id = ? AND user_id = ? AND content_id IS NOT NULL AND r2_key IS NOT NULL`
+  )
+    .bind(emailId, userId)
+    .all();
+
+  const exp = nowSec() + INLINE_URL_TTL;
+  const map = new Map();
+  for (const r of rows.results || []) {
+    const sig = await inlinePartSig(env, userId, emailId, r.id, exp);
+    map.set(
+      r.content_id,
+      { id: r.id, url: `/api/inline/${encodeURIComponent(emailId)}/${encodeURIComponent(r.id)}?exp=${exp}&sig=${sig}` }
+    );
+  }
+  return map;
+}
+
+// -------------------- OTP / verification link --------------------
+function decodeHtmlEntities(s) {
+  return String(s || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&amp;/gi, "&");
+}
+
+function htmlToText(html) {
+  return decodeHtmlEntities(
+    String(html || "")
+      .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, "\n")
+      .replace(/<[^>]+>/g, " ")
+  ).replace(/[ \t]+/g, " ");
+}
+
+// Kata kunci di sekitar kode OTP (Inggris + Indonesia)
+const OTP_KEYWORD_RE =
+  /\b(one[- ]time|otp|passcode|pin|code|verification|verify|security|sign[- ]?in|log[- ]?in|confirmation|kode|verifikasi|keamanan|konfirmasi|masuk|sandi)\b/gi;
+// 123456, 123 456, 123-456, atau alfanumerik huruf besar (AB12CD)
+const OTP_CANDIDATE_RE =
+  /(?<![\w$/.#=-])(\d{3}[ -]\d{3}|\d{4,8}|(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{6,8})(?![\w%/=-]|[.,]\d)/g;
+
+// Cari kode terdekat dari kata kunci; 6 digit angka paling diutamakan.
+function extractOtp(subject, text) {
+  for (const src of [String(subject || ""), String(text || "").slice(0, 20000)]) {
+    let best = null;
+    for (const k of src.matchAll(OTP_KEYWORD_RE)) {
+      const start = Math.max(0, k.index - 60);
+      const win = src.slice(start, k.index + k[0].length + 100);
+      for (const c of win.matchAll(OTP_CANDIDATE_RE)) {
+        const before = win.slice(Math.max(0, c.index - 5), c.index).toLowerCase();
+        if (/(rp|idr|usd|\$)\s*$/.test(before)) continue;
+        const code = c[1].replace(/[ -]/g, "");
+        if (/^(19|20)\d{2}$/.test(code)) continue; // tahun
+        const dist = Math.abs(start + c.index - k.index);
+        const score = dist + (code.length === 6 ? 0 : 50) + (/^\d+$/.test(code) ? 0 : 20);
+        if (!best || score < best.score) best = { code, score };
+      }
+    }
+    if (best) return best.code;
+  }
+  return null;
+}
+
+const LINK_GOOD_RE =
+  /(verif|confirm|activat|validat|magic|sign[-_ ]?in|log[-_ ]?in|reset|konfirmasi|aktivasi|aktifkan|masuk)/i;
+const LINK_BAD_RE =
+  /(unsubscribe|berhenti|privacy|privasi|terms|syarat|ketentuan|help|bantuan|support|preferences|browser|facebook|twitter|instagram|linkedin|youtube|tiktok)/i;
+
+// Link verifikasi / magic link: teks anchor (atau teks sebelum URL) & URL-nya mengandung kata kunci.
+function extractVerifyLink(html, text) {
+  const cands = [];
+  for (const m of String(html || "").matchAll(/<a\b[^>]*?\bhref\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    cands.push({ url: decodeHtmlEntities(m[1]).trim(), label: htmlToText(m[2]) });
+  }
+  const plain = String(text || "");
+  for (const m of plain.matchAll(/https?:\/\/[^\s<>"')\]]+/g)) {
+    cands.push({ url: m[0], label: plain.slice(Math.max(0, m.index - 80), m.index) });
+  }
+
+  let best = null;
+  for (const c of cands) {
+    if (!/^https?:\/\//i.test(c.url) || c.url.length > 2000) continue;
+    if (LINK_BAD_RE.test(c.label) || LINK_BAD_RE.test(c.url)) continue;
+    const score = (LINK_GOOD_RE.test(c.label) ? 2 : 0) + (LINK_GOOD_RE.test(c.url) ? 1 : 0);
+    if (score > 0 && (!best || score > best.score)) best = { url: c.url, score };
+  }
+  return best ? best.url : null;
+}
+
+// -------------------- Search (FTS5) --------------------
+// emails_fts.rowid = emails.rowid supaya hapus index cukup lewat rowid (tanpa scan FTS).
+// Hasil tetap di-join lewat email_id, jadi index yang basi tidak pernah salah tunjuk.
+async function indexEmailForSearch(env, record) {
+  const toList = parseJsonArray(record.to_list).concat(parseJsonArray(record.cc_list));
+  const body = record.text || htmlToText(record.html || "");
+  try {
+    await env.DB.prepare(
+      `INSERT INTO emails_fts (rowid, email_id, subject, sender, recipients, body)
+       SELECT rowid, id, ?, ?, ?, ? FROM emails WHERE id = ?`
+    )
+      .bind(
+        record.subject || "",
+        [record.from_name, record.from_addr].filter(Boolean).join(" "),
+        [record.to_addr, ...toList.map((a) => [a.name, a.address].filter(Boolean).join(" "))].filter(Boolean).join(" "),
+        String(body || "").slice(0, MAX_SEARCH_BODY),
+        record.id
+      )
+      .run();
+  } catch (e) {
+    // tabel FTS belum dibuat (schema.sql lama) — email tetap tersimpan
+    console.log("search index error:", e && e.message ? e.message : e);
+  }
+}
+
+// Dipanggil SEBELUM baris emails dihapus (rowid diambil dari emails)
+function unindexEmailsStmt(env, whereSql, binds) {
+  return env.DB.prepare(`DELETE FROM emails_fts WHERE rowid IN (SELECT rowid FROM emails WHERE ${whereSql})`).bind(
+    ...binds
+  );
+}
+
+const SEARCH_FIELDS = { from: "sender", to: "recipients", subject: "subject", body: "body" };
+
+function ftsPhrase(term) {
+  return `"${String(term).replace(/"/g, '""')}"*`;
+}
+
+function searchDate(v) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) return null;
+  const ms = Date.parse(`${v}T00:00:00Z`);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+// q: kata bebas, "frasa", -kata, from: to: subject: body: alias:local[@domain] user: in:folder label:
+// after:/before:YYYY-MM-DD. Tanpa in:, Trash & Spam tidak ikut dicari.
+function parseSearchQuery(q) {
+  const out = {
+    positive: [],
+    negative: [],
+    alias: null,
+    domain: null,
+    user: null,
+    folder: null,
+    label: null,
+    after: null,
+    before: null,
+    error: null,
+  };
+  const re = /(-?)(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let m;
+  while ((m = re.exec(String(q || "")))) {
+    const neg = m[1] === "-";
+    const field = (m[2] || "").toLowerCase();
+    const value = (m[3] !== undefined ? m[3] : m[4] || "").trim();
+    if (!value) continue;
+
+    if (field === "alias") {
+      const [local, domain] = value.toLowerCase().split("@");
+      out.alias = local;
+      out.domain = domain || null;
+    } else if (field === "user") {
+      out.user = value.toLowerCase();
+    } else if (field === "in") {
+      out.folder = value.toLowerCase();
+      if (!EMAIL_FOLDERS.includes(out.folder)) out.error = `in: harus salah satu dari ${EMAIL_FOLDERS.join(", ")}`;
+    } else if (field === "label") {
+      out.label = normalizeLabel(value);
+    } else if (field === "after" || field === "before") {
+      const t = searchDate(value);
+      if (t === null) out.error = `${field}: harus YYYY-MM-DD`;
+      else out[field] = t;
+    } else if (/[\p{L}\p{N}]/u.test(value)) {
+      const col = SEARCH_FIELDS[field];
+      // qualifier tak dikenal (mis. "http:") diperlakukan sebagai teks biasa
+      const expr = col ? `${col} : ${ftsPhrase(value)}` : ftsPhrase(field ? `${field}:${value}` : value);
+      (neg ? out.negative : out.positive).push(expr);
+    }
+  }
+  out.match = out.positive.length ? [`(${out.positive.join(" AND ")})`, ...out.negative].join(" NOT ") : null;
+  return out;
+}
+
+// userId null = semua user (admin)
+async function searchEmails(env, userId, parsed) {
+  const hasDomain = await emailsHasDomain(env);
+  const where = [];
+  const binds = [];
+  if (userId) {
+    where.push("e.user_id = ?");
+    binds.push(userId);
+  }
+  if (parsed.alias) {
+    where.push("e.local_part = ?");
+    binds.push(parsed.alias);
+    if (parsed.domain && hasDomain) {
+      where.push("e.domain = ?");
+      binds.push(parsed.domain);
+    }
+  }
+  if (parsed.user) {
+    where.push("(u.username = ? OR u.email = ?)");
+    binds.push(parsed.user, parsed.user);
+  }
+  if (parsed.folder) {
+    where.push("e.folder = ?");
+    binds.push(parsed.folder);
+  } else {
+    where.push("e.folder NOT IN ('trash', 'spam')");
+  }
+  if (parsed.label) {
+    where.push("e.id IN (SELECT email_id FROM email_labels WHERE label = ?)");
+    binds.push(parsed.label);
+  }
+  if (parsed.after !== null) {
+    where.push("e.created_at >= ?");
+    binds.push(parsed.after);
+  }
+  if (parsed.before !== null) {
+    where.push("e.created_at < ?");
+    binds.push(parsed.before);
+  }
+
+  const cols = `e.id, e.local_part, ${hasDomain ? "e.domain" : "NULL as domain"}, e.from_addr, e.from_name, e.to_addr, e.subject, e.date, e.created_at,
+    e.folder, e.read_at, u.username, u.email as user_email`;
+  if (parsed.match) {
+    const rows = await env.DB.prepare(
+      `SELECT ${cols},
+              highlight(emails_fts, 1, '<mark>', '</mark>') as subject_hl,
+              snippet(emails_fts, 4, '<mark>', '</mark>', '…', 16) as snippet
+       FROM emails_fts
+       JOIN emails e ON e.id = emails_fts.email_id
+       JOIN users u ON u.id = e.user_id
+       WHERE emails_fts MATCH ?${where.length ? " AND " + where.join(" AND ") : ""}
+       ORDER BY rank
+       LIMIT ?`
+    )
+      .bind(parsed.match, ...binds, MAX_SEARCH_RESULTS)
+      .all();
+    return rows.results || [];
+  }
+
+  // cuma filter (alias:/after:/...) tanpa kata kunci: urut terbaru. Kata negatif saja
+  // (mis. "-promo") = semua email yang TIDAK cocok, bukan hasil kosong.
+  if (parsed.negative.length) {
+    where.push("e.rowid NOT IN (SELECT rowid FROM emails_fts WHERE emails_fts MATCH ?)");
+    binds.push(parsed.negative.join(" OR "));
+  }
+  const rows = await env.DB.prepare(
+    `SELECT ${cols}, NULL as subject_hl, substr(COALESCE(e.text,''), 1, 180) as snippet
+     FROM emails e
+     JOIN users u ON u.id = e.user_id
+     ${where.length ? "WHERE " + where.join(" AND ") : ""}
+     ORDER BY e.created_at DESC
+     LIMIT ?`
+  )
+    .bind(...binds, MAX_SEARCH_RESULTS)
+    .all();
+  return rows.results || [];
+}
+
+// -------------------- Rules engine (/api/rules) --------------------
+// Kondisi: {field, op, value}. Aksi: {type, value}. Dicek berurutan (position), stop = berhenti.
+const RULE_TEXT_FIELDS = ["from", "to", "subject", "body"];
+const RULE_TEXT_OPS = ["contains", "not_contains", "equals", "starts_with", "ends_with"];
+const RULE_ACTIONS = ["label", "mark_read", "skip_inbox", "delete", "forward", "reject"];
+
+function validLabel(v) {
+  return typeof v === "string" && v.length >= 1 && v.length <= 40 && /^[\p{L}\p{N} ._\/-]+$/u.test(v);
+}
+
+function normalizeRuleCondition(c) {
+  const field = String(c?.field || "");
+  const op = String(c?.op || "");
+  if (RULE_TEXT_FIELDS.includes(field)) {
+    const value = String(c?.value ?? "").trim().toLowerCase();
+    if (!RULE_TEXT_OPS.includes(op)) return null;
+    if (!value || value.length > 200) return null;
+    return { field, op, value };
+  }
+  if (field === "has_attachment") {
+    return { field, op: "is", value: c?.value === false || c?.value === "false" ? false : true };
+  }
+  if (field === "size") {
+    const value = safeInt(c?.value, NaN);
+    if ((op !== "gt" && op !== "lt") || !Number.isInteger(value) || value < 0) return null;
+    return { field, op, value };
+  }
+  return null;
+}
+
+function normalizeRuleAction(a) {
+  const type = String(a?.type || "");
+  if (!RULE_ACTIONS.includes(type)) return null;
+  if (type === "label") {
+    const value = String(a?.value || "").trim().toLowerCase();
+    return validLabel(value) ? { type, value } : null;
+  }
+  if (type === "forward") {
+    const value = String(a?.value || "").trim();
+    return value ? { type, value } : null; // id forward_addresses
+  }
+  if (type === "reject") {
+    const value = String(a?.value || "").replace(/[\r\n]+/g, " ").trim().slice(0, 200);
+    return { type, value };
+  }
+  return { type };
+}
+
+// Validasi body POST/PATCH. partial = PATCH (field yang tidak dikirim dibiarkan).
+function normalizeMailRule(body, partial) {
+  const out = {};
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || "").trim();
+    if (!name || name.length > 80) return { error: "Nama rule wajib (maks 80 karakter)" };
+    out.name = name;
+  }
+  if (body.conditions !== undefined || !partial) {
+    const list = Array.isArray(body.conditions) ? body.conditions : [];
+    if (!list.length || list.length > MAX_RULE_CONDITIONS) return { error: `Kondisi 1-${MAX_RULE_CONDITIONS}` };
+    const conds = list.map(normalizeRuleCondition);
+    if (conds.some((c) => !c)) return { error: "Kondisi tidak valid" };
+    out.conditions = JSON.stringify(conds);
+  }
+  if (body.actions !== undefined || !partial) {
+    const list = Array.isArray(body.actions) ? body.actions : [];
+    if (!list.length || list.length > MAX_RULE_ACTIONS) return { error: `Aksi 1-${MAX_RULE_ACTIONS}` };
+    const acts = list.map(normalizeRuleAction);
+    if (acts.some((a) => !a)) return { error: "Aksi tidak valid" };
+    out.actions = JSON.stringify(acts);
+  }
+  if (body.match_all !== undefined) out.match_all = body.match_all === false ? 0 : 1;
+  if (body.stop !== undefined) out.stop = body.stop ? 1 : 0;
+  if (body.enabled !== undefined) out.enabled = body.enabled ? 1 : 0;
+  return { values: out };
+}
+
+function ruleTextMatch(op, hay, needle) {
+  if (op === "contains") return hay.includes(needle);
+  if (op === "not_contains") return !hay.includes(needle);
+  if (op === "equals") return hay === needle;
+  if (op === "starts_with") return hay.startsWith(needle);
+  if (op === "ends_with") return hay.endsWith(needle);
+  return false;
+}
+
+// msg: {from: [..], to: [..], subject, body, has_attachment, size} (teks lowercase)
+function ruleMatches(rule, msg) {
+  const conds = parseJsonArray(rule.conditions);
+  if (!conds.length) return false;
+  const test = (c) => {
+    if (c.field === "has_attachment") return msg.has_attachment === c.value;
+    if (c.field === "size") return c.op === "gt" ? msg.size > c.value : msg.size < c.value;
+    const v = msg[c.field];
+    // from/to bisa beberapa nilai (alamat, nama, cc): not_contains harus berlaku untuk semuanya
+    if (Array.isArray(v)) {
+      return c.op === "not_contains"
+        ? v.every((x) => ruleTextMatch(c.op, x, c.value))
+        : v.some((x) => ruleTextMatch(c.op, x, c.value));
+    }
+    return ruleTextMatch(c.op, String(v || ""), c.value);
+  };
+  return rule.match_all === 0 ? conds.some(test) : conds.every(test);
+}
+
+function ruleMessage({ fromAddr, fromName, toAddrs, subject, text, hasAttachment, size }) {
+  const lower = (x) => String(x || "").toLowerCase();
+  return {
+    from: [fromAddr, fromName].filter(Boolean).map(lower),
+    to: toAddrs.filter(Boolean).map(lower),
+    subject: lower(subject),
+    body: lower(text),
+    has_attachment: !!hasAttachment,
+    size: Number(size || 0),
+  };
+}
+
+async function loadMailRules(env, userId, enabledOnly) {
+  const res = await env.DB.prepare(
+    `SELECT id, name, position, enabled, match_all, conditions, actions, stop, created_at, updated_at
+     FROM mail_rules WHERE user_id = ?${enabledOnly ? " AND enabled = 1" : ""}
+     ORDER BY position ASC, created_at ASC`
+  )
+    .bind(userId)
+    .all();
+  return res.results || [];
+}
+
+// Jalankan rule di email(). Return ringkasan aksi yang harus diterapkan.
+async function applyMailRules(env, row, msg) {
+  const out = { labels: [], markRead: false, skipInbox: false, delete: false, reject: null, forwardIds: [], forwardTo: [], matched: [] };
+  let rules;
+  try {
+    rules = await loadMailRules(env, row.user_id, true);
+  } catch (e) {
+    console.log("rules lookup error:", e && e.message ? e.message : e);
+    return out;
+  }
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, msg)) continue;
+    out.matched.push(rule.id);
+    for (const a of parseJsonArray(rule.actions)) {
+      if (a.type === "label" && !out.labels.includes(a.value)) out.labels.push(a.value);
+      if (a.type === "mark_read") out.markRead = true;
+      if (a.type === "skip_inbox") out.skipInbox = true;
+      if (a.type === "delete") out.delete = true;
+      if (a.type === "reject" && !out.reject) out.reject = a.value || "Rejected by recipient rule";
+      if (a.type === "forward" && !out.forwardIds.includes(a.value)) out.forwardIds.push(a.value);
+    }
+    if (rule.stop) break;
+  }
+
+  // alamat tujuan saja; pengiriman menunggu email pasti diterima (lihat email())
+  if (out.forwardIds.length && !out.reject) {
+    const ph = out.forwardIds.map(() => "?").join(",");
+    const res = await env.DB.prepare(
+      `SELECT address FROM forward_addresses WHERE user_id = ? AND verified_at IS NOT NULL AND id IN (${ph})`
+    )
+      .bind(row.user_id, ...out.forwardIds)
+      .all();
+    out.forwardTo = (res.results || []).map((f) => f.address);
+  }
+  return out;
+}
+
+// -------------------- Webhooks --------------------
+// Header x-webhook-signature: "t=<unix>,v1=<hex>" dengan v1 = HMAC-SHA256(secret, "<t>.<body>").
+// Hanya https ke hostname publik: IP literal dan nama lokal (localhost, *.local, *.internal, ...) ditolak.
+// ALLOW_INSECURE_WEBHOOKS=1 (dev saja) mengizinkan http:// dan host lokal, mis. receiver di 127.0.0.1.
+const PRIVATE_HOST_RE = /(^|\.)(localhost|local|localdomain|internal|intranet|lan|home|corp|private|test|invalid|arpa)$/;
+
+function validWebhookUrl(env, u) {
+  let x;
+  try {
+    x = new URL(u);
+  } catch {
+    return false;
+  }
+  if (env.ALLOW_INSECURE_WEBHOOKS === "1") return (x.protocol === "https:" || x.protocol === "http:") && u.length <= 2000;
+  const host = x.hostname.toLowerCase().replace(/\.$/, "");
+  if (x.protocol !== "https:" || u.length > 2000) return false;
+  if (!host.includes(".") || PRIVATE_HOST_RE.test(host)) return false;
+  if (host.startsWith("[") || /^[\d.]+$/.test(host)) return false; // IPv6 / IPv4 literal (URL sudah menormalkan 0x7f.1 dst)
+  return true;
+}
+
+function emailWebhookPayload(env, record) {
+  return {
+    event: "email.received",
+    id: record.id,
+    alias: `${record.local_part}@${record.domain || ""}`,
+    to: record.to_addr,
+    from: record.from_addr,
+    from_name: record.from_name || "",
+    subject: record.subject,
+    snippet: String(record.text || "").slice(0, 180),
+    tag: record.tag || null,
+    received_at: new Date(record.created_at * 1000).toISOString(),
+    link: `${env.APP_BASE_URL || ""}/app#email=${encodeURIComponent(record.id)}`,
+  };
+}
+
+// POST + retry (backoff 1s, 3s). Hasil akhir dicatat di webhook_deliveries.
+async function deliverWebhook(env, hook, payload, emailId) {
+  const body = JSON.stringify(payload);
+  let status = null;
+  let error = null;
+  let attempts = 0;
+
+  while (attempts < WEBHOOK_ATTEMPTS) {
+    if (attempts > 0) await new Promise((r) => setTimeout(r, attempts === 1 ? 1000 : 3000));
+    attempts++;
+    try {
+      const ts = nowSec();
+      const sig = await hmacSha256Hex(hook.secret, `${ts}.${body}`);
+      const r = await fetch(hook.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "mail-portal-webhook/1",
+          "x-webhook-id": hook.id,
+          "x-webhook-event": payload.event,
+          "x-webhook-signature": `t=${ts},v1=${sig}`,
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      status = r.status;
+      error = r.ok ? null : `HTTP ${r.status}`;
+      if (r.ok) break;
+      // 4xx selain 408/429 tidak akan berubah kalau diulang
+      if (r.status < 500 && r.status !== 408 && r.status !== 429) break;
+    } catch (e) {
+      status = null;
+      error = String(e && e.message ? e.message : e).slice(0, 300);
+    }
+  }
+
+  const delivery = {
+    id: crypto.randomUUID(),
+    ok: error ? 0 : 1,
+    status_code: status,
+    attempts,
+    error,
+  };
+  try {
+    await env.DB.batch([
+      env.DB.prepare(
+        `INSERT INTO webhook_deliveries (id, webhook_id, email_id, event, ok, status_code, attempts, error, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(delivery.id, hook.id, emailId, payload.event, delivery.ok, status, attempts, error, nowSec()),
+      env.DB.prepare(
+        `DELETE FROM webhook_deliveries WHERE webhook_id = ? AND id NOT IN (
+           SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ${WEBHOOK_DELIVERIES_KEPT}
+         )`
+      ).bind(hook.id, hook.id),
+    ]);
+  } catch (e) {
+    console.log("webhook log error:", e && e.message ? e.message : e);
+  }
+  return delivery;
+}
+
+// Webhook milik user (semua alias atau alias ini saja) + webhook global admin
+async function fireEmailWebhooks(env, record) {
+  try {
+    const res = await env.DB.prepare(
+      `SELECT id, url, secret FROM webhooks
+       WHERE disabled = 0 AND (
+         user_id IS NULL OR
+         (user_id = ? AND (local_part IS NULL OR (local_part = ? AND domain = ?)))
+       )`
+    )
+      .bind(record.user_id, record.local_part, record.domain || "")
+      .all();
+    const hooks = res.results || [];
+    if (!hooks.length) return;
+
+    const payload = emailWebhookPayload(env, record);
+    await Promise.all(hooks.map((h) => deliverWebhook(env, h, payload, record.id)));
+  } catch (e) {
+    console.log("webhook error:", e && e.message ? e.message : e);
+  }
+}
+
+// -------------------- Raw source --------------------
+function emlFilename(row) {
+  const base = String(row.subject || "")
+    .replace(/[^\p{L}\p{N} ._-]+/gu, "")
+    .trim()
+    .slice(0, 80);
+  return `${base || row.id}.eml`;
+}
+
+async function serveRawEmail(env, row) {
+  if (!row.raw_key || !env.MAIL_R2) return json({ ok: false, error: "Raw email tidak tersimpan" }, 404);
+  const obj = await env.MAIL_R2.get(row.raw_key);
+  if (!obj) return json({ ok: false, error: "Raw email tidak tersimpan" }, 404);
+  return download(obj.body, "message/rfc822", emlFilename(row));
+}
+
+// -------------------- Export (mbox / zip .eml) --------------------
+// Diproses di background (waitUntil; cron melanjutkan yang terputus), hasilnya disimpan di R2
+// dan diunduh lewat link bertanda tangan. Sumber: raw .eml di R2, atau MIME yang disusun ulang
+// dari kolom D1 kalau raw_key kosong.
+async function exportSig(env, userId, exportId, exp) {
+  return hmacSha256Hex(await getUrlSigningKey(env), `export.${userId}.${exportId}.${exp}`);
+}
+
+async function exportView(env, row) {
+  const out = {
+    id: row.id,
+    alias: row.local_part ? `${row.local_part}@${row.domain || ""}` : null,
+    format: row.format,
+    status: row.status,
+    email_count: row.email_count,
+    size: row.size,
+    error: row.error,
+    filename: row.filename,
+    created_at: row.created_at,
+    finished_at: row.finished_at,
+    expires_at: row.expires_at,
+    download_url: null,
+  };
+  if (row.status === "done" && row.expires_at > nowSec()) {
+    const exp = Math.min(nowSec() + EXPORT_URL_TTL, row.expires_at);
+    const sig = await exportSig(env, row.user_id, row.id, exp);
+    out.download_url = `/api/exports/${encodeURIComponent(row.id)}/download?exp=${exp}&sig=${sig}`;
+  }
+  return out;
+}
+
+function concatBytes(list) {
+  let len = 0;
+  for (const b of list) len += b.length;
+  const out = new Uint8Array(len);
+  let off = 0;
+  for (const b of list) {
+    out.set(b, off);
+    off += b.length;
+  }
+  return out;
+}
+
+// btoa(String.fromCharCode(...bytes)) gagal untuk body besar (batas argumen), jadi dicicil
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function emailDate(row) {
+  const d = new Date(row.date || row.created_at * 1000);
+  return Number.isNaN(d.getTime()) ? new Date(row.created_at * 1000) : d;
+}
+
+// Email tanpa raw di R2: header utama + text/html (attachment tidak ikut)
+function rebuildEmailMime(row) {
+  const part = (s, type) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    ...(bytesToBase64(encoder.encode(String(s || "").replace(/\r?\n/g, "\r\n"))).match(/.{1,76}/g) || []),
+  ];
+  const lines = [
+    `From: ${row.from_name ? `${mimeHeaderValue(row.from_name)} <${row.from_addr || ""}>` : row.from_addr || ""}`,
+    `To: ${mimeHeaderValue(row.to_addr)}`,
+    `Subject: ${mimeHeaderValue(row.subject)}`,
+    `Date: ${emailDate(row).toUTCString()}`,
+  ];
+  if (row.message_id) lines.push(`Message-ID: ${mimeHeaderValue(row.message_id)}`);
+  if (row.in_reply_to) lines.push(`In-Reply-To: ${mimeHeaderValue(row.in_reply_to)}`);
+  lines.push("MIME-Version: 1.0", "X-Export-Rebuilt: yes");
+  if (row.text && row.html) {
+    const boundary = `=_${crypto.randomUUID()}`;
+    lines.push(
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      "",
+      `--${boundary}`,
+      ...part(row.text, "text/plain"),
+      `--${boundary}`,
+      ...part(row.html, "text/html"),
+      `--${boundary}--`
+    );
+  } else if (row.html) {
+    lines.push(...part(row.html, "text/html"));
+  } else {
+    lines.push(...part(row.text, "text/plain"));
+  }
+  return encoder.encode(lines.join("\r\n") + "\r\n");
+}
+
+async function emailExportBytes(env, row) {
+  if (row.raw_key && env.MAIL_R2) {
+    const obj = await env.MAIL_R2.get(row.raw_key);
+    if (obj) return new Uint8Array(await obj.arrayBuffer());
+  }
+  const full = await env.DB.prepare(
+    `SELECT from_addr, from_name, to_addr, subject, date, text, html, message_id, in_reply_to, created_at
+     FROM emails WHERE id = ?`
+  )
+    .bind(row.id)
+    .first();
+  return rebuildEmailMime(full || row);
+}
+
+// mboxrd: "From " separator, baris /^>*From / dapat ">" tambahan, CRLF -> LF, diakhiri baris kosong
+function mboxEntry(row, bytes) {
+  const [wday, day, mon, year, time] = emailDate(row).toUTCString().replace(",", "").split(" ");
+  const sender = String(row.envelope_from || row.from_addr || "").replace(/\s+/g, "") || "MAILER-DAEMON";
+  const out = [encoder.encode(`From ${sender} ${wday} ${mon} ${String(Number(day)).padStart(2, " ")} ${time} ${year}\n`)];
+  const GT = encoder.encode(">");
+  const LF = encoder.encode("\n");
+  let start = 0;
+  while (start < bytes.length) {
+    let end = bytes.indexOf(0x0a, start);
+    if (end < 0) end = bytes.length;
+    const line = bytes.subarray(start, end > start && bytes[end - 1] === 0x0d ? end - 1 : end);
+    let i = 0;
+    while (line[i] === 0x3e) i++;
+    // "From "
+    if (line[i] === 0x46 && line[i + 1] === 0x72 && line[i + 2] === 0x6f && line[i + 3] === 0x6d && line[i + 4] === 0x20) {
+      out.push(GT);
+    }
+    out.push(line, LF);
+    start = end + 1;
+  }
+  out.push(LF);
+  return concatBytes(out);
+}
+
+let CRC32_TABLE = null;
+
+function crc32(bytes) {
+  if (!CRC32_TABLE) {
+    CRC32_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC32_TABLE[n] = c >>> 0;
+    }
+  }
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Satu entry zip (deflate, nama UTF-8). Return { local, central } — central dipakai di akhir file.
+async function zipEntry(name, bytes, createdAt, offset) {
+  const data = await deflateRaw(bytes);
+  const nameBytes = encoder.encode(name);
+  const d = new Date(createdAt * 1000);
+  const time = (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | (d.getUTCSeconds() >> 1);
+  const date = (Math.max(0, d.getUTCFullYear() - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate();
+  const crc = crc32(bytes);
+
+  const local = new Uint8Array(30 + nameBytes.length);
+  const lv = new DataView(local.buffer);
+  lv.setUint32(0, 0x04034b50, true);
+  lv.setUint16(4, 20, true);
+  lv.setUint16(6, 0x0800, true);
+  lv.setUint16(8, 8, true);
+  lv.setUint16(10, time, true);
+  lv.setUint16(12, date, true);
+  lv.setUint32(14, crc, true);
+  lv.setUint32(18, data.length, true);
+  lv.setUint32(22, bytes.length, true);
+  lv.setUint16(26, nameBytes.length, true);
+  local.set(nameBytes, 30);
+
+  const central = new Uint8Array(46 + nameBytes.length);
+  const cv = new DataView(central.buffer);
+  cv.setUint32(0, 0x02014b50, true);
+  cv.setUint16(4, 20, true);
+  cv.setUint16(6, 20, true);
+  cv.setUint16(8, 0x0800, true);
+  cv.setUint16(10, 8, true);
+  cv.setUint16(12, time, true);
+  cv.setUint16(14, date, true);
+  cv.setUint32(16, crc, true);
+  cv.setUint32(20, data.length, true);
+  cv.setUint32(24, bytes.length, true);
+  cv.setUint16(28, nameBytes.length, true);
+  cv.setUint32(42, offset, true);
+  central.set(nameBytes, 46);
+
+  return { local: concatBytes([local, data]), central };
+}
+
+function zipEnd(count, centralSize, centralOffset) {
+  const end = new Uint8Array(22);
+  const v = new DataView(end.buffer);
+  v.setUint32(0, 0x06054b50, true);
+  v.setUint16(8, count, true);
+  v.setUint16(10, count, true);
+  v.setUint32(12, centralSize, true);
+  v.setUint32(16, centralOffset, true);
+  return end;
+}
+
+// Tulis ke R2 bertahap. Export kecil = satu put(); besar = multipart (R2: semua part kecuali
+// yang terakhir harus sama besar, minimal 5 MiB).
+// resume = state() dari invocation sebelumnya ({uploadId, parts, carry, size}); onCreate(uploadId)
+// dipanggil begitu multipart upload dibuat, supaya bisa di-abort dari luar.
+function createR2Writer(env, key, contentType, { resume = null, onCreate = null } = {}) {
+  let upload = resume && resume.uploadId ? env.MAIL_R2.resumeMultipartUpload(key, resume.uploadId) : null;
+  const parts = resume ? [...resume.parts] : [];
+  let buf = resume && resume.carry.length ? [resume.carry] : [];
+  let buffered = resume ? resume.carry.length : 0;
+  let size = resume ? resume.size : 0;
+  return {
+    get size() {
+      return size;
+    },
+    async write(bytes) {
+      buf.push(bytes);
+      buffered += bytes.length;
+      size += bytes.length;
+      while (buffered >= EXPORT_PART_SIZE) {
+        const all = concatBytes(buf);
+        if (!upload) {
+          upload = await env.MAIL_R2.createMultipartUpload(key, { httpMetadata: { contentType } });
+          if (onCreate) await onCreate(upload.uploadId);
+        }
+        const part = await upload.uploadPart(parts.length + 1, all.subarray(0, EXPORT_PART_SIZE));
+        parts.push({ partNumber: part.partNumber, etag: part.etag });
+        buf = [all.subarray(EXPORT_PART_SIZE)];
+        buffered = buf[0].length;
+      }
+    },
+    // sisa buffer (< 1 part) ikut dikembalikan, jadi harus disimpan pemanggil
+    state() {
+      return { uploadId: upload ? upload.uploadId : null, parts: [...parts], carry: concatBytes(buf), size };
+    },
+    async finish() {
+      const rest = concatBytes(buf);
+      if (!upload) return env.MAIL_R2.put(key, rest, { httpMetadata: { contentType } });
+      if (rest.length) parts.push(await upload.uploadPart(parts.length + 1, rest));
+      return upload.complete(parts);
+    },
+    async abort() {
+      try {
+        if (upload) await upload.abort();
+      } catch {
+        // upload sudah kedaluwarsa
+      }
+    },
+  };
+}
+
+function exportR2Key(job) {
+  return `exports/${job.user_id}/${job.id}.${job.format}`;
+}
+
+// Checkpoint export: JSON kecil di exports.checkpoint (cursor, jumlah, part yang sudah terupload),
+// byte yang belum jadi part + central directory zip di objek R2 terpisah. seq ikut nama objeknya,
+// jadi checkpoint yang gagal tersimpan di D1 cuma menimpa objek yang sama di percobaan berikutnya.
+function exportStateKey(job, seq) {
+  return `${exportR2Key(job)}.state-${seq}`;
+}
+
+function parseExportCheckpoint(v) {
+  if (!v) return null;
+  try {
+    const x = JSON.parse(v);
+    return x && Array.isArray(x.parts) ? x : null;
+  } catch {
+    return null;
+  }
+}
+
+async function loadExportCheckpoint(env, job) {
+  const cp = parseExportCheckpoint(job.checkpoint);
+  if (!cp || (cp.parts.length && !job.upload_id)) return null;
+  const obj = await env.MAIL_R2.get(exportStateKey(job, cp.seq));
+  if (!obj) return null;
+  const bytes = new Uint8Array(await obj.arrayBuffer());
+  return {
+    ...cp,
+    writer: { uploadId: job.upload_id, parts: cp.parts, carry: bytes.subarray(0, cp.carry), size: cp.size },
+    central: bytes.subarray(cp.carry),
+  };
+}
+
+async function saveExportCheckpoint(env, job, prev, out, central, count, after) {
+  const seq = prev ? prev.seq + 1 : 1;
+  const st = out.state();
+  await env.MAIL_R2.put(exportStateKey(job, seq), concatBytes([st.carry, ...central]));
+  const cp = { seq, after, count, size: st.size, parts: st.parts, carry: st.carry.length };
+  // progres tersimpan -> hitungan percobaan gagal mulai dari nol lagi; cron melanjutkan
+  await env.DB.prepare(
+    `UPDATE exports SET status = 'pending', started_at = NULL, attempts = 0, checkpoint = ?, upload_id = ?, email_count = ?
+     WHERE id = ?`
+  )
+    .bind(JSON.stringify(cp), st.uploadId, count, job.id)
+    .run();
+  if (prev) await env.MAIL_R2.delete(exportStateKey(job, prev.seq));
+}
+
+// Buang upload + state checkpoint (export gagal/dihapus, atau checkpoint tidak bisa dipakai)
+async function discardExportProgress(env, job) {
+  if (!env.MAIL_R2) return;
+  try {
+    if (job.upload_id) await env.MAIL_R2.resumeMultipartUpload(exportR2Key(job), job.upload_id).abort();
+  } catch {
+    // upload sudah selesai/kedaluwarsa
+  }
+  const cp = parseExportCheckpoint(job.checkpoint);
+  if (cp) await env.MAIL_R2.delete(exportStateKey(job, cp.seq));
+}
+
+// Bisa dikecilkan lewat env kalau limit subrequest/CPU plan-nya lebih ketat
+function exportBatchSize(env) {
+  return Math.max(1, safeInt(env.EXPORT_BATCH_EMAILS || EXPORT_BATCH_EMAILS, EXPORT_BATCH_EMAILS));
+}
+
+// Klaim export (pending, atau running yang macet) lalu kerjakan paling banyak `budget` email,
+// lanjut dari checkpoint kalau ada. Belum selesai -> checkpoint + kembali 'pending' untuk cron.
+// Aman dipanggil dobel: UPDATE klaim cuma berhasil untuk satu pemanggil. Return: email yang diproses.
+async function runExport(env, exportId, budget = exportBatchSize(env)) {
+  const t = nowSec();
+  const claim = await env.DB.prepare(
+    `UPDATE exports SET status = 'running', started_at = ?, attempts = attempts + 1
+     WHERE id = ? AND (status = 'pending' OR (status = 'running' AND started_at < ?)) AND attempts < ?`
+  )
+    .bind(t, exportId, t - EXPORT_RETRY_AFTER, MAX_EXPORT_ATTEMPTS)
+    .run();
+  if (!claim.meta || !claim.meta.changes) return 0;
+
+  const job = await env.DB.prepare(`SELECT * FROM exports WHERE id = ?`).bind(exportId).first();
+  const key = exportR2Key(job);
+  let cp = null;
+  let done = 0;
+  let out = null;
+  try {
+    cp = job.checkpoint ? await loadExportCheckpoint(env, job) : null;
+    if (!cp) {
+      await discardExportProgress(env, job);
+      job.checkpoint = null;
+    }
+    out = createR2Writer(env, key, job.format === "zip" ? "application/zip" : "application/mbox", {
+      resume: cp && cp.writer,
+      onCreate: (uploadId) => env.DB.prepare(`UPDATE exports SET upload_id = ? WHERE id = ?`).bind(uploadId, job.id).run(),
+    });
+
+    const emailsDomain = await emailsHasDomain(env);
+    const where = ["user_id = ?"];
+    const binds = [job.user_id];
+    if (job.local_part) {
+      where.push("local_part = ?");
+      binds.push(job.local_part);
+      if (emailsDomain && job.domain) {
+        where.push("domain = ?");
+        binds.push(job.domain);
+      }
+    }
+
+    const central = cp ? [cp.central] : [];
+    let count = cp ? cp.count : 0;
+    let after = cp ? cp.after : null;
+    while (count < MAX_EXPORT_EMAILS) {
+      if (done >= budget) {
+        await saveExportCheckpoint(env, job, cp, out, central, count, after);
+        return done;
+      }
+      const page = await env.DB.prepare(
+        `SELECT id, local_part, ${emailsDomain ? "domain" : "NULL as domain"}, subject, date, from_addr, envelope_from,
+                raw_key, created_at
+         FROM emails
+         WHERE ${where.join(" AND ")}${after ? " AND (created_at > ? OR (created_at = ? AND id > ?))" : ""}
+         ORDER BY created_at ASC, id ASC
+         LIMIT ?`
+      )
+        .bind(...binds, ...(after ? [after.created_at, after.created_at, after.id] : []), Math.min(100, budget - done))
+        .all();
+      const rows = page.results || [];
+      if (!rows.length) break;
+
+      for (const row of rows) {
+        if (count >= MAX_EXPORT_EMAILS) break;
+        const bytes = await emailExportBytes(env, row);
+        if (job.format === "zip") {
+          const day = new Date(row.created_at * 1000).toISOString().slice(0, 10);
+          const dir = job.local_part ? "" : `${row.local_part}${row.domain ? "@" + row.domain : ""}/`;
+          const entry = await zipEntry(`${dir}${day}_${row.id.slice(0, 8)}_${emlFilename(row)}`, bytes, row.created_at, out.size);
+          await out.write(entry.local);
+          central.push(entry.central);
+        } else {
+          await out.write(mboxEntry(row, bytes));
+        }
+        after = { created_at: row.created_at, id: row.id };
+        count++;
+        done++;
+      }
+    }
+
+    if (job.format === "zip") {
+      const offset = out.size;
+      const dir = concatBytes(central);
+      if (offset + dir.length > 0xffffffff) throw new Error("Export terlalu besar untuk zip (maks 4 GB)");
+      await out.write(dir);
+      await out.write(zipEnd(count, dir.length, offset));
+    }
+    await out.finish();
+
+    await env.DB.prepare(
+      `UPDATE exports SET status = 'done', r2_key = ?, size = ?, email_count = ?, error = NULL, upload_id = NULL,
+              checkpoint = NULL, finished_at = ?, expires_at = ?
+       WHERE id = ?`
+    )
+      .bind(key, out.size, count, nowSec(), nowSec() + EXPORT_TTL_DAYS * 86400, job.id)
+      .run();
+    if (cp) await env.MAIL_R2.delete(exportStateKey(job, cp.seq));
+  } catch (e) {
+    console.log("export error:", e && e.stack ? e.stack : e);
+    const error = String(e && e.message ? e.message : e).slice(0, 300);
+    if (job.attempts < MAX_EXPORT_ATTEMPTS) {
+      // coba lagi dari checkpoint terakhir; upload & state dibiarkan
+      await env.DB.prepare(`UPDATE exports SET status = 'pending', started_at = ?, error = ? WHERE id = ?`)
+        .bind(nowSec(), error, job.id)
+        .run();
+      return done;
+    }
+    if (out) await out.abort();
+    await discardExportProgress(env, job);
+    await env.DB.prepare(
+      `UPDATE exports SET status = 'error', error = ?, upload_id = NULL, checkpoint = NULL, finished_at = ? WHERE id = ?`
+    )
+      .bind(error, nowSec(), job.id)
+      .run();
+  }
+  return done;
+}
+
+// Cron: lanjutkan export yang belum selesai (satu jatah EXPORT_BATCH_EMAILS per invocation),
+// lalu hapus file yang sudah kedaluwarsa
+async function maintainExports(env, ctx) {
+  const t = nowSec();
+  const failed = await env.DB.prepare(
+    `SELECT id, user_id, format, upload_id, checkpoint FROM exports
+     WHERE status = 'running' AND attempts >= ? AND started_at < ?
+     LIMIT 100`
+  )
+    .bind(MAX_EXPORT_ATTEMPTS, t - EXPORT_RETRY_AFTER)
+    .all();
+  for (const job of failed.results || []) {
+    await discardExportProgress(env, job);
+    await env.DB.prepare(
+      `UPDATE exports SET status = 'error', error = 'Gagal setelah beberapa percobaan', upload_id = NULL, checkpoint = NULL,
+              finished_at = ?
+       WHERE id = ?`
+    )
+      .bind(t, job.id)
+      .run();
+  }
+
+  const stale = await env.DB.prepare(
+    `SELECT id FROM exports
+     WHERE status = 'pending' OR (status = 'running' AND started_at < ?)
+     ORDER BY created_at LIMIT 5`
+  )
+    .bind(t - EXPORT_RETRY_AFTER)
+    .all();
+  let budget = exportBatchSize(env);
+  for (const r of stale.results || []) {
+    if (budget <= 0) break;
+    budget -= await runExport(env, r.id, budget);
+  }
+
+  const expired = await env.DB.prepare(`SELECT id, r2_key FROM exports WHERE expires_at < ? LIMIT 500`).bind(t).all();
+  const rows = expired.results || [];
+  if (!rows.length) return 0;
+  purgeR2Keys(env, ctx, rows.map((r) => r.r2_key).filter(Boolean));
+  await env.DB.batch(
+    idChunks(rows.map((r) => r.id)).map((chunk) =>
+      env.DB.prepare(`DELETE FROM exports WHERE id IN (${chunk.map(() => "?").join(",")})`).bind(...chunk)
+    )
+  );
+  return rows.length;
+}
+
+// -------------------- Outgoing email (Resend) --------------------
+// `tag` cuma buat prefix log ("reset email", "forward verify", ...)
+async function sendResendEmail(env, tag, toEmail, subject, bodyHtml) {
+  if (!env.RESEND_API_KEY) {
+    console.log(`${tag}: RESEND_API_KEY not set -> skipping send`);
+    return false;
+  }
+
+  const from = env.RESET_FROM || `Org_Lemah <no-reply@${env.DOMAIN}>`;
+
+  console.log(`${tag}: sending...`, { toEmail, from });
+
+  const r = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${env.RESEND_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      from,
+      to: [toEmail],
+      subject,
+      html: bodyHtml,
+    }),
+  });
+
+  if (!r.ok) {
+    const txt = await r.text().catch(() => "");
+    console.log(`${tag}: failed`, r.status, txt.slice(0, 800));
+    return false;
+  }
+
+  const okTxt = await r.text().catch(() => "");
+  console.log(`${tag}: sent ok`, okTxt.slice(0, 300));
+  return true;
+}
+
+async function sendResetEmail(env, toEmail, token) {
+  const base = env.APP_BASE_URL || "";
+  const link = base ? `${base}/reset#token=${encodeURIComponent(token)}` : "";
+
+  const bodyHtml = `
+    <div style="font-family:Arial,sans-serif">
       <h3 style="margin:0 0 10px">Reset Password</h3>
       <p>Gunakan token berikut untuk reset password:</p>
       <p style="font-size:16px"><b>${token}</b></p>
@@ -2080,547 +6024,2055 @@ async function sendResetEmail(env, toEmail, token) {
     </div>
   `;
 
-  const from = env.RESET_FROM || `Org_Lemah <no-reply@${env.DOMAIN}>`;
+  return sendResendEmail(env, "reset email", toEmail, "Reset password", bodyHtml);
+}
+
+async function sendForwardVerifyEmail(env, toEmail, username, token) {
+  const base = env.APP_BASE_URL || "";
+  const link = base ? `${base}/forward/verify#token=${encodeURIComponent(token)}` : "";
+
+  const bodyHtml = `
+    <div style="font-family:Arial,sans-serif">
+      <h3 style="margin:0 0 10px">Konfirmasi alamat forward</h3>
+      <p>User <b>${escapeHtml(username)}</b> ingin meneruskan email ke alamat ini.</p>
+      ${link ? `<p>Klik untuk konfirmasi: <a href="${link}">${link}</a></p>` : ""}
+      <p>Token: <b>${token}</b></p>
+      <p style="color:#64748b">Jika bukan kamu, abaikan email ini. Tidak ada email yang diteruskan sebelum dikonfirmasi.</p>
+    </div>
+  `;
+
+  return sendResendEmail(env, "forward verify", toEmail, "Konfirmasi alamat forward", bodyHtml);
+}
+
+// -------------------- Push (Durable Object per user) --------------------
+// Satu instance per user (idFromName(user_id)). Browser connect lewat /api/events (WebSocket),
+// email() memanggil /notify setelah insert. Pakai hibernation API supaya koneksi idle tidak ditagih.
+export class MailEvents {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    // ping dari client dijawab runtime tanpa membangunkan object
+    this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair("ping", "pong"));
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (url.pathname === "/notify" && request.method === "POST") {
+      const msg = await request.text();
+      const sockets = this.state.getWebSockets();
+      for (const ws of sockets) {
+        try {
+          ws.send(msg);
+        } catch {
+          // socket sudah putus; runtime yang membersihkan
+        }
+      }
+      return json({ ok: true, delivered: sockets.length });
+    }
+
+    if (request.headers.get("upgrade") !== "websocket") return badRequest("WebSocket required");
+    if (this.state.getWebSockets().length >= MAX_EVENT_SOCKETS) return json({ ok: false, error: "Terlalu banyak koneksi" }, 429);
+
+    const pair = new WebSocketPair();
+    this.state.acceptWebSocket(pair[1]);
+    pair[1].send(JSON.stringify({ type: "hello" }));
+    return new Response(null, { status: 101, webSocket: pair[0] });
+  }
+
+  async webSocketMessage() {
+    // client cuma kirim "ping" (dijawab auto-response); selain itu diabaikan
+  }
+
+  async webSocketClose(ws, code) {
+    try {
+      ws.close(code, "closed");
+    } catch {
+      // sudah tertutup
+    }
+  }
+}
+
+function mailEventsStub(env, userId) {
+  if (!env.MAIL_EVENTS) return null;
+  return env.MAIL_EVENTS.get(env.MAIL_EVENTS.idFromName(userId));
+}
+
+// Best-effort: kalau binding tidak ada / DO error, client tetap punya fallback polling
+async function notifyUser(env, userId, event) {
+  const stub = mailEventsStub(env, userId);
+  if (!stub) return;
+  try {
+    await stub.fetch("https://mail-events/notify", { method: "POST", body: JSON.stringify(event) });
+  } catch (e) {
+    console.log("notify error:", e && e.message ? e.message : e);
+  }
+}
+
+// -------------------- Worker entry --------------------
+export default {
+  async fetch(request, env, ctx) {
+    ctx.waitUntil(cleanupExpired(env));
+
+    const url = new URL(request.url);
+    const path = url.pathname;
+    const cookieSecure = url.protocol === "https:";
+
+    // Pages
+    if (request.method === "GET") {
+      const domains = getAllowedDomains(env);
+      if (path === "/" || path === "/login") return html(PAGES.login());
+      if (path === "/signup") return html(PAGES.signup(domains));
+      if (path === "/reset") return html(PAGES.reset());
+      if (path === "/forward/verify") return html(PAGES.forwardVerify());
+      if (path === "/app") return html(PAGES.app(domains));
+      if (path === "/admin") return html(PAGES.admin(domains));
+    }
+
+    // API
+    if (path.startsWith("/api/")) {
+      try {
+        await ensureColumns(env);
+
+        // Signup
+        if (path === "/api/auth/signup" && request.method === "POST") {
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const username = String(body.username || "").trim().toLowerCase();
+          const email = String(body.email || "").trim().toLowerCase();
+          const pw = String(body.pw || "");
+
+          if (!/^[a-z0-9_]{3,24}$/.test(username)) return badRequest("Username 3-24, a-z0-9_");
+          if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return badRequest("Email tidak valid");
+          if (pw.length < 8) return badRequest("Password minimal 8 karakter");
+
+          const iters = pbkdf2Iters(env);
+          const salt = crypto.getRandomValues(new Uint8Array(16));
+          const pass_salt = base64Url(salt);
+          const pass_hash = await pbkdf2HashBase64Url(pw, salt, iters);
+
+          const t = nowSec();
+          const id = crypto.randomUUID();
+
+          const c = await env.DB.prepare(`SELECT COUNT(*) as c FROM users`).first();
+          const count = Number(c?.c ?? 0);
+          const role = count === 0 ? "admin" : "user";
+          const aliasLimit = safeInt(env.DEFAULT_ALIAS_LIMIT, 3);
+
+          try {
+            const hasIters = await usersHasPassIters(env);
+            if (hasIters) {
+              await env.DB.prepare(
+                `INSERT INTO users (id, username, email, pass_salt, pass_hash, pass_iters, role, alias_limit, disabled, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?)`
+              )
+                .bind(id, username, email, pass_salt, pass_hash, iters, role, aliasLimit, t)
+                .run();
+            } else {
+              await env.DB.prepare(
+                `INSERT INTO users (id, username, email, pass_salt, pass_hash, role, alias_limit, disabled, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)`
+              )
+                .bind(id, username, email, pass_salt, pass_hash, role, aliasLimit, t)
+                .run();
+            }
+          } catch (e) {
+            const msg = String(e && e.message ? e.message : e);
+            if (msg.toUpperCase().includes("UNIQUE")) return badRequest("Username/email sudah dipakai");
+            console.log("signup db error:", msg);
+            return json({ ok: false, error: "DB error" }, 500);
+          }
+
+          // Auto-create initial alias with username@domain
+          let domain = String(body.domain || "").trim().toLowerCase();
+          const allowedDomains = getAllowedDomains(env);
+          const fallbackDomain = allowedDomains[0] || env.DOMAIN || "";
+          const hasDomain = await aliasesHasDomain(env);
+
+          if (!domain) domain = fallbackDomain;
+          const selectedDomain = allowedDomains.includes(domain) ? domain : fallbackDomain;
+
+          try {
+            if (hasDomain) {
+              await env.DB.batch([
+                env.DB.prepare(
+                  `INSERT INTO aliases (local_part, domain, user_id, disabled, created_at)
+                   VALUES (?, ?, ?, 0, ?)`
+                ).bind(username, selectedDomain, id, t),
+                logAliasChangeStmt(env, id, username, selectedDomain),
+              ]);
+            } else {
+              await env.DB.batch([
+                env.DB.prepare(
+                  `INSERT INTO aliases (local_part, user_id, disabled, created_at)
+                   VALUES (?, ?, 0, ?)`
+                ).bind(username, id, t),
+                logAliasChangeStmt(env, id, username, selectedDomain),
+              ]);
+            }
+          } catch (e) {
+            console.log("auto-create alias error:", e);
+            // Continue even if alias creation fails
+          }
+
+          const ttl = safeInt(env.SESSION_TTL_SECONDS, 1209600);
+          const token = await createSession(env, id, ttl);
+
+          return json({ ok: true }, 200, {
+            "set-cookie": setCookieHeader("session", token, { maxAge: ttl, secure: cookieSecure }),
+          });
+        }
+
+        // Login
+        if (path === "/api/auth/login" && request.method === "POST") {
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const id = String(body.id || "").trim().toLowerCase();
+          const pw = String(body.pw || "");
+          if (!id || !pw) return badRequest("Lengkapi data");
+
+          const hasIters = await usersHasPassIters(env);
+
+          const user = hasIters
+            ? await env.DB.prepare(
+              `SELECT id, username, email, pass_salt, pass_hash, pass_iters, role, alias_limit, disabled
+                 FROM users WHERE username = ? OR email = ?`
+            )
+              .bind(id, id)
+              .first()
+            : await env.DB.prepare(
+              `SELECT id, username, email, pass_salt, pass_hash, role, alias_limit, disabled
+                 FROM users WHERE username = ? OR email = ?`
+            )
+              .bind(id, id)
+              .first();
+
+          if (!user || user.disabled) return unauthorized("Login gagal");
+
+          const saltBytes = base64UrlToBytes(user.pass_salt);
+          const iters = hasIters ? safeInt(user.pass_iters, pbkdf2Iters(env)) : pbkdf2Iters(env);
+
+          if (iters > PBKDF2_MAX_ITERS) {
+            return unauthorized("Hash password lama tidak didukung. Silakan reset password.");
+          }
+
+          let hash;
+          try {
+            hash = await pbkdf2HashBase64Url(pw, saltBytes, iters);
+          } catch (e) {
+            if ((e?.name || "") === "NotSupportedError") {
+              return unauthorized("Parameter hash tidak didukung. Silakan reset password.");
+            }
+            throw e;
+          }
+
+          if (hash !== user.pass_hash) return unauthorized("Login gagal");
+
+          const ttl = safeInt(env.SESSION_TTL_SECONDS, 1209600);
+          const token = await createSession(env, user.id, ttl);
+
+          return json({ ok: true }, 200, {
+            "set-cookie": setCookieHeader("session", token, { maxAge: ttl, secure: cookieSecure }),
+          });
+        }
+
+        // Logout
+        if (path === "/api/auth/logout" && request.method === "POST") {
+          await destroySession(request, env);
+          return json({ ok: true }, 200, {
+            "set-cookie": setCookieHeader("session", "", { maxAge: 0, secure: cookieSecure }),
+          });
+        }
+
+        // Reset request
+        if (path === "/api/auth/reset/request" && request.method === "POST") {
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const email = String(body.email || "").trim().toLowerCase();
+          if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return badRequest("Email tidak valid");
+
+          const user = await env.DB.prepare(`SELECT id, disabled FROM users WHERE email = ?`)
+            .bind(email)
+            .first();
+
+          // anti user-enumeration
+          if (!user || user.disabled) return json({ ok: true });
+
+          const tokenBytes = crypto.getRandomValues(new Uint8Array(32));
+          const token = base64Url(tokenBytes);
+          const tokenHash = await sha256Base64Url(encoder.encode(token));
+          const t = nowSec();
+          const ttl = safeInt(env.RESET_TTL_SECONDS, 3600);
+
+          await env.DB.prepare(
+            `INSERT INTO reset_tokens (token_hash, user_id, expires_at, created_at)
+             VALUES (?, ?, ?, ?)`
+          )
+            .bind(tokenHash, user.id, t + ttl, t)
+            .run();
+
+          ctx.waitUntil(sendResetEmail(env, email, token));
+          return json({ ok: true });
+        }
+
+        // Reset confirm
+        if (path === "/api/auth/reset/confirm" && request.method === "POST") {
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const token = String(body.token || "").trim();
+          const newPw = String(body.newPw || "");
+
+          if (!token) return badRequest("Token wajib");
+          if (newPw.length < 8) return badRequest("Password minimal 8 karakter");
+
+          const tokenHash = await sha256Base64Url(encoder.encode(token));
+          const rt = await env.DB.prepare(
+            `SELECT user_id, expires_at FROM reset_tokens WHERE token_hash = ?`
+          )
+            .bind(tokenHash)
+            .first();
+
+          if (!rt || rt.expires_at <= nowSec()) return badRequest("Token invalid/expired");
+
+          const iters = pbkdf2Iters(env);
+          const salt = crypto.getRandomValues(new Uint8Array(16));
+          const pass_salt = base64Url(salt);
+          const pass_hash = await pbkdf2HashBase64Url(newPw, salt, iters);
+
+          const hasIters = await usersHasPassIters(env);
+          if (hasIters) {
+            await env.DB.prepare(`UPDATE users SET pass_salt=?, pass_hash=?, pass_iters=? WHERE id=?`)
+              .bind(pass_salt, pass_hash, iters, rt.user_id)
+              .run();
+          } else {
+            await env.DB.prepare(`UPDATE users SET pass_salt=?, pass_hash=? WHERE id=?`)
+              .bind(pass_salt, pass_hash, rt.user_id)
+              .run();
+          }
+
+          await env.DB.prepare(`DELETE FROM reset_tokens WHERE token_hash=?`).bind(tokenHash).run();
+          return json({ ok: true });
+        }
+
+        // Konfirmasi alamat forward (token dari email, tanpa login)
+        if (path === "/api/forwards/verify" && request.method === "POST") {
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const token = String(body.token || "").trim();
+          if (!token) return badRequest("Token wajib");
+
+          const tokenHash = await sha256Base64Url(encoder.encode(token));
+          const fa = await env.DB.prepare(
+            `SELECT id, address, token_expires_at FROM forward_addresses WHERE token_hash = ?`
+          )
+            .bind(tokenHash)
+            .first();
+
+          if (!fa || !fa.token_expires_at || fa.token_expires_at <= nowSec()) {
+            return badRequest("Token invalid/expired");
+          }
+
+          await env.DB.prepare(
+            `UPDATE forward_addresses SET verified_at = ?, token_hash = NULL, token_expires_at = NULL WHERE id = ?`
+          )
+            .bind(nowSec(), fa.id)
+            .run();
+          return json({ ok: true, address: fa.address });
+        }
+
+        // Inline part (cid:) untuk viewer; auth lewat signature, bukan cookie
+        const inlineMatch = path.match(/^\/api\/inline\/([^/]+)\/([^/]+)$/);
+        if (inlineMatch && request.method === "GET") {
+          const emailId = decodeURIComponent(inlineMatch[1]);
+          const attId = decodeURIComponent(inlineMatch[2]);
+          const exp = safeInt(url.searchParams.get("exp"), 0);
+          const sig = String(url.searchParams.get("sig") || "");
+          if (!exp || exp < nowSec()) return notFound();
+
+          const att = await env.DB.prepare(
+            `SELECT a.user_id, a.mime_type, a.r2_key
+             FROM attachments a
+             JOIN emails e ON e.id = a.email_id AND e.user_id = a.user_id
+             WHERE a.id = ? AND a.email_id = ?`
+          )
+            .bind(attId, emailId)
+            .first();
+          if (!att || !att.r2_key || !env.MAIL_R2) return notFound();
+          if (sig !== (await inlinePartSig(env, att.user_id, emailId, attId, exp))) return notFound();
+
+          const mimeType = String(att.mime_type || "");
+          if (!mimeType.startsWith("image/")) return notFound();
+
+          const obj = await env.MAIL_R2.get(att.r2_key);
+          if (!obj) return notFound();
+          return new Response(obj.body, {
+            status: 200,
+            headers: {
+              "content-type": mimeType,
+              "content-disposition": "inline",
+              "content-security-policy": "sandbox",
+              "cache-control": `private, max-age=${INLINE_URL_TTL}`,
+              "x-content-type-options": "nosniff",
+              "referrer-policy": "no-referrer",
+            },
+          });
+        }
+
+        // Download hasil export; auth lewat signature (link bisa dibuka di download manager)
+        const exportDlMatch = path.match(/^\/api\/exports\/([^/]+)\/download$/);
+        if (exportDlMatch && request.method === "GET") {
+          const id = decodeURIComponent(exportDlMatch[1]);
+          const exp = safeInt(url.searchParams.get("exp"), 0);
+          const sig = String(url.searchParams.get("sig") || "");
+          if (!exp || exp < nowSec()) return notFound();
+
+          const job = await env.DB.prepare(
+            `SELECT user_id, format, r2_key, filename, expires_at FROM exports WHERE id = ? AND status = 'done'`
+          )
+            .bind(id)
+            .first();
+          if (!job || !job.r2_key || !env.MAIL_R2 || job.expires_at < nowSec()) return notFound();
+          if (sig !== (await exportSig(env, job.user_id, id, exp))) return notFound();
+
+          const obj = await env.MAIL_R2.get(job.r2_key);
+          if (!obj) return notFound();
+          return download(obj.body, job.format === "zip" ? "application/zip" : "application/mbox", job.filename, {
+            "content-length": String(obj.size),
+          });
+        }
+
+        // Auth required below
+        const me = await getUserBySession(request, env);
+        if (!me) return unauthorized();
+
+        // Push new-mail (WebSocket) -> Durable Object milik user ini
+        if (path === "/api/events" && request.method === "GET") {
+          const stub = mailEventsStub(env, me.id);
+          if (!stub) return json({ ok: false, error: "Push tidak aktif (MAIL_EVENTS belum di-bind)" }, 501);
+          if (request.headers.get("upgrade") !== "websocket") return badRequest("WebSocket required");
+          return stub.fetch(request);
+        }
+
+        if (path === "/api/me" && request.method === "GET") {
+          return json({
+            ok: true,
+            user: {
+              id: me.id,
+              username: me.username,
+              email: me.email,
+              role: me.role,
+              alias_limit: me.alias_limit,
+              pattern_limit: me.pattern_limit,
+              storage_quota_bytes: me.storage_quota_bytes,
+              storage_policy: me.storage_policy,
+              storage_used: await storageUsed(env, me.id),
+            },
+          });
+        }
+
+        // Mail (aliases)
+        if (path === "/api/aliases" && request.method === "GET") {
+          const hasDomain = await aliasesHasDomain(env);
+          const allowedDomains = getAllowedDomains(env);
+          const fallbackDomain = allowedDomains[0] || env.DOMAIN || "";
+
+          const rows = hasDomain
+            ? await env.DB.prepare(
+              `SELECT a.local_part, a.domain, a.kind, a.disabled, a.forward_keep, a.subaddressing, a.created_at,
+                      COALESCE(ar.enabled, 0) as autoreply
+               FROM aliases a
+               LEFT JOIN alias_autoreplies ar ON ar.local_part = a.local_part AND ar.domain = a.domain
+               WHERE a.user_id = ? ORDER BY a.created_at DESC`
+            )
+              .bind(me.id)
+              .all()
+            : await env.DB.prepare(
+              `SELECT local_part, ? as domain, disabled, created_at
+               FROM aliases WHERE user_id = ? ORDER BY created_at DESC`
+            )
+              .bind(fallbackDomain, me.id)
+              .all();
+
+          const aliases = (rows.results || []).map((a) => ({ ...a, forwards: [], unread: 0 }));
+
+          // badge unread per alias (folder inbox saja)
+          const emailsDomain = await emailsHasDomain(env);
+          const unread = await env.DB.prepare(
+            `SELECT local_part, ${emailsDomain ? "domain" : "NULL as domain"}, COUNT(*) as unread
+             FROM emails
+             WHERE user_id = ? AND read_at IS NULL AND folder = 'inbox'
+             GROUP BY local_part${emailsDomain ? ", domain" : ""}`
+          )
+            .bind(me.id)
+            .all();
+          for (const u of unread.results || []) {
+            for (const a of aliases) {
+              if (a.local_part === u.local_part && (!u.domain || a.domain === u.domain)) a.unread += u.unread;
+            }
+          }
+
+          if (hasDomain && aliases.length) {
+            const fw = await env.DB.prepare(
+              `SELECT af.local_part, af.domain, f.id, f.address
+               FROM alias_forwards af
+               JOIN forward_addresses f ON f.id = af.forward_id
+               WHERE f.user_id = ?`
+            )
+              .bind(me.id)
+              .all();
+            for (const f of fw.results || []) {
+              const a = aliases.find((x) => x.local_part === f.local_part && x.domain === f.domain);
+              if (a) a.forwards.push({ id: f.id, address: f.address });
+            }
+          }
+
+          return jsonWithEtag(request, { ok: true, aliases });
+        }
+
+        if (path === "/api/aliases" && request.method === "POST") {
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const local = String(body.local || "").trim().toLowerCase();
+          let domain = String(body.domain || "").trim().toLowerCase();
+
+          const isPattern = local.includes("*");
+          if (isPattern) {
+            if (!validPattern(local)) {
+              return badRequest(`Pattern tidak valid (satu *, a-z0-9._-, minimal ${MIN_PATTERN_LITERAL} karakter lain)`);
+            }
+          } else if (!validLocalPart(local)) {
+            return badRequest("Mail tidak valid (a-z0-9._+- max 64)");
+          }
+
+          const allowedDomains = getAllowedDomains(env);
+          const fallbackDomain = allowedDomains[0] || env.DOMAIN || "";
+          const hasDomain = await aliasesHasDomain(env);
+
+          if (!fallbackDomain && !hasDomain) return badRequest("Domain belum dikonfigurasi");
+
+          if (hasDomain) {
+            if (!domain) domain = fallbackDomain;
+            if (allowedDomains.length > 0) {
+              if (!allowedDomains.includes(domain)) return badRequest("Domain tidak diizinkan");
+            } else if (fallbackDomain) {
+              if (domain !== fallbackDomain) return badRequest("Domain tidak diizinkan");
+            } else {
+              return badRequest("Domain belum dikonfigurasi");
+            }
+          } else {
+            if (domain && domain !== fallbackDomain) return badRequest("Domain tidak diizinkan");
+            domain = fallbackDomain;
+          }
 
-  console.log("reset email: sending...", { toEmail, from });
+          if (isPattern && !hasDomain) return badRequest("Pattern butuh kolom domain (jalankan migration)");
 
-  const r = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${env.RESEND_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      from,
-      to: [toEmail],
-      subject,
-      html: bodyHtml,
-    }),
-  });
+          // pattern dihitung terpisah dari alias biasa
+          const cnt = await env.DB.prepare(
+            `SELECT COUNT(*) as c FROM aliases WHERE user_id = ? AND disabled = 0 AND kind = ?`
+          )
+            .bind(me.id, isPattern ? "pattern" : "exact")
+            .first();
 
-  if (!r.ok) {
-    const txt = await r.text().catch(() => "");
-    console.log("reset email: failed", r.status, txt.slice(0, 800));
-    return;
-  }
+          if (isPattern) {
+            if (Number(cnt?.c ?? 0) >= safeInt(me.pattern_limit, 0)) return forbidden("Limit pattern tercapai");
 
-  const okTxt = await r.text().catch(() => "");
-  console.log("reset email: sent ok", okTxt.slice(0, 300));
-}
+            const settings = await getSettings(env);
+            if (settings.allow_pattern_overlap !== "1") {
+              const others = await env.DB.prepare(
+                `SELECT local_part FROM aliases WHERE kind = 'pattern' AND domain = ? AND user_id != ?`
+              )
+                .bind(domain, me.id)
+                .all();
+              if ((others.results || []).some((o) => patternsOverlap(o.local_part, local))) {
+                return badRequest("Pattern bentrok dengan pattern milik user lain");
+              }
+            }
+          } else if (Number(cnt?.c ?? 0) >= me.alias_limit) {
+            return forbidden("Limit mail tercapai");
+          }
 
-// -------------------- Worker entry --------------------
-export default {
-  async fetch(request, env, ctx) {
-    ctx.waitUntil(cleanupExpired(env));
+          const t = nowSec();
+          try {
+            if (hasDomain) {
+              await env.DB.batch([
+                env.DB.prepare(
+                  `INSERT INTO aliases (local_part, domain, user_id, kind, disabled, created_at)
+                   VALUES (?, ?, ?, ?, 0, ?)`
+                ).bind(local, domain, me.id, isPattern ? "pattern" : "exact", t),
+                logAliasChangeStmt(env, me.id, local, domain),
+              ]);
+            } else {
+              await env.DB.batch([
+                env.DB.prepare(
+                  `INSERT INTO aliases (local_part, user_id, disabled, created_at)
+                   VALUES (?, ?, 0, ?)`
+                ).bind(local, me.id, t),
+                logAliasChangeStmt(env, me.id, local, fallbackDomain),
+              ]);
+            }
+          } catch (e) {
+            const msg = String(e && e.message ? e.message : e);
+            if (msg.toUpperCase().includes("UNIQUE")) return badRequest("Mail sudah dipakai");
+            console.log("alias db error:", msg);
+            return json({ ok: false, error: "DB error" }, 500);
+          }
 
-    const url = new URL(request.url);
-    const path = url.pathname;
-    const cookieSecure = url.protocol === "https:";
+          return json({ ok: true });
+        }
 
-    // Pages
-    if (request.method === "GET") {
-      const domains = getAllowedDomains(env);
-      if (path === "/" || path === "/login") return html(PAGES.login());
-      if (path === "/signup") return html(PAGES.signup(domains));
-      if (path === "/reset") return html(PAGES.reset());
-      if (path === "/app") return html(PAGES.app(domains));
-      if (path === "/admin") return html(PAGES.admin(domains));
-    }
+        // Aturan pengirim per alias: /api/aliases/:local/rules[/:id]?domain=
+        const rulesMatch = path.match(/^\/api\/aliases\/([^/]+)\/rules(?:\/([^/]+))?$/);
+        if (rulesMatch) {
+          const local = decodeURIComponent(rulesMatch[1]).toLowerCase();
+          const domain = (url.searchParams.get("domain") || "").trim().toLowerCase();
+          const ruleId = rulesMatch[2] ? decodeURIComponent(rulesMatch[2]) : null;
+          if (!validAliasName(local)) return badRequest("Mail invalid");
+          if (!(await aliasesHasDomain(env))) return badRequest("Butuh kolom domain (jalankan migration)");
+          if (!domain) return badRequest("Domain required");
 
-    // API
-    if (path.startsWith("/api/")) {
-      try {
-        // Signup
-        if (path === "/api/auth/signup" && request.method === "POST") {
-          const body = await readJson(request);
-          if (!body) return badRequest("JSON required");
+          const own = await env.DB.prepare(
+            `SELECT local_part FROM aliases WHERE local_part = ? AND domain = ? AND user_id = ?`
+          )
+            .bind(local, domain, me.id)
+            .first();
+          if (!own) return notFound();
 
-          const username = String(body.username || "").trim().toLowerCase();
-          const email = String(body.email || "").trim().toLowerCase();
-          const pw = String(body.pw || "");
+          if (!ruleId && request.method === "GET") {
+            const rows = await env.DB.prepare(
+              `SELECT id, action, pattern, created_at FROM alias_rules
+               WHERE local_part = ? AND domain = ? ORDER BY action, created_at`
+            )
+              .bind(local, domain)
+              .all();
+            return json({ ok: true, rules: rows.results || [] });
+          }
 
-          if (!/^[a-z0-9_]{3,24}$/.test(username)) return badRequest("Username 3-24, a-z0-9_");
-          if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return badRequest("Email tidak valid");
-          if (pw.length < 8) return badRequest("Password minimal 8 karakter");
+          if (request.method === "POST" || request.method === "PATCH") {
+            const body = await readJson(request);
+            if (!body) return badRequest("JSON required");
 
-          const iters = pbkdf2Iters(env);
-          const salt = crypto.getRandomValues(new Uint8Array(16));
-          const pass_salt = base64Url(salt);
-          const pass_hash = await pbkdf2HashBase64Url(pw, salt, iters);
+            const action = body.action !== undefined ? String(body.action).trim().toLowerCase() : undefined;
+            const pattern = body.pattern !== undefined ? String(body.pattern).trim().toLowerCase() : undefined;
+            if (action !== undefined && action !== "allow" && action !== "block") return badRequest("action harus allow/block");
+            if (pattern !== undefined && !validSenderPattern(pattern)) return badRequest("Pattern pengirim tidak valid");
 
-          const t = nowSec();
-          const id = crypto.randomUUID();
+            if (!ruleId && request.method === "POST") {
+              if (action === undefined || pattern === undefined) return badRequest("action & pattern wajib");
 
-          const c = await env.DB.prepare(`SELECT COUNT(*) as c FROM users`).first();
-          const count = Number(c?.c ?? 0);
-          const role = count === 0 ? "admin" : "user";
-          const aliasLimit = safeInt(env.DEFAULT_ALIAS_LIMIT, 3);
+              const cnt = await env.DB.prepare(
+                `SELECT COUNT(*) as c FROM alias_rules WHERE local_part = ? AND domain = ?`
+              )
+                .bind(local, domain)
+                .first();
+              if (Number(cnt?.c ?? 0) >= MAX_ALIAS_RULES) return forbidden("Limit aturan tercapai");
 
-          try {
-            const hasIters = await usersHasPassIters(env);
-            if (hasIters) {
+              const id = crypto.randomUUID();
               await env.DB.prepare(
-                `INSERT INTO users (id, username, email, pass_salt, pass_hash, pass_iters, role, alias_limit, disabled, created_at)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?)`
+                `INSERT INTO alias_rules (id, local_part, domain, user_id, action, pattern, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`
               )
-                .bind(id, username, email, pass_salt, pass_hash, iters, role, aliasLimit, t)
+                .bind(id, local, domain, me.id, action, pattern, nowSec())
                 .run();
-            } else {
-              await env.DB.prepare(
-                `INSERT INTO users (id, username, email, pass_salt, pass_hash, role, alias_limit, disabled, created_at)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)`
+              return json({ ok: true, id });
+            }
+
+            if (ruleId && request.method === "PATCH") {
+              const sets = [];
+              const binds = [];
+              if (action !== undefined) {
+                sets.push("action = ?");
+                binds.push(action);
+              }
+              if (pattern !== undefined) {
+                sets.push("pattern = ?");
+                binds.push(pattern);
+              }
+              if (sets.length === 0) return badRequest("No fields");
+
+              binds.push(ruleId, local, domain);
+              const res = await env.DB.prepare(
+                `UPDATE alias_rules SET ${sets.join(", ")} WHERE id = ? AND local_part = ? AND domain = ?`
               )
-                .bind(id, username, email, pass_salt, pass_hash, role, aliasLimit, t)
+                .bind(...binds)
                 .run();
+              if (!res.meta || !res.meta.changes) return notFound();
+              return json({ ok: true });
             }
-          } catch (e) {
-            const msg = String(e && e.message ? e.message : e);
-            if (msg.toUpperCase().includes("UNIQUE")) return badRequest("Username/email sudah dipakai");
-            console.log("signup db error:", msg);
-            return json({ ok: false, error: "DB error" }, 500);
           }
 
-          // Auto-create initial alias with username@domain
-          let domain = String(body.domain || "").trim().toLowerCase();
+          if (ruleId && request.method === "DELETE") {
+            const res = await env.DB.prepare(
+              `DELETE FROM alias_rules WHERE id = ? AND local_part = ? AND domain = ?`
+            )
+              .bind(ruleId, local, domain)
+              .run();
+            if (!res.meta || !res.meta.changes) return notFound();
+            return json({ ok: true });
+          }
+
+          return notFound();
+        }
+
+        // Auto-reply per alias: /api/aliases/:local/autoreply?domain=
+        const autoReplyMatch = path.match(/^\/api\/aliases\/([^/]+)\/autoreply$/);
+        if (autoReplyMatch) {
+          const local = decodeURIComponent(autoReplyMatch[1]).toLowerCase();
+          const domain = (url.searchParams.get("domain") || "").trim().toLowerCase();
+          if (!validAliasName(local)) return badRequest("Mail invalid");
+          if (!(await aliasesHasDomain(env))) return badRequest("Butuh kolom domain (jalankan migration)");
+          if (!domain) return badRequest("Domain required");
+
+          const own = await env.DB.prepare(
+            `SELECT local_part FROM aliases WHERE local_part = ? AND domain = ? AND user_id = ?`
+          )
+            .bind(local, domain, me.id)
+            .first();
+          if (!own) return notFound();
+
+          if (request.method === "GET") {
+            const ar = await env.DB.prepare(
+              `SELECT enabled, subject, body, starts_at, ends_at, interval_days, updated_at
+               FROM alias_autoreplies WHERE local_part = ? AND domain = ?`
+            )
+              .bind(local, domain)
+              .first();
+            return json({ ok: true, autoreply: ar || null });
+          }
+
+          if (request.method === "PUT") {
+            const body = await readJson(request);
+            if (!body) return badRequest("JSON required");
+
+            const subject = String(body.subject || "").replace(/[\r\n]+/g, " ").trim();
+            const text = String(body.body || "").trim();
+            const startsAt = body.starts_at ? safeInt(body.starts_at, NaN) : null;
+            const endsAt = body.ends_at ? safeInt(body.ends_at, NaN) : null;
+            const interval = body.interval_days !== undefined ? safeInt(body.interval_days, NaN) : 7;
+
+            if (!subject || subject.length > MAX_AUTOREPLY_SUBJECT) {
+              return badRequest(`Subject wajib (maks ${MAX_AUTOREPLY_SUBJECT} karakter)`);
+            }
+            if (!text || text.length > MAX_AUTOREPLY_BODY) {
+              return badRequest(`Isi balasan wajib (maks ${MAX_AUTOREPLY_BODY} karakter)`);
+            }
+            if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) return badRequest("Tanggal invalid");
+            if (startsAt && endsAt && endsAt <= startsAt) return badRequest("Tanggal selesai harus setelah tanggal mulai");
+            if (!Number.isInteger(interval) || interval < 1 || interval > MAX_AUTOREPLY_INTERVAL_DAYS) {
+              return badRequest(`interval_days harus 1-${MAX_AUTOREPLY_INTERVAL_DAYS}`);
+            }
+
+            await env.DB.prepare(
+              `INSERT INTO alias_autoreplies
+                 (local_part, domain, user_id, enabled, subject, body, starts_at, ends_at, interval_days, updated_at)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+               ON CONFLICT(local_part, domain) DO UPDATE SET
+                 enabled = excluded.enabled, subject = excluded.subject, body = excluded.body,
+                 starts_at = excluded.starts_at, ends_at = excluded.ends_at,
+                 interval_days = excluded.interval_days, updated_at = excluded.updated_at`
+            )
+              .bind(local, domain, me.id, body.enabled === false ? 0 : 1, subject, text, startsAt, endsAt, interval, nowSec())
+              .run();
+            return json({ ok: true });
+          }
+
+          if (request.method === "DELETE") {
+            await env.DB.batch([
+              env.DB.prepare(`DELETE FROM alias_autoreplies WHERE local_part = ? AND domain = ?`).bind(local, domain),
+              env.DB.prepare(`DELETE FROM autoreply_log WHERE local_part = ? AND domain = ?`).bind(local, domain),
+            ]);
+            return json({ ok: true });
+          }
+
+          return notFound();
+        }
+
+        // Setting per alias (sub-addressing, ...)
+        const aliasMatch = path.match(/^\/api\/aliases\/([^/]+)$/);
+        if (aliasMatch && request.method === "PATCH") {
+          const local = decodeURIComponent(aliasMatch[1]).toLowerCase();
+          const domain = (url.searchParams.get("domain") || "").trim().toLowerCase();
+          if (!validAliasName(local)) return badRequest("Mail invalid");
+          if (!(await aliasesHasDomain(env))) return badRequest("Butuh kolom domain (jalankan migration)");
+          if (!domain) return badRequest("Domain required");
+
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const subaddressing =
+            body.subaddressing !== undefined ? safeInt(body.subaddressing, NaN) : undefined;
+          if (subaddressing !== undefined && !(subaddressing === 0 || subaddressing === 1)) {
+            return badRequest("subaddressing invalid");
+          }
+
+          const sets = [];
+          const binds = [];
+          if (subaddressing !== undefined) {
+            sets.push("subaddressing = ?");
+            binds.push(subaddressing);
+          }
+          if (sets.length === 0) return badRequest("No fields");
+
+          binds.push(local, domain, me.id);
+          const res = await env.DB.prepare(
+            `UPDATE aliases SET ${sets.join(", ")} WHERE local_part = ? AND domain = ? AND user_id = ?`
+          )
+            .bind(...binds)
+            .run();
+          if (!res.meta || !res.meta.changes) return notFound();
+          await logAliasChangeStmt(env, me.id, local, domain).run();
+          return json({ ok: true });
+        }
+
+        if (path.startsWith("/api/aliases/") && request.method === "DELETE") {
+          const local = decodeURIComponent(path.slice("/api/aliases/".length)).toLowerCase();
+          const domain = (url.searchParams.get("domain") || "").trim().toLowerCase();
+
+          if (!validAliasName(local)) return badRequest("Mail invalid");
+
           const allowedDomains = getAllowedDomains(env);
           const fallbackDomain = allowedDomains[0] || env.DOMAIN || "";
           const hasDomain = await aliasesHasDomain(env);
 
-          if (!domain) domain = fallbackDomain;
-          const selectedDomain = allowedDomains.includes(domain) ? domain : fallbackDomain;
+          if (hasDomain) {
+            if (!domain) return badRequest("Domain required");
 
-          try {
-            if (hasDomain) {
-              await env.DB.prepare(
-                `INSERT INTO aliases (local_part, domain, user_id, disabled, created_at)
-                 VALUES (?, ?, ?, 0, ?)`
-              )
-                .bind(username, selectedDomain, id, t)
-                .run();
-            } else {
-              await env.DB.prepare(
-                `INSERT INTO aliases (local_part, user_id, disabled, created_at)
-                 VALUES (?, ?, 0, ?)`
-              )
-                .bind(username, id, t)
-                .run();
+            const own = await env.DB.prepare(
+              `SELECT local_part FROM aliases WHERE local_part = ? AND domain = ? AND user_id = ?`
+            )
+              .bind(local, domain, me.id)
+              .first();
+
+            if (!own) return notFound();
+          } else {
+            if (domain && fallbackDomain && domain !== fallbackDomain) return badRequest("Domain tidak diizinkan");
+
+            const own = await env.DB.prepare(
+              `SELECT local_part FROM aliases WHERE local_part = ? AND user_id = ?`
+            )
+              .bind(local, me.id)
+              .first();
+
+            if (!own) return notFound();
+          }
+
+          // Email alias ikut terhapus (FK cascade); hapus lewat jalur biasa dulu supaya
+          // change_log, FTS dan objek R2 ikut bersih, dalam batch yang sama dengan alias-nya
+          const emailsDomain = hasDomain && (await emailsHasDomain(env));
+          const rows = await env.DB.prepare(
+            `SELECT id FROM emails WHERE user_id = ? AND local_part = ?${emailsDomain ? " AND domain = ?" : ""}`
+          )
+            .bind(me.id, local, ...(emailsDomain ? [domain] : []))
+            .all();
+          const plan = await prepareEmailDelete(env, me.id, (rows.results || []).map((r) => r.id));
+
+          await env.DB.batch([
+            ...plan.stmts,
+            hasDomain
+              ? env.DB.prepare(`DELETE FROM aliases WHERE local_part = ? AND domain = ? AND user_id = ?`).bind(local, domain, me.id)
+              : env.DB.prepare(`DELETE FROM aliases WHERE local_part = ? AND user_id = ?`).bind(local, me.id),
+            logAliasChangeStmt(env, me.id, local, hasDomain ? domain : fallbackDomain),
+          ]);
+          purgeR2Keys(env, ctx, plan.r2Keys);
+
+          return json({ ok: true, deleted_emails: plan.ids.length });
+        }
+
+        // Forwarding: alamat tujuan (level user)
+        if (path === "/api/forwards" && request.method === "GET") {
+          const rows = await env.DB.prepare(
+            `SELECT id, address, verified_at, created_at
+             FROM forward_addresses WHERE user_id = ? ORDER BY created_at DESC`
+          )
+            .bind(me.id)
+            .all();
+          return json({ ok: true, forwards: rows.results || [] });
+        }
+
+        if (path === "/api/forwards" && request.method === "POST") {
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const address = String(body.address || "").trim().toLowerCase();
+          if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) return badRequest("Email tidak valid");
+
+          // jangan forward ke domain portal sendiri (loop)
+          const addrDomain = address.split("@")[1];
+          if (getAllowedDomains(env).includes(addrDomain)) {
+            return badRequest("Tidak bisa forward ke domain portal");
+          }
+
+          const existing = await env.DB.prepare(
+            `SELECT id, verified_at FROM forward_addresses WHERE user_id = ? AND address = ?`
+          )
+            .bind(me.id, address)
+            .first();
+
+          if (existing && existing.verified_at) return json({ ok: true, id: existing.id, verified: true });
+
+          if (!existing) {
+            const cnt = await env.DB.prepare(
+              `SELECT COUNT(*) as c FROM forward_addresses WHERE user_id = ?`
+            )
+              .bind(me.id)
+              .first();
+            if (Number(cnt?.c ?? 0) >= MAX_FORWARD_ADDRESSES) return forbidden("Limit alamat forward tercapai");
+          }
+
+          const tokenBytes = crypto.getRandomValues(new Uint8Array(32));
+          const token = base64Url(tokenBytes);
+          const tokenHash = await sha256Base64Url(encoder.encode(token));
+          const t = nowSec();
+          const ttl = safeInt(env.FORWARD_VERIFY_TTL_SECONDS, 86400);
+          const id = existing ? existing.id : crypto.randomUUID();
+
+          if (existing) {
+            await env.DB.prepare(
+              `UPDATE forward_addresses SET token_hash = ?, token_expires_at = ? WHERE id = ?`
+            )
+              .bind(tokenHash, t + ttl, id)
+              .run();
+          } else {
+            await env.DB.prepare(
+              `INSERT INTO forward_addresses (id, user_id, address, verified_at, token_hash, token_expires_at, created_at)
+               VALUES (?, ?, ?, NULL, ?, ?, ?)`
+            )
+              .bind(id, me.id, address, tokenHash, t + ttl, t)
+              .run();
+          }
+
+          ctx.waitUntil(sendForwardVerifyEmail(env, address, me.username, token));
+          return json({ ok: true, id, verified: false });
+        }
+
+        if (path.startsWith("/api/forwards/") && request.method === "DELETE") {
+          const id = decodeURIComponent(path.slice("/api/forwards/".length));
+          const res = await env.DB.prepare(`DELETE FROM forward_addresses WHERE id = ? AND user_id = ?`)
+            .bind(id, me.id)
+            .run();
+          if (!res.meta || !res.meta.changes) return notFound();
+          return json({ ok: true });
+        }
+
+        // Forwarding per alias: set tujuan + simpan salinan atau tidak
+        const aliasFwdMatch = path.match(/^\/api\/aliases\/([^/]+)\/forwards$/);
+        if (aliasFwdMatch && request.method === "PUT") {
+          const local = decodeURIComponent(aliasFwdMatch[1]).toLowerCase();
+          const domain = (url.searchParams.get("domain") || "").trim().toLowerCase();
+          if (!validAliasName(local)) return badRequest("Mail invalid");
+          if (!(await aliasesHasDomain(env))) return badRequest("Forwarding butuh kolom domain (jalankan migration)");
+          if (!domain) return badRequest("Domain required");
+
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const ids = Array.isArray(body.forward_ids) ? [...new Set(body.forward_ids.map(String))] : [];
+          const keep = body.keep === undefined ? 1 : body.keep ? 1 : 0;
+
+          const own = await env.DB.prepare(
+            `SELECT local_part FROM aliases WHERE local_part = ? AND domain = ? AND user_id = ?`
+          )
+            .bind(local, domain, me.id)
+            .first();
+          if (!own) return notFound();
+
+          if (ids.length) {
+            const verified = await env.DB.prepare(
+              `SELECT id FROM forward_addresses
+               WHERE user_id = ? AND verified_at IS NOT NULL AND id IN (${ids.map(() => "?").join(",")})`
+            )
+              .bind(me.id, ...ids)
+              .all();
+            if ((verified.results || []).length !== ids.length) {
+              return badRequest("Alamat forward belum diverifikasi");
             }
-          } catch (e) {
-            console.log("auto-create alias error:", e);
-            // Continue even if alias creation fails
           }
 
-          const ttl = safeInt(env.SESSION_TTL_SECONDS, 1209600);
-          const token = await createSession(env, id, ttl);
+          const t = nowSec();
+          await env.DB.batch([
+            env.DB.prepare(`DELETE FROM alias_forwards WHERE local_part = ? AND domain = ?`).bind(local, domain),
+            ...ids.map((fid) =>
+              env.DB.prepare(
+                `INSERT INTO alias_forwards (local_part, domain, forward_id, created_at) VALUES (?, ?, ?, ?)`
+              ).bind(local, domain, fid, t)
+            ),
+            env.DB.prepare(`UPDATE aliases SET forward_keep = ? WHERE local_part = ? AND domain = ?`).bind(keep, local, domain),
+            logAliasChangeStmt(env, me.id, local, domain),
+          ]);
 
-          return json({ ok: true }, 200, {
-            "set-cookie": setCookieHeader("session", token, { maxAge: ttl, secure: cookieSecure }),
-          });
+          return json({ ok: true });
         }
 
-        // Login
-        if (path === "/api/auth/login" && request.method === "POST") {
+        // Emails
+        // Pengirim yang gambarnya selalu dimuat (per user)
+        if (path === "/api/trusted-senders" && request.method === "GET") {
+          const rows = await env.DB.prepare(
+            `SELECT sender, created_at FROM trusted_senders WHERE user_id = ? ORDER BY sender`
+          )
+            .bind(me.id)
+            .all();
+          return json({ ok: true, senders: rows.results || [] });
+        }
+
+        if (path === "/api/trusted-senders" && request.method === "POST") {
           const body = await readJson(request);
           if (!body) return badRequest("JSON required");
+          const sender = String(body.sender || "").trim().toLowerCase();
+          if (!/^[^\s@]+@[^\s@]+$/.test(sender) || sender.length > 254) return badRequest("Email tidak valid");
 
-          const id = String(body.id || "").trim().toLowerCase();
-          const pw = String(body.pw || "");
-          if (!id || !pw) return badRequest("Lengkapi data");
+          await env.DB.prepare(
+            `INSERT OR IGNORE INTO trusted_senders (user_id, sender, created_at) VALUES (?, ?, ?)`
+          )
+            .bind(me.id, sender, nowSec())
+            .run();
+          return json({ ok: true });
+        }
 
-          const hasIters = await usersHasPassIters(env);
+        if (path.startsWith("/api/trusted-senders/") && request.method === "DELETE") {
+          const sender = decodeURIComponent(path.slice("/api/trusted-senders/".length)).toLowerCase();
+          const res = await env.DB.prepare(`DELETE FROM trusted_senders WHERE user_id = ? AND sender = ?`)
+            .bind(me.id, sender)
+            .run();
+          if (!res.meta || !res.meta.changes) return notFound();
+          return json({ ok: true });
+        }
 
-          const user = hasIters
-            ? await env.DB.prepare(
-              `SELECT id, username, email, pass_salt, pass_hash, pass_iters, role, alias_limit, disabled
-                 FROM users WHERE username = ? OR email = ?`
-            )
-              .bind(id, id)
-              .first()
-            : await env.DB.prepare(
-              `SELECT id, username, email, pass_salt, pass_hash, role, alias_limit, disabled
-                 FROM users WHERE username = ? OR email = ?`
+        // Webhooks: milik user (per alias / semua alias) atau global (admin)
+        if (path === "/api/webhooks" && request.method === "GET") {
+          const rows = await env.DB.prepare(
+            `SELECT w.id, w.url, w.local_part, w.domain, w.disabled, w.created_at,
+                    (w.user_id IS NULL) as global,
+                    d.ok as last_ok, d.status_code as last_status, d.created_at as last_at
+             FROM webhooks w
+             LEFT JOIN webhook_deliveries d ON d.id = (
+               SELECT id FROM webhook_deliveries WHERE webhook_id = w.id ORDER BY created_at DESC LIMIT 1
+             )
+             WHERE w.user_id = ? OR (w.user_id IS NULL AND ? = 'admin')
+             ORDER BY w.created_at DESC`
+          )
+            .bind(me.id, me.role)
+            .all();
+          return json({ ok: true, webhooks: rows.results || [] });
+        }
+
+        if (path === "/api/webhooks" && request.method === "POST") {
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const hookUrl = String(body.url || "").trim();
+          if (!validWebhookUrl(env, hookUrl)) return badRequest("URL harus https dengan hostname publik (bukan IP/localhost)");
+
+          const isGlobal = body.global === true;
+          if (isGlobal && me.role !== "admin") return forbidden("Forbidden");
+
+          let local = null;
+          let domain = null;
+          if (!isGlobal && body.alias) {
+            local = String(body.alias).trim().toLowerCase();
+            domain = String(body.domain || "").trim().toLowerCase();
+            if (!validAliasName(local)) return badRequest("Mail invalid");
+            if (!(await aliasesHasDomain(env))) return badRequest("Butuh kolom domain (jalankan migration)");
+            const own = await env.DB.prepare(
+              `SELECT local_part FROM aliases WHERE local_part = ? AND domain = ? AND user_id = ?`
             )
-              .bind(id, id)
+              .bind(local, domain, me.id)
               .first();
+            if (!own) return notFound();
+          }
 
-          if (!user || user.disabled) return unauthorized("Login gagal");
+          const cnt = await env.DB.prepare(
+            isGlobal
+              ? `SELECT COUNT(*) as c FROM webhooks WHERE user_id IS NULL`
+              : `SELECT COUNT(*) as c FROM webhooks WHERE user_id = ?`
+          )
+            .bind(...(isGlobal ? [] : [me.id]))
+            .first();
+          if (Number(cnt?.c ?? 0) >= MAX_WEBHOOKS) return forbidden("Limit webhook tercapai");
 
-          const saltBytes = base64UrlToBytes(user.pass_salt);
-          const iters = hasIters ? safeInt(user.pass_iters, pbkdf2Iters(env)) : pbkdf2Iters(env);
+          const id = crypto.randomUUID();
+          const secret = "whsec_" + base64Url(crypto.getRandomValues(new Uint8Array(32)));
+          await env.DB.prepare(
+            `INSERT INTO webhooks (id, user_id, local_part, domain, url, secret, disabled, created_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)`
+          )
+            .bind(id, isGlobal ? null : me.id, local, domain, hookUrl, secret, me.id, nowSec())
+            .run();
 
-          if (iters > PBKDF2_MAX_ITERS) {
-            return unauthorized("Hash password lama tidak didukung. Silakan reset password.");
+          // secret cuma ditampilkan sekali
+          return json({ ok: true, id, secret });
+        }
+
+        const webhookMatch = path.match(/^\/api\/webhooks\/([^/]+)(?:\/(test|deliveries))?$/);
+        if (webhookMatch) {
+          const hookId = decodeURIComponent(webhookMatch[1]);
+          const action = webhookMatch[2] || null;
+
+          const hook = await env.DB.prepare(`SELECT id, user_id, url, secret FROM webhooks WHERE id = ?`)
+            .bind(hookId)
+            .first();
+          const allowed = hook && (hook.user_id === me.id || (hook.user_id === null && me.role === "admin"));
+          if (!allowed) return notFound();
+
+          if (action === "test" && request.method === "POST") {
+            const delivery = await deliverWebhook(
+              env,
+              hook,
+              {
+                event: "test",
+                id: null,
+                alias: null,
+                from: "test@example.com",
+                subject: "Webhook test",
+                snippet: "Ini event percobaan dari portal.",
+                received_at: new Date().toISOString(),
+                link: `${env.APP_BASE_URL || ""}/app`,
+              },
+              null
+            );
+            return json({ ok: true, delivery });
           }
 
-          let hash;
-          try {
-            hash = await pbkdf2HashBase64Url(pw, saltBytes, iters);
-          } catch (e) {
-            if ((e?.name || "") === "NotSupportedError") {
-              return unauthorized("Parameter hash tidak didukung. Silakan reset password.");
-            }
-            throw e;
+          if (action === "deliveries" && request.method === "GET") {
+            const rows = await env.DB.prepare(
+              `SELECT id, email_id, event, ok, status_code, attempts, error, created_at
+               FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT 50`
+            )
+              .bind(hook.id)
+              .all();
+            return json({ ok: true, deliveries: rows.results || [] });
           }
 
-          if (hash !== user.pass_hash) return unauthorized("Login gagal");
+          if (!action && request.method === "PATCH") {
+            const body = await readJson(request);
+            if (!body) return badRequest("JSON required");
+
+            const sets = [];
+            const binds = [];
+            if (body.url !== undefined) {
+              const hookUrl = String(body.url).trim();
+              if (!validWebhookUrl(env, hookUrl)) return badRequest("URL harus https dengan hostname publik (bukan IP/localhost)");
+              sets.push("url = ?");
+              binds.push(hookUrl);
+            }
+            if (body.disabled !== undefined) {
+              sets.push("disabled = ?");
+              binds.push(body.disabled ? 1 : 0);
+            }
+            if (sets.length === 0) return badRequest("No fields");
 
-          const ttl = safeInt(env.SESSION_TTL_SECONDS, 1209600);
-          const token = await createSession(env, user.id, ttl);
+            binds.push(hook.id);
+            await env.DB.prepare(`UPDATE webhooks SET ${sets.join(", ")} WHERE id = ?`)
+              .bind(...binds)
+              .run();
+            return json({ ok: true });
+          }
 
-          return json({ ok: true }, 200, {
-            "set-cookie": setCookieHeader("session", token, { maxAge: ttl, secure: cookieSecure }),
-          });
+          if (!action && request.method === "DELETE") {
+            await env.DB.batch([
+              env.DB.prepare(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`).bind(hook.id),
+              env.DB.prepare(`DELETE FROM webhooks WHERE id = ?`).bind(hook.id),
+            ]);
+            return json({ ok: true });
+          }
+
+          return notFound();
         }
 
-        // Logout
-        if (path === "/api/auth/logout" && request.method === "POST") {
-          await destroySession(request, env);
-          return json({ ok: true }, 200, {
-            "set-cookie": setCookieHeader("session", "", { maxAge: 0, secure: cookieSecure }),
-          });
+        // Rules engine: /api/rules, /api/rules/:id, /api/rules/reorder, /api/rules/test
+        if (path === "/api/rules" && request.method === "GET") {
+          const rules = (await loadMailRules(env, me.id, false)).map((r) => ({
+            ...r,
+            conditions: parseJsonArray(r.conditions),
+            actions: parseJsonArray(r.actions),
+          }));
+          return json({ ok: true, rules });
         }
 
-        // Reset request
-        if (path === "/api/auth/reset/request" && request.method === "POST") {
+        if (path === "/api/rules" && request.method === "POST") {
           const body = await readJson(request);
           if (!body) return badRequest("JSON required");
 
-          const email = String(body.email || "").trim().toLowerCase();
-          if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return badRequest("Email tidak valid");
+          const norm = normalizeMailRule(body, false);
+          if (norm.error) return badRequest(norm.error);
 
-          const user = await env.DB.prepare(`SELECT id, disabled FROM users WHERE email = ?`)
-            .bind(email)
+          const cnt = await env.DB.prepare(
+            `SELECT COUNT(*) as c, COALESCE(MAX(position), 0) as maxpos FROM mail_rules WHERE user_id = ?`
+          )
+            .bind(me.id)
             .first();
+          if (Number(cnt?.c ?? 0) >= MAX_MAIL_RULES) return forbidden("Limit rule tercapai");
 
-          // anti user-enumeration
-          if (!user || user.disabled) return json({ ok: true });
-
-          const tokenBytes = crypto.getRandomValues(new Uint8Array(32));
-          const token = base64Url(tokenBytes);
-          const tokenHash = await sha256Base64Url(encoder.encode(token));
+          const v = norm.values;
+          const id = crypto.randomUUID();
           const t = nowSec();
-          const ttl = safeInt(env.RESET_TTL_SECONDS, 3600);
-
           await env.DB.prepare(
-            `INSERT INTO reset_tokens (token_hash, user_id, expires_at, created_at)
-             VALUES (?, ?, ?, ?)`
+            `INSERT INTO mail_rules
+               (id, user_id, name, position, enabled, match_all, conditions, actions, stop, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
           )
-            .bind(tokenHash, user.id, t + ttl, t)
+            .bind(
+              id,
+              me.id,
+              v.name,
+              Number(cnt?.maxpos ?? 0) + 1,
+              v.enabled ?? 1,
+              v.match_all ?? 1,
+              v.conditions,
+              v.actions,
+              v.stop ?? 0,
+              t,
+              t
+            )
             .run();
+          return json({ ok: true, id });
+        }
 
-          ctx.waitUntil(sendResetEmail(env, email, token));
+        if (path === "/api/rules/reorder" && request.method === "POST") {
+          const body = await readJson(request);
+          if (!body || !Array.isArray(body.ids)) return badRequest("ids required");
+
+          const ids = body.ids.map(String);
+          const own = await loadMailRules(env, me.id, false);
+          if (ids.length !== own.length || !own.every((r) => ids.includes(r.id))) {
+            return badRequest("ids harus berisi semua rule");
+          }
+          await env.DB.batch(
+            ids.map((id, i) =>
+              env.DB.prepare(`UPDATE mail_rules SET position = ? WHERE id = ? AND user_id = ?`).bind(i + 1, id, me.id)
+            )
+          );
           return json({ ok: true });
         }
 
-        // Reset confirm
-        if (path === "/api/auth/reset/confirm" && request.method === "POST") {
+        // Dry run: rule (belum disimpan) dicoba ke email terakhir, tanpa menjalankan aksi
+        if (path === "/api/rules/test" && request.method === "POST") {
           const body = await readJson(request);
           if (!body) return badRequest("JSON required");
 
-          const token = String(body.token || "").trim();
-          const newPw = String(body.newPw || "");
-
-          if (!token) return badRequest("Token wajib");
-          if (newPw.length < 8) return badRequest("Password minimal 8 karakter");
+          const conds = (Array.isArray(body.conditions) ? body.conditions : []).map(normalizeRuleCondition);
+          if (!conds.length || conds.some((c) => !c)) return badRequest("Kondisi tidak valid");
+          const rule = { conditions: JSON.stringify(conds), match_all: body.match_all === false ? 0 : 1 };
 
-          const tokenHash = await sha256Base64Url(encoder.encode(token));
-          const rt = await env.DB.prepare(
-            `SELECT user_id, expires_at FROM reset_tokens WHERE token_hash = ?`
+          const rows = await env.DB.prepare(
+            `SELECT id, local_part, from_addr, from_name, to_addr, to_list, cc_list, subject, text, size, created_at,
+                    ${LISTED_ATTACHMENT_SQL} as has_attachment
+             FROM emails WHERE user_id = ?
+             ORDER BY created_at DESC LIMIT ${RULE_DRY_RUN_EMAILS}`
           )
-            .bind(tokenHash)
-            .first();
+            .bind(me.id)
+            .all();
+
+          const emails = rows.results || [];
+          const matches = emails
+            .filter((e) =>
+              ruleMatches(
+                rule,
+                ruleMessage({
+                  fromAddr: e.from_addr,
+                  fromName: e.from_name,
+                  toAddrs: [
+                    e.to_addr,
+                    ...parseJsonArray(e.to_list).map((a) => a.address),
+                    ...parseJsonArray(e.cc_list).map((a) => a.address),
+                  ],
+                  subject: e.subject,
+                  text: e.text,
+                  hasAttachment: !!e.has_attachment,
+                  size: e.size,
+                })
+              )
+            )
+            .map((e) => ({
+              id: e.id,
+              local_part: e.local_part,
+              from_addr: e.from_addr,
+              subject: e.subject,
+              created_at: e.created_at,
+            }));
+          return json({ ok: true, checked: emails.length, matches });
+        }
 
-          if (!rt || rt.expires_at <= nowSec()) return badRequest("Token invalid/expired");
+        const mailRuleMatch = path.match(/^\/api\/rules\/([^/]+)$/);
+        if (mailRuleMatch && request.method === "PATCH") {
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
 
-          const iters = pbkdf2Iters(env);
-          const salt = crypto.getRandomValues(new Uint8Array(16));
-          const pass_salt = base64Url(salt);
-          const pass_hash = await pbkdf2HashBase64Url(newPw, salt, iters);
+          const norm = normalizeMailRule(body, true);
+          if (norm.error) return badRequest(norm.error);
 
-          const hasIters = await usersHasPassIters(env);
-          if (hasIters) {
-            await env.DB.prepare(`UPDATE users SET pass_salt=?, pass_hash=?, pass_iters=? WHERE id=?`)
-              .bind(pass_salt, pass_hash, iters, rt.user_id)
-              .run();
-          } else {
-            await env.DB.prepare(`UPDATE users SET pass_salt=?, pass_hash=? WHERE id=?`)
-              .bind(pass_salt, pass_hash, rt.user_id)
-              .run();
+          const sets = [];
+          const binds = [];
+          for (const [k, v] of Object.entries(norm.values)) {
+            sets.push(`${k} = ?`);
+            binds.push(v);
           }
+          if (sets.length === 0) return badRequest("No fields");
+          sets.push("updated_at = ?");
+          binds.push(nowSec());
 
-          await env.DB.prepare(`DELETE FROM reset_tokens WHERE token_hash=?`).bind(tokenHash).run();
+          binds.push(decodeURIComponent(mailRuleMatch[1]), me.id);
+          const res = await env.DB.prepare(`UPDATE mail_rules SET ${sets.join(", ")} WHERE id = ? AND user_id = ?`)
+            .bind(...binds)
+            .run();
+          if (!res.meta || !res.meta.changes) return notFound();
           return json({ ok: true });
         }
 
-        // Auth required below
-        const me = await getUserBySession(request, env);
-        if (!me) return unauthorized();
-
-        if (path === "/api/me" && request.method === "GET") {
-          return json({
-            ok: true,
-            user: {
-              id: me.id,
-              username: me.username,
-              email: me.email,
-              role: me.role,
-              alias_limit: me.alias_limit,
-            },
-          });
+        if (mailRuleMatch && request.method === "DELETE") {
+          const res = await env.DB.prepare(`DELETE FROM mail_rules WHERE id = ? AND user_id = ?`)
+            .bind(decodeURIComponent(mailRuleMatch[1]), me.id)
+            .run();
+          if (!res.meta || !res.meta.changes) return notFound();
+          return json({ ok: true });
         }
 
-        // Mail (aliases)
-        if (path === "/api/aliases" && request.method === "GET") {
-          const hasDomain = await aliasesHasDomain(env);
-          const allowedDomains = getAllowedDomains(env);
-          const fallbackDomain = allowedDomains[0] || env.DOMAIN || "";
+        // Percakapan: email dikelompokkan per thread_id, thread terbaru dulu
+        if (path === "/api/threads" && request.method === "GET") {
+          const alias = (url.searchParams.get("alias") || "").trim().toLowerCase();
+          const domainParam = (url.searchParams.get("domain") || "").trim().toLowerCase();
+          if (!alias || !validAliasName(alias)) return badRequest("alias required");
 
-          const rows = hasDomain
-            ? await env.DB.prepare(
-              `SELECT local_part, domain, disabled, created_at
-               FROM aliases WHERE user_id = ? ORDER BY created_at DESC`
-            )
-              .bind(me.id)
-              .all()
-            : await env.DB.prepare(
-              `SELECT local_part, ? as domain, disabled, created_at
-               FROM aliases WHERE user_id = ? ORDER BY created_at DESC`
-            )
-              .bind(fallbackDomain, me.id)
-              .all();
+          const owned = await resolveOwnedAlias(env, me.id, alias, domainParam);
+          if (owned.error) return owned.error;
 
-          return json({ ok: true, aliases: rows.results || [] });
-        }
+          const where = ["user_id = ?", "local_part = ?", "folder NOT IN ('trash', 'spam')"];
+          const binds = [me.id, alias];
+          if (await emailsHasDomain(env)) {
+            where.push("domain = ?");
+            binds.push(owned.domain);
+          }
 
-        if (path === "/api/aliases" && request.method === "POST") {
-          const body = await readJson(request);
-          if (!body) return badRequest("JSON required");
+          const threadRows = await env.DB.prepare(
+            `SELECT COALESCE(thread_id, id) as thread_id, COUNT(*) as count, MAX(created_at) as last_at
+             FROM emails
+             WHERE ${where.join(" AND ")}
+             GROUP BY COALESCE(thread_id, id)
+             ORDER BY last_at DESC
+             LIMIT ${MAX_THREADS}`
+          )
+            .bind(...binds)
+            .all();
+          const threads = (threadRows.results || []).map((t) => ({ ...t, subject: "", participants: [], emails: [] }));
+          if (!threads.length) return jsonWithEtag(request, { ok: true, threads });
 
-          const local = String(body.local || "").trim().toLowerCase();
-          let domain = String(body.domain || "").trim().toLowerCase();
+          const ids = threads.map((t) => t.thread_id);
+          const rows = await env.DB.prepare(
+            `SELECT ${EMAIL_LIST_COLUMNS}
+             FROM emails
+             WHERE ${where.join(" AND ")} AND COALESCE(thread_id, id) IN (${ids.map(() => "?").join(",")})
+             ORDER BY created_at ASC, rowid ASC`
+          )
+            .bind(...binds, ...ids)
+            .all();
+
+          const byId = new Map(threads.map((t) => [t.thread_id, t]));
+          for (const e of rows.results || []) {
+            const th = byId.get(e.thread_id);
+            if (!th) continue;
+            if (!th.subject && e.subject) th.subject = e.subject;
+            if (e.from_addr && !th.participants.includes(e.from_addr)) th.participants.push(e.from_addr);
+            th.emails.push(e);
+          }
 
-          if (!validLocalPart(local)) return badRequest("Mail tidak valid (a-z0-9._+- max 64)");
+          return jsonWithEtag(request, { ok: true, threads });
+        }
 
-          const allowedDomains = getAllowedDomains(env);
-          const fallbackDomain = allowedDomains[0] || env.DOMAIN || "";
-          const hasDomain = await aliasesHasDomain(env);
+        // Tanpa alias = "All mail" (semua alias milik user, opsional aliases=/domains=)
+        if (path === "/api/emails" && request.method === "GET") {
+          const alias = (url.searchParams.get("alias") || "").trim().toLowerCase();
+          let domainParam = (url.searchParams.get("domain") || "").trim().toLowerCase();
+          const unified = !alias;
 
-          if (!fallbackDomain && !hasDomain) return badRequest("Domain belum dikonfigurasi");
+          if (!unified && !validAliasName(alias)) return badRequest("alias invalid");
 
-          if (hasDomain) {
-            if (!domain) domain = fallbackDomain;
-            if (allowedDomains.length > 0) {
-              if (!allowedDomains.includes(domain)) return badRequest("Domain tidak diizinkan");
-            } else if (fallbackDomain) {
-              if (domain !== fallbackDomain) return badRequest("Domain tidak diizinkan");
-            } else {
-              return badRequest("Domain belum dikonfigurasi");
+          const emailsDomain = await emailsHasDomain(env);
+          let domainForEmails = null;
+          if (!unified) {
+            const owned = await resolveOwnedAlias(env, me.id, alias, domainParam);
+            if (owned.error) return owned.error;
+            domainForEmails = owned.domain;
+          }
+          const scope = unified ? parseMailScope(url, emailsDomain) : null;
+          if (scope && scope.error) return badRequest(scope.error);
+
+          const tag = (url.searchParams.get("tag") || "").trim().toLowerCase();
+          const folder = url.searchParams.get("folder") || "inbox";
+          if (!EMAIL_FOLDERS.includes(folder)) return badRequest("folder invalid");
+          const label = normalizeLabel(url.searchParams.get("label"));
+
+          const limit = Math.min(Math.max(Math.floor(safeInt(url.searchParams.get("limit") || PAGE_LIMIT_DEFAULT, PAGE_LIMIT_DEFAULT)), 1), PAGE_LIMIT_MAX);
+          const before = url.searchParams.get("before");
+          const cursor = before ? parseCursor(before) : null;
+          if (before && !cursor) return badRequest("before invalid");
+
+          const filterFor = (withDomain) => {
+            const where = ["user_id = ?", "folder = ?"];
+            const binds = [me.id, folder];
+            if (!unified) {
+              where.push("local_part = ?");
+              binds.push(alias);
             }
-          } else {
-            if (domain && domain !== fallbackDomain) return badRequest("Domain tidak diizinkan");
-            domain = fallbackDomain;
+            if (!unified && withDomain) {
+              where.push("domain = ?");
+              binds.push(domainForEmails);
+            }
+            if (scope && scope.sql) {
+              where.push(scope.sql);
+              binds.push(...scope.binds);
+            }
+            if (tag) {
+              where.push("tag = ?");
+              binds.push(tag);
+            }
+            if (label) {
+              where.push("id IN (SELECT email_id FROM email_labels WHERE user_id = ? AND label = ?)");
+              binds.push(me.id, label);
+            }
+            return { where, binds };
+          };
+
+          const countEmails = ({ where, binds }) =>
+            env.DB.prepare(
+              `SELECT COUNT(*) as total, COALESCE(SUM(read_at IS NULL), 0) as unread
+               FROM emails WHERE ${where.join(" AND ")}`
+            )
+              .bind(...binds)
+              .first();
+
+          // Fallback: kalau filter domain kosong (mismatch/legacy data), pakai tanpa domain.
+          // Diputuskan dari total, bukan dari halaman ini, supaya cursor tetap konsisten.
+          let filter = filterFor(emailsDomain);
+          let counts = await countEmails(filter);
+          let tagsDomain = emailsDomain;
+          if (!unified && emailsDomain && !counts.total) {
+            filter = filterFor(false);
+            counts = await countEmails(filter);
+            tagsDomain = false;
           }
 
-          const cnt = await env.DB.prepare(
-            `SELECT COUNT(*) as c FROM aliases WHERE user_id = ? AND disabled = 0`
+          const where = [...filter.where];
+          const binds = [...filter.binds];
+          if (cursor) {
+            where.push("(created_at < ? OR (created_at = ? AND id < ?))");
+            binds.push(cursor.t, cursor.t, cursor.id);
+          }
+          const page = pageOf(
+            await env.DB.prepare(
+              `SELECT ${EMAIL_LIST_COLUMNS}, ${emailsDomain ? "domain" : "NULL as domain"}
+               FROM emails
+               WHERE ${where.join(" AND ")}
+               ORDER BY created_at DESC, id DESC
+               LIMIT ?`
+            )
+              .bind(...binds, limit + 1)
+              .all(),
+            limit
+          );
+
+          // daftar tag (local+tag) yang pernah dipakai di alias ini, buat filter di UI
+          const tagRows = unified
+            ? { results: [] }
+            : await env.DB.prepare(
+              `SELECT tag, COUNT(*) as count
+               FROM emails
+               WHERE user_id = ? AND local_part = ?${tagsDomain ? " AND domain = ?" : ""} AND tag IS NOT NULL
+               GROUP BY tag ORDER BY tag`
+            )
+              .bind(me.id, alias, ...(tagsDomain ? [domainForEmails] : []))
+              .all();
+
+          const labelRows = await env.DB.prepare(
+            `SELECT label, COUNT(*) as count FROM email_labels WHERE user_id = ? GROUP BY label ORDER BY label`
           )
             .bind(me.id)
-            .first();
+            .all();
 
-          if (Number(cnt?.c ?? 0) >= me.alias_limit) return forbidden("Limit mail tercapai");
+          return jsonWithEtag(request, {
+            ok: true,
+            emails: page.rows,
+            next_cursor: page.next_cursor,
+            total: counts.total,
+            unread: counts.unread,
+            tags: tagRows.results || [],
+            label_counts: labelRows.results || [],
+          });
+        }
 
-          const t = nowSec();
-          try {
-            if (hasDomain) {
-              await env.DB.prepare(
-                `INSERT INTO aliases (local_part, domain, user_id, disabled, created_at)
-                 VALUES (?, ?, ?, 0, ?)`
-              )
-                .bind(local, domain, me.id, t)
-                .run();
-            } else {
-              await env.DB.prepare(
-                `INSERT INTO aliases (local_part, user_id, disabled, created_at)
-                 VALUES (?, ?, 0, ?)`
-              )
-                .bind(local, me.id, t)
-                .run();
-            }
-          } catch (e) {
-            const msg = String(e && e.message ? e.message : e);
-            if (msg.toUpperCase().includes("UNIQUE")) return badRequest("Mail sudah dipakai");
-            console.log("alias db error:", msg);
-            return json({ ok: false, error: "DB error" }, 500);
+        // Delta sync: email & alias yang dibuat/berubah/dihapus sejak cursor (seq change_log).
+        // Tanpa since, atau cursor sudah lewat retensi -> reset: true (klien ambil ulang list penuh).
+        if (path === "/api/sync" && request.method === "GET") {
+          const sinceParam = url.searchParams.get("since");
+          const since = sinceParam === null || sinceParam === "" ? null : safeInt(sinceParam, NaN);
+          if (since !== null && !(Number.isInteger(since) && since >= 0)) return badRequest("since invalid");
+
+          const [head, pruned] = await env.DB.batch([
+            env.DB.prepare(`SELECT COALESCE(MAX(seq), 0) as seq FROM change_log`),
+            env.DB.prepare(`SELECT value FROM settings WHERE key = 'sync_pruned_seq'`),
+          ]);
+          const latest = Number(head.results?.[0]?.seq ?? 0);
+          const prunedSeq = safeInt(pruned.results?.[0]?.value || 0, 0);
+
+          const out = {
+            ok: true,
+            cursor: String(latest),
+            reset: false,
+            has_more: false,
+            emails: [],
+            deleted_emails: [],
+            aliases: [],
+            deleted_aliases: [],
+          };
+          if (since === null || since < prunedSeq) {
+            out.reset = true;
+            return jsonWithEtag(request, out);
           }
 
-          return json({ ok: true });
-        }
-
-        if (path.startsWith("/api/aliases/") && request.method === "DELETE") {
-          const local = decodeURIComponent(path.slice("/api/aliases/".length)).toLowerCase();
-          const domain = (url.searchParams.get("domain") || "").trim().toLowerCase();
+          const changes = await env.DB.prepare(
+            `SELECT kind, ref, MAX(seq) as seq
+             FROM change_log
+             WHERE user_id = ? AND seq > ? AND seq <= ?
+             GROUP BY kind, ref
+             ORDER BY seq
+             LIMIT ?`
+          )
+            .bind(me.id, since, latest, MAX_SYNC_CHANGES + 1)
+            .all();
+          let list = changes.results || [];
+          if (list.length > MAX_SYNC_CHANGES) {
+            list = list.slice(0, MAX_SYNC_CHANGES);
+            out.has_more = true;
+            out.cursor = String(list[list.length - 1].seq);
+          }
 
-          if (!validLocalPart(local)) return badRequest("Mail invalid");
+          const emailIds = list.filter((c) => c.kind === "email").map((c) => c.ref);
+          const aliasRefs = list.filter((c) => c.kind === "alias").map((c) => c.ref);
 
-          const allowedDomains = getAllowedDomains(env);
-          const fallbackDomain = allowedDomains[0] || env.DOMAIN || "";
+          const emailsDomain = await emailsHasDomain(env);
           const hasDomain = await aliasesHasDomain(env);
+          const lookups = await env.DB.batch([
+            ...idChunks(emailIds).map((chunk) =>
+              env.DB.prepare(
+                `SELECT ${EMAIL_LIST_COLUMNS}, ${emailsDomain ? "domain" : "NULL as domain"}
+                 FROM emails WHERE user_id = ? AND id IN (${chunk.map(() => "?").join(",")})`
+              ).bind(me.id, ...chunk)
+            ),
+            env.DB.prepare(
+              hasDomain
+                ? `SELECT local_part, domain, kind, disabled, forward_keep, subaddressing, created_at
+                   FROM aliases WHERE user_id = ?`
+                : `SELECT local_part, NULL as domain, disabled, created_at FROM aliases WHERE user_id = ?`
+            ).bind(me.id),
+          ]);
+
+          for (const r of lookups.slice(0, -1)) out.emails.push(...(r.results || []));
+          const found = new Set(out.emails.map((e) => e.id));
+          out.deleted_emails = emailIds.filter((id) => !found.has(id));
+
+          // legacy (aliases tanpa domain): cocokkan local_part saja
+          const current = new Map(
+            (lookups[lookups.length - 1].results || []).map((a) => [hasDomain ? `${a.local_part}@${a.domain}` : a.local_part, a])
+          );
+          for (const ref of aliasRefs) {
+            const a = current.get(hasDomain ? ref : ref.split("@")[0]);
+            if (a) out.aliases.push(hasDomain ? a : { ...a, domain: ref.split("@")[1] });
+            else out.deleted_aliases.push(ref);
+          }
 
-          if (hasDomain) {
-            if (!domain) return badRequest("Domain required");
+          return jsonWithEtag(request, out);
+        }
 
-            const own = await env.DB.prepare(
-              `SELECT local_part FROM aliases WHERE local_part = ? AND domain = ? AND user_id = ?`
-            )
-              .bind(local, domain, me.id)
-              .first();
+        // Export mailbox: satu alias (alias+domain) atau seluruh akun, format mbox / zip .eml
+        if (path === "/api/exports" && request.method === "GET") {
+          const rows = await env.DB.prepare(
+            `SELECT * FROM exports WHERE user_id = ? ORDER BY created_at DESC LIMIT 20`
+          )
+            .bind(me.id)
+            .all();
+          const exports = [];
+          for (const r of rows.results || []) exports.push(await exportView(env, r));
+          return json({ ok: true, exports });
+        }
 
-            if (!own) return notFound();
+        if (path === "/api/exports" && request.method === "POST") {
+          if (!env.MAIL_R2) return json({ ok: false, error: "Export butuh R2 (MAIL_R2)" }, 501);
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
 
-            await env.DB.prepare(`DELETE FROM aliases WHERE local_part = ? AND domain = ? AND user_id = ?`)
-              .bind(local, domain, me.id)
-              .run();
-          } else {
-            if (domain && fallbackDomain && domain !== fallbackDomain) return badRequest("Domain tidak diizinkan");
+          const format = String(body.format || "mbox").toLowerCase();
+          if (!EXPORT_FORMATS.includes(format)) return badRequest(`format harus salah satu dari ${EXPORT_FORMATS.join(", ")}`);
+          const local = body.alias ? String(body.alias).trim().toLowerCase() : null;
+          const domain = local ? String(body.domain || "").trim().toLowerCase() || null : null;
+          if (local && !validAliasName(local)) return badRequest("alias invalid");
 
-            const own = await env.DB.prepare(
-              `SELECT local_part FROM aliases WHERE local_part = ? AND user_id = ?`
-            )
-              .bind(local, me.id)
-              .first();
+          const emailsDomain = await emailsHasDomain(env);
+          const where = ["user_id = ?"];
+          const binds = [me.id];
+          if (local) {
+            where.push("local_part = ?");
+            binds.push(local);
+            if (emailsDomain && domain) {
+              where.push("domain = ?");
+              binds.push(domain);
+            }
+          }
+          const [cnt, active] = await env.DB.batch([
+            env.DB.prepare(`SELECT COUNT(*) as c FROM emails WHERE ${where.join(" AND ")}`).bind(...binds),
+            env.DB.prepare(`SELECT COUNT(*) as c FROM exports WHERE user_id = ? AND status IN ('pending', 'running')`).bind(me.id),
+          ]);
+          const total = Number(cnt.results?.[0]?.c ?? 0);
+          if (!total) return badRequest("Tidak ada email untuk diexport");
+          if (total > MAX_EXPORT_EMAILS) return badRequest(`Maksimal ${MAX_EXPORT_EMAILS} email per export (ada ${total})`);
+          if (Number(active.results?.[0]?.c ?? 0)) return json({ ok: false, error: "Masih ada export yang berjalan" }, 429);
 
-            if (!own) return notFound();
+          const id = crypto.randomUUID();
+          const t = nowSec();
+          const day = new Date(t * 1000).toISOString().slice(0, 10);
+          const filename = `${local ? `${local}${domain ? "@" + domain : ""}` : me.username}-${day}.${format}`;
+          await env.DB.prepare(
+            `INSERT INTO exports (id, user_id, local_part, domain, format, status, filename, created_at)
+             VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`
+          )
+            .bind(id, me.id, local, domain, format, filename, t)
+            .run();
+          ctx.waitUntil(runExport(env, id));
 
-            await env.DB.prepare(`DELETE FROM aliases WHERE local_part = ? AND user_id = ?`)
-              .bind(local, me.id)
-              .run();
-          }
+          const row = await env.DB.prepare(`SELECT * FROM exports WHERE id = ?`).bind(id).first();
+          return json({ ok: true, export: await exportView(env, row) }, 202);
+        }
+
+        const exportMatch = path.match(/^\/api\/exports\/([^/]+)$/);
+        if (exportMatch && (request.method === "GET" || request.method === "DELETE")) {
+          const id = decodeURIComponent(exportMatch[1]);
+          const row = await env.DB.prepare(`SELECT * FROM exports WHERE id = ? AND user_id = ?`).bind(id, me.id).first();
+          if (!row) return notFound();
+          if (request.method === "GET") return json({ ok: true, export: await exportView(env, row) });
 
+          if (row.status === "running") return badRequest("Export sedang diproses");
+          await env.DB.prepare(`DELETE FROM exports WHERE id = ?`).bind(id).run();
+          if (row.status === "pending") await discardExportProgress(env, row);
+          if (row.r2_key) purgeR2Keys(env, ctx, [row.r2_key]);
           return json({ ok: true });
         }
 
-        // Emails
-        if (path === "/api/emails" && request.method === "GET") {
-          const alias = (url.searchParams.get("alias") || "").trim().toLowerCase();
-          let domainParam = (url.searchParams.get("domain") || "").trim().toLowerCase();
-
-          if (!alias || !validLocalPart(alias)) return badRequest("alias required");
+        // Full-text search di email milik sendiri
+        if (path === "/api/search" && request.method === "GET") {
+          const q = (url.searchParams.get("q") || "").trim();
+          if (!q) return badRequest("q required");
+          if (q.length > MAX_SEARCH_QUERY) return badRequest("Query terlalu panjang");
+
+          const parsed = parseSearchQuery(q);
+          if (parsed.error) return badRequest(parsed.error);
+          parsed.user = null; // user: cuma untuk admin
+          const hasTerms = parsed.match || parsed.negative.length;
+          if (!hasTerms && !parsed.alias && !parsed.label && !parsed.folder && parsed.after === null && parsed.before === null) {
+            return badRequest("Kata kunci kosong");
+          }
+          return json({ ok: true, results: await searchEmails(env, me.id, parsed) });
+        }
 
-          const allowedDomains = getAllowedDomains(env);
-          const fallbackDomain = allowedDomains[0] || env.DOMAIN || "";
-          const aliasesDomain = await aliasesHasDomain(env);
-          const emailsDomain = await emailsHasDomain(env);
+        // Bulk: ids eksplisit atau filter (alias + folder/umur/label), satu D1 batch + satu purge R2
+        if (path === "/api/emails/bulk" && request.method === "POST") {
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
 
-          // Resolve ownership and canonical domain (if the aliases table has a domain column)
-          let domain = domainParam;
-          if (aliasesDomain) {
-            if (domain) {
-              const owned = await env.DB.prepare(
-                `SELECT domain FROM aliases WHERE local_part = ? AND domain = ? AND user_id = ? AND disabled = 0`
-              )
-                .bind(alias, domain, me.id)
-                .first();
+          const action = String(body.action || "");
+          if (!BULK_ACTIONS.includes(action)) return badRequest(`action harus salah satu dari ${BULK_ACTIONS.join(", ")}`);
 
-              if (!owned) return forbidden("Mail bukan milikmu / disabled");
-              domain = owned.domain;
-            } else {
-              const ownedRows = await env.DB.prepare(
-                `SELECT domain FROM aliases WHERE local_part = ? AND user_id = ? AND disabled = 0`
-              )
-                .bind(alias, me.id)
-                .all();
+          const moveTo = action === "move" ? String(body.folder || "") : null;
+          if (action === "move" && (!EMAIL_FOLDERS.includes(moveTo) || moveTo === "trash")) {
+            return badRequest("folder invalid");
+          }
+          let labels = [];
+          if (action === "label" || action === "unlabel") {
+            if (!Array.isArray(body.labels)) return badRequest("labels harus array");
+            labels = [...new Set(body.labels.map(normalizeLabel).filter(Boolean))];
+            if (!labels.length) return badRequest("labels kosong");
+            if (labels.length > MAX_LABELS_PER_EMAIL) return badRequest(`Maksimal ${MAX_LABELS_PER_EMAIL} label`);
+            if (labels.some((l) => l.length > MAX_LABEL_LENGTH)) return badRequest(`Label maksimal ${MAX_LABEL_LENGTH} karakter`);
+          }
 
-              const list = ownedRows.results || [];
-              if (list.length === 0) return forbidden("Mail bukan milikmu / disabled");
-              if (list.length > 1) return badRequest("domain required");
-              domain = list[0].domain;
+          let ids;
+          let truncated = false;
+          if (Array.isArray(body.ids)) {
+            ids = [...new Set(body.ids.map((x) => String(x)))];
+            if (!ids.length) return badRequest("ids kosong");
+            if (ids.length > MAX_BULK_IDS) return badRequest(`Maksimal ${MAX_BULK_IDS} id per request`);
+          } else if (body.filter && typeof body.filter === "object") {
+            const f = body.filter;
+            const alias = String(f.alias || "").trim().toLowerCase();
+            if (!alias || !validAliasName(alias)) return badRequest("filter.alias required");
+            const owned = await resolveOwnedAlias(env, me.id, alias, String(f.domain || "").trim().toLowerCase());
+            if (owned.error) return owned.error;
+
+            const where = ["user_id = ?", "local_part = ?"];
+            const binds = [me.id, alias];
+            if (await emailsHasDomain(env)) {
+              where.push("domain = ?");
+              binds.push(owned.domain);
             }
-          } else {
-            const owned = await env.DB.prepare(
-              `SELECT local_part FROM aliases WHERE local_part = ? AND user_id = ? AND disabled = 0`
+            if (f.folder !== undefined) {
+              if (!EMAIL_FOLDERS.includes(f.folder)) return badRequest("filter.folder invalid");
+              where.push("folder = ?");
+              binds.push(f.folder);
+            }
+            if (f.older_than_days !== undefined) {
+              const days = safeInt(f.older_than_days, NaN);
+              if (!(days >= 0)) return badRequest("filter.older_than_days invalid");
+              where.push("created_at < ?");
+              binds.push(nowSec() - Math.floor(days * 86400));
+            }
+            if (f.label) {
+              where.push("id IN (SELECT email_id FROM email_labels WHERE user_id = ? AND label = ?)");
+              binds.push(me.id, normalizeLabel(f.label));
+            }
+            if (f.unread !== undefined) where.push(f.unread ? "read_at IS NULL" : "read_at IS NOT NULL");
+
+            const rows = await env.DB.prepare(
+              `SELECT id FROM emails WHERE ${where.join(" AND ")} ORDER BY created_at ASC LIMIT ?`
             )
-              .bind(alias, me.id)
-              .first();
+              .bind(...binds, MAX_BULK_IDS + 1)
+              .all();
+            ids = (rows.results || []).map((r) => r.id);
+            truncated = ids.length > MAX_BULK_IDS;
+            if (truncated) ids = ids.slice(0, MAX_BULK_IDS);
+          } else {
+            return badRequest("ids atau filter wajib");
+          }
 
-            if (!owned) return forbidden("Mail bukan milikmu / disabled");
+          // folder sekarang tiap email (sekaligus cek kepemilikan)
+          const owned = new Map();
+          const lookups = ids.length
+            ? await env.DB.batch(
+              idChunks(ids).map((chunk) =>
+                env.DB.prepare(
+                  `SELECT id, folder FROM emails WHERE user_id = ? AND id IN (${chunk.map(() => "?").join(",")})`
+                ).bind(me.id, ...chunk)
+              )
+            )
+            : [];
+          for (const r of lookups.flatMap((l) => l.results || [])) owned.set(r.id, r.folder);
+
+          const results = new Map(ids.map((id) => [id, { id, ok: false, error: "Not found" }]));
+          const mark = (list, status) => list.forEach((id) => results.set(id, { id, ok: true, status }));
+          const targets = [...owned.keys()];
+          const stmts = [];
+          let r2Keys = [];
+
+          if (action === "delete") {
+            const permanent = body.permanent === true;
+            const toTrash = permanent ? [] : targets.filter((id) => owned.get(id) !== "trash");
+            const toDelete = permanent ? targets : targets.filter((id) => owned.get(id) === "trash");
+            stmts.push(...trashEmailsStmts(env, me.id, toTrash), ...logEmailChangesStmts(env, me.id, toTrash));
+            const plan = await prepareEmailDelete(env, me.id, toDelete);
+            stmts.push(...plan.stmts);
+            r2Keys = plan.r2Keys;
+            mark(toTrash, "trashed");
+            mark(plan.ids, "deleted");
+          } else if (action === "restore") {
+            const inTrash = targets.filter((id) => owned.get(id) === "trash");
+            stmts.push(...restoreEmailsStmts(env, me.id, inTrash), ...logEmailChangesStmts(env, me.id, inTrash));
+            targets.forEach((id) => results.set(id, { id, ok: false, error: "Tidak di Trash" }));
+            mark(inTrash, "restored");
+          } else {
+            for (const chunk of idChunks(targets)) {
+              const ph = chunk.map(() => "?").join(",");
+              const scope = `user_id = ? AND id IN (${ph})`;
+              stmts.push(logEmailChangesStmt(env, scope, [me.id, ...chunk]));
+              if (action === "read" || action === "unread") {
+                stmts.push(
+                  env.DB.prepare(`UPDATE emails SET read_at = ? WHERE ${scope}`).bind(
+                    action === "read" ? nowSec() : null,
+                    me.id,
+                    ...chunk
+                  )
+                );
+              } else if (action === "star" || action === "unstar") {
+                stmts.push(
+                  env.DB.prepare(`UPDATE emails SET starred = ? WHERE ${scope}`).bind(action === "star" ? 1 : 0, me.id, ...chunk)
+                );
+              } else if (action === "move") {
+                stmts.push(
+                  env.DB.prepare(`UPDATE emails SET folder = ?, trashed_at = NULL, trashed_from = NULL WHERE ${scope}`).bind(
+                    moveTo,
+                    me.id,
+                    ...chunk
+                  )
+                );
+              } else if (action === "label") {
+                for (const label of labels) {
+                  stmts.push(
+                    env.DB.prepare(
+                      `INSERT OR IGNORE INTO email_labels (email_id, user_id, label)
+                       SELECT id, user_id, ? FROM emails WHERE ${scope}`
+                    ).bind(label, me.id, ...chunk)
+                  );
+                }
+              } else if (action === "unlabel") {
+                stmts.push(
+                  env.DB.prepare(
+                    `DELETE FROM email_labels
+                     WHERE user_id = ? AND label IN (${labels.map(() => "?").join(",")}) AND email_id IN (${ph})`
+                  ).bind(me.id, ...labels, ...chunk)
+                );
+              }
+            }
+            mark(targets, action === "move" ? `moved:${moveTo}` : action);
           }
 
-          // Pick domain for the emails query when the emails table supports it
-          let domainForEmails = domain || fallbackDomain;
+          if (stmts.length) await env.DB.batch(stmts);
+          purgeR2Keys(env, ctx, r2Keys);
 
-          let rows;
-          if (emailsDomain) {
-            const primary = await env.DB.prepare(
-              `SELECT id, from_addr, to_addr, subject, date, created_at,
-                      substr(COALESCE(text,''), 1, 180) as snippet
-               FROM emails
-               WHERE user_id = ? AND local_part = ? AND domain = ?
-               ORDER BY created_at DESC
-               LIMIT 50`
-            )
-              .bind(me.id, alias, domainForEmails)
-              .all();
+          const list = [...results.values()];
+          const okCount = list.filter((r) => r.ok).length;
+          return json({
+            ok: true,
+            action,
+            results: list,
+            summary: { ok: okCount, failed: list.length - okCount },
+            truncated,
+          });
+        }
 
-            // Fallback: if nothing found with domain filter (mismatch/legacy data), try without domain
-            if (!primary.results || primary.results.length === 0) {
-              const alt = await env.DB.prepare(
-                `SELECT id, from_addr, to_addr, subject, date, created_at,
-                        substr(COALESCE(text,''), 1, 180) as snippet
-                 FROM emails
-                 WHERE user_id = ? AND local_part = ?
-                 ORDER BY created_at DESC
-                 LIMIT 50`
-              )
-                .bind(me.id, alias)
-                .all();
+        // Restore dari Trash ke folder asal
+        const restoreMatch = path.match(/^\/api\/emails\/([^/]+)\/restore$/);
+        if (restoreMatch && request.method === "POST") {
+          const id = decodeURIComponent(restoreMatch[1]);
+          if (!(await restoreEmails(env, me.id, [id]))) return notFound();
+          return json({ ok: true });
+        }
 
-              rows = alt;
-            } else {
-              rows = primary;
+        // Kosongkan Trash (semua, atau satu alias)
+        if (path === "/api/trash/empty" && request.method === "POST") {
+          const body = (await readJson(request)) || {};
+          const where = ["user_id = ?", "folder = 'trash'"];
+          const binds = [me.id];
+          if (body.alias) {
+            const alias = String(body.alias).trim().toLowerCase();
+            if (!validAliasName(alias)) return badRequest("alias invalid");
+            const owned = await resolveOwnedAlias(env, me.id, alias, String(body.domain || "").trim().toLowerCase());
+            if (owned.error) return owned.error;
+            where.push("local_part = ?");
+            binds.push(alias);
+            if (await emailsHasDomain(env)) {
+              where.push("domain = ?");
+              binds.push(owned.domain);
             }
-          } else {
-            rows = await env.DB.prepare(
-              `SELECT id, from_addr, to_addr, subject, date, created_at,
-                      substr(COALESCE(text,''), 1, 180) as snippet
-               FROM emails
-               WHERE user_id = ? AND local_part = ?
-               ORDER BY created_at DESC
-               LIMIT 50`
+          }
+
+          const rows = await env.DB.prepare(`SELECT id FROM emails WHERE ${where.join(" AND ")}`)
+            .bind(...binds)
+            .all();
+          const deleted = await deleteEmails(env, ctx, me.id, (rows.results || []).map((r) => r.id));
+          return json({ ok: true, deleted: deleted.length });
+        }
+
+        // Label buatan user (disimpan per email di email_labels)
+        if (path === "/api/labels" && request.method === "GET") {
+          const rows = await env.DB.prepare(
+            `SELECT label, COUNT(*) as count FROM email_labels WHERE user_id = ? GROUP BY label ORDER BY label`
+          )
+            .bind(me.id)
+            .all();
+          return jsonWithEtag(request, { ok: true, labels: rows.results || [] });
+        }
+
+        if (path.startsWith("/api/labels/") && request.method === "DELETE") {
+          const label = normalizeLabel(decodeURIComponent(path.slice("/api/labels/".length)));
+          const [, res] = await env.DB.batch([
+            logEmailChangesStmt(
+              env,
+              "user_id = ? AND id IN (SELECT email_id FROM email_labels WHERE user_id = ? AND label = ?)",
+              [me.id, me.id, label]
+            ),
+            env.DB.prepare(`DELETE FROM email_labels WHERE user_id = ? AND label = ?`).bind(me.id, label),
+          ]);
+          if (!res.meta || !res.meta.changes) return notFound();
+          return json({ ok: true, removed: res.meta.changes });
+        }
+
+        // Raw RFC 822 source (.eml) dari R2
+        const rawMatch = path.match(/^\/api\/emails\/([^/]+)\/raw$/);
+        if (rawMatch && request.method === "GET") {
+          const id = decodeURIComponent(rawMatch[1]);
+          const row = await env.DB.prepare(
+            `SELECT id, subject, raw_key FROM emails WHERE id = ? AND user_id = ?`
+          )
+            .bind(id, me.id)
+            .first();
+          if (!row) return notFound();
+          return serveRawEmail(env, row);
+        }
+
+        // Attachments (ownership dicek lewat emails.user_id)
+        const attMatch = path.match(/^\/api\/emails\/([^/]+)\/attachments(?:\/([^/]+))?$/);
+        if (attMatch && request.method === "GET") {
+          const id = decodeURIComponent(attMatch[1]);
+          const own = await env.DB.prepare(`SELECT id FROM emails WHERE id = ? AND user_id = ?`)
+            .bind(id, me.id)
+            .first();
+          if (!own) return notFound();
+
+          if (!attMatch[2]) {
+            const rows = await env.DB.prepare(
+              `SELECT id, filename, mime_type, size, content_id, disposition, created_at
+               FROM attachments WHERE email_id = ? ORDER BY created_at, rowid`
             )
-              .bind(me.id, alias)
+              .bind(id)
               .all();
+            return json({ ok: true, attachments: rows.results || [] });
           }
 
-          return json({ ok: true, emails: rows.results || [] });
+          const attId = decodeURIComponent(attMatch[2]);
+          const att = await env.DB.prepare(
+            `SELECT filename, mime_type, r2_key FROM attachments WHERE id = ? AND email_id = ?`
+          )
+            .bind(attId, id)
+            .first();
+          if (!att) return notFound();
+          if (!att.r2_key || !env.MAIL_R2) return json({ ok: false, error: "Attachment tidak tersimpan" }, 404);
+
+          const obj = await env.MAIL_R2.get(att.r2_key);
+          if (!obj) return json({ ok: false, error: "Attachment tidak tersimpan" }, 404);
+          return download(obj.body, att.mime_type, att.filename || `attachment-${attId}`);
         }
 
         if (path.startsWith("/api/emails/") && request.method === "GET") {
           const id = decodeURIComponent(path.slice("/api/emails/".length));
           const row = await env.DB.prepare(
-            `SELECT id, from_addr, to_addr, subject, date, text, html, raw_key, created_at
+            `SELECT id, from_addr, from_name, to_addr, subject, date, text, html, raw_key, created_at,
+                    envelope_from, auth_spf, auth_dkim, auth_dmarc, from_mismatch, auth_suspicious,
+                    message_id, to_list, cc_list, bcc_list, reply_to_list, headers_json, read_at, starred
              FROM emails WHERE id = ? AND user_id = ?`
           )
             .bind(id, me.id)
             .first();
 
           if (!row) return notFound();
-          return json({ ok: true, email: row });
+
+          // dibuka = dibaca
+          if (!row.read_at) {
+            row.read_at = nowSec();
+            await env.DB.batch([
+              env.DB.prepare(`UPDATE emails SET read_at = ? WHERE id = ? AND user_id = ? AND read_at IS NULL`).bind(
+                row.read_at,
+                id,
+                me.id
+              ),
+              logEmailChangesStmt(env, "id = ? AND user_id = ?", [id, me.id]),
+            ]);
+          }
+
+          const trustKey = trustedSenderKey(row);
+          const trusted = trustKey
+            ? await env.DB.prepare(`SELECT 1 as ok FROM trusted_senders WHERE user_id = ? AND sender = ?`)
+              .bind(me.id, trustKey)
+              .first()
+            : null;
+          const loadRemote = !!trusted || url.searchParams.get("images") === "1";
+          const parts = row.html ? await inlinePartUrls(env, me.id, row.id) : new Map();
+          const clean = row.html
+            ? await sanitizeEmailHtml(row.html, {
+              loadRemote,
+              cidUrl: (cid) => (parts.has(cid) ? parts.get(cid).url : null),
+            })
+            : null;
+
+          const { to_list, cc_list, bcc_list, reply_to_list, headers_json, ...email } = row;
+          return json({
+            ok: true,
+            email: {
+              ...email,
+              html: clean ? clean.html : row.html,
+              remote_blocked: clean ? clean.remoteBlocked : 0,
+              trackers: clean ? clean.trackers : 0,
+              images_loaded: loadRemote,
+              inline_parts: clean ? clean.cids.map((cid) => parts.get(cid).id) : [],
+              sender_trusted: !!trusted,
+              trust_sender: trustKey,
+              to: parseJsonArray(to_list),
+              cc: parseJsonArray(cc_list),
+              bcc: parseJsonArray(bcc_list),
+              reply_to: parseJsonArray(reply_to_list),
+              headers: parseJsonArray(headers_json),
+            },
+          });
         }
 
-        if (path.startsWith("/api/emails/") && request.method === "DELETE") {
+        // Toggle read / starred
+        if (path.startsWith("/api/emails/") && request.method === "PATCH") {
           const id = decodeURIComponent(path.slice("/api/emails/".length));
-          const row = await env.DB.prepare(`SELECT raw_key FROM emails WHERE id = ? AND user_id = ?`)
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const sets = [];
+          const binds = [];
+          if (body.read !== undefined) {
+            sets.push("read_at = ?");
+            binds.push(body.read ? nowSec() : null);
+          }
+          if (body.starred !== undefined) {
+            sets.push("starred = ?");
+            binds.push(body.starred ? 1 : 0);
+          }
+          if (body.folder !== undefined) {
+            // ke/dari Trash lewat DELETE dan /restore (supaya folder asal tercatat)
+            if (!EMAIL_FOLDERS.includes(body.folder) || body.folder === "trash") return badRequest("folder invalid");
+            sets.push("folder = ?", "trashed_at = NULL", "trashed_from = NULL");
+            binds.push(body.folder);
+          }
+          let labels = null;
+          if (body.labels !== undefined) {
+            if (!Array.isArray(body.labels)) return badRequest("labels harus array");
+            labels = [...new Set(body.labels.map(normalizeLabel).filter(Boolean))];
+            if (labels.length > MAX_LABELS_PER_EMAIL) return badRequest(`Maksimal ${MAX_LABELS_PER_EMAIL} label`);
+            if (labels.some((l) => l.length > MAX_LABEL_LENGTH)) return badRequest(`Label maksimal ${MAX_LABEL_LENGTH} karakter`);
+          }
+          if (sets.length === 0 && !labels) return badRequest("No fields");
+
+          const own = await env.DB.prepare(`SELECT id FROM emails WHERE id = ? AND user_id = ?`)
             .bind(id, me.id)
             .first();
+          if (!own) return notFound();
 
-          if (!row) return notFound();
+          const stmts = [logEmailChangesStmt(env, "id = ? AND user_id = ?", [id, me.id])];
+          if (sets.length) {
+            stmts.push(
+              env.DB.prepare(`UPDATE emails SET ${sets.join(", ")} WHERE id = ? AND user_id = ?`).bind(...binds, id, me.id)
+            );
+          }
+          if (labels) {
+            stmts.push(env.DB.prepare(`DELETE FROM email_labels WHERE email_id = ?`).bind(id));
+            for (const label of labels) {
+              stmts.push(
+                env.DB.prepare(`INSERT INTO email_labels (email_id, user_id, label) VALUES (?, ?, ?)`).bind(id, me.id, label)
+              );
+            }
+          }
+          await env.DB.batch(stmts);
 
-          await env.DB.prepare(`DELETE FROM emails WHERE id = ? AND user_id = ?`)
-            .bind(id, me.id)
-            .run();
+          const row = await env.DB.prepare(
+            `SELECT read_at, starred, folder,
+                    (SELECT group_concat(label, ',') FROM email_labels l WHERE l.email_id = emails.id) as labels
+             FROM emails WHERE id = ?`
+          )
+            .bind(id)
+            .first();
+          return json({ ok: true, ...row });
+        }
 
-          if (row.raw_key && env.MAIL_R2) ctx.waitUntil(env.MAIL_R2.delete(row.raw_key));
-          return json({ ok: true });
+        // Hapus = pindah ke Trash; yang sudah di Trash (atau ?permanent=1) dihapus permanen
+        if (path.startsWith("/api/emails/") && request.method === "DELETE") {
+          const id = decodeURIComponent(path.slice("/api/emails/".length));
+          if (url.searchParams.get("permanent") !== "1" && (await trashEmails(env, me.id, [id]))) {
+            return json({ ok: true, trashed: true });
+          }
+          const deleted = await deleteEmails(env, ctx, me.id, [id]);
+          if (!deleted.length) return notFound();
+          return json({ ok: true, trashed: false });
         }
 
         // Admin endpoints
@@ -2628,7 +8080,10 @@ export default {
           if (me.role !== "admin") return forbidden("Forbidden");
 
           const rows = await env.DB.prepare(
-            `SELECT u.id, u.username, u.email, u.role, u.alias_limit, u.disabled, u.created_at,
+            `SELECT u.id, u.username, u.email, u.role, u.alias_limit, u.pattern_limit, u.disabled, u.created_at,
+                    u.storage_quota_bytes, u.storage_policy,
+                    (SELECT COALESCE(SUM(e.size), 0) FROM emails e WHERE e.user_id = u.id)
+                      + (SELECT COALESCE(SUM(t.size), 0) FROM attachments t WHERE t.user_id = u.id AND t.r2_key IS NOT NULL) as storage_used,
                     COUNT(a.local_part) as alias_count
              FROM users u
              LEFT JOIN aliases a ON a.user_id = u.id
@@ -2640,26 +8095,64 @@ export default {
             ...u,
             created_at: new Date(u.created_at * 1000).toISOString(),
             alias_count: Number(u.alias_count || 0),
+            storage_used: Number(u.storage_used || 0),
           }));
 
-          return json({ ok: true, users });
+          return jsonWithEtag(request, { ok: true, users });
         }
 
         // NEW: Admin - Get all emails from all users
+        if (path === "/api/admin/search" && request.method === "GET") {
+          if (me.role !== "admin") return forbidden("Forbidden");
+
+          const q = (url.searchParams.get("q") || "").trim();
+          if (!q) return badRequest("q required");
+          if (q.length > MAX_SEARCH_QUERY) return badRequest("Query terlalu panjang");
+
+          const parsed = parseSearchQuery(q);
+          if (parsed.error) return badRequest(parsed.error);
+          return json({ ok: true, results: await searchEmails(env, null, parsed) });
+        }
+
         if (path === "/api/admin/emails" && request.method === "GET") {
           if (me.role !== "admin") return forbidden("Forbidden");
 
-          const rows = await env.DB.prepare(
-            `SELECT e.id, e.from_addr, e.to_addr, e.subject, e.date, e.created_at,
-                    substr(COALESCE(e.text,''), 1, 180) as snippet,
-                    u.username, u.email as user_email
-             FROM emails e
-             JOIN users u ON u.id = e.user_id
-             ORDER BY e.created_at DESC
-             LIMIT 200`
-          ).all();
+          const limit = Math.min(Math.max(Math.floor(safeInt(url.searchParams.get("limit") || PAGE_LIMIT_MAX, PAGE_LIMIT_MAX)), 1), PAGE_LIMIT_MAX);
+          const before = url.searchParams.get("before");
+          const cursor = before ? parseCursor(before) : null;
+          if (before && !cursor) return badRequest("before invalid");
+
+          const page = pageOf(
+            await env.DB.prepare(
+              `SELECT e.id, e.from_addr, e.to_addr, e.subject, e.date, e.created_at,
+                      substr(COALESCE(e.text,''), 1, 180) as snippet,
+                      u.username, u.email as user_email
+               FROM emails e
+               JOIN users u ON u.id = e.user_id
+               ${cursor ? "WHERE e.created_at < ? OR (e.created_at = ? AND e.id < ?)" : ""}
+               ORDER BY e.created_at DESC, e.id DESC
+               LIMIT ?`
+            )
+              .bind(...(cursor ? [cursor.t, cursor.t, cursor.id] : []), limit + 1)
+              .all(),
+            limit
+          );
+          const counts = await env.DB.prepare(`SELECT COUNT(*) as total FROM emails`).first();
 
-          return json({ ok: true, emails: rows.results || [] });
+          return jsonWithEtag(request, { ok: true, emails: page.rows, next_cursor: page.next_cursor, total: counts.total });
+        }
+
+        // Admin - raw .eml of any email
+        const adminRawMatch = path.match(/^\/api\/admin\/emails\/([^/]+)\/raw$/);
+        if (adminRawMatch && request.method === "GET") {
+          if (me.role !== "admin") return forbidden("Forbidden");
+
+          const id = decodeURIComponent(adminRawMatch[1]);
+          const row = await env.DB.prepare(`SELECT id, subject, raw_key FROM emails WHERE id = ?`)
+            .bind(id)
+            .first();
+          if (!row) return notFound();
+          return serveRawEmail(env, row);
         }
 
         // NEW: Admin - Get specific email with full content
@@ -2678,6 +8171,7 @@ export default {
             .first();
 
           if (!row) return notFound();
+          if (row.html) row.html = (await sanitizeEmailHtml(row.html)).html;
           return json({ ok: true, email: row });
         }
 
@@ -2691,7 +8185,7 @@ export default {
 
           const rows = hasDomain
             ? await env.DB.prepare(
-              `SELECT local_part, domain, disabled, created_at
+              `SELECT local_part, domain, kind, disabled, created_at
                FROM aliases
                WHERE user_id = ?
                ORDER BY created_at DESC`
@@ -2725,6 +8219,12 @@ export default {
 
           const alias_limit =
             body.alias_limit !== undefined ? safeInt(body.alias_limit, NaN) : undefined;
+          const pattern_limit =
+            body.pattern_limit !== undefined ? safeInt(body.pattern_limit, NaN) : undefined;
+          const storage_quota_bytes =
+            body.storage_quota_bytes !== undefined ? safeInt(body.storage_quota_bytes, NaN) : undefined;
+          const storage_policy =
+            body.storage_policy !== undefined ? String(body.storage_policy) : undefined;
           const disabled = body.disabled !== undefined ? safeInt(body.disabled, NaN) : undefined;
 
           if (
@@ -2733,6 +8233,21 @@ export default {
           ) {
             return badRequest("alias_limit invalid");
           }
+          if (
+            pattern_limit !== undefined &&
+            (!Number.isFinite(pattern_limit) || pattern_limit < 0 || pattern_limit > 1000)
+          ) {
+            return badRequest("pattern_limit invalid");
+          }
+          if (
+            storage_quota_bytes !== undefined &&
+            (!Number.isInteger(storage_quota_bytes) || storage_quota_bytes < 0)
+          ) {
+            return badRequest("storage_quota_bytes invalid");
+          }
+          if (storage_policy !== undefined && !STORAGE_POLICIES.includes(storage_policy)) {
+            return badRequest("storage_policy invalid");
+          }
           if (disabled !== undefined && !(disabled === 0 || disabled === 1)) {
             return badRequest("disabled invalid");
           }
@@ -2743,6 +8258,18 @@ export default {
             sets.push("alias_limit = ?");
             binds.push(alias_limit);
           }
+          if (pattern_limit !== undefined) {
+            sets.push("pattern_limit = ?");
+            binds.push(pattern_limit);
+          }
+          if (storage_quota_bytes !== undefined) {
+            sets.push("storage_quota_bytes = ?");
+            binds.push(storage_quota_bytes);
+          }
+          if (storage_policy !== undefined) {
+            sets.push("storage_policy = ?");
+            binds.push(storage_policy);
+          }
           if (disabled !== undefined) {
             sets.push("disabled = ?");
             binds.push(disabled);
@@ -2756,6 +8283,48 @@ export default {
           return json({ ok: true });
         }
 
+        // Admin - global settings
+        if (path === "/api/admin/settings" && request.method === "GET") {
+          if (me.role !== "admin") return forbidden("Forbidden");
+          return json({ ok: true, settings: await getSettings(env) });
+        }
+
+        if (path === "/api/admin/settings" && request.method === "PATCH") {
+          if (me.role !== "admin") return forbidden("Forbidden");
+
+          const body = await readJson(request);
+          if (!body) return badRequest("JSON required");
+
+          const stmts = [];
+          const t = nowSec();
+          if (body.allow_pattern_overlap !== undefined) {
+            const v = safeInt(body.allow_pattern_overlap, NaN);
+            if (!(v === 0 || v === 1)) return badRequest("allow_pattern_overlap invalid");
+            stmts.push(
+              env.DB.prepare(
+                `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+                 ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`
+              ).bind("allow_pattern_overlap", String(v), t)
+            );
+          }
+          if (body.trash_retention_days !== undefined) {
+            const v = safeInt(body.trash_retention_days, NaN);
+            if (!Number.isInteger(v) || v < 0 || v > MAX_TRASH_RETENTION_DAYS) {
+              return badRequest(`trash_retention_days harus 0-${MAX_TRASH_RETENTION_DAYS}`);
+            }
+            stmts.push(
+              env.DB.prepare(
+                `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+                 ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`
+              ).bind("trash_retention_days", String(v), t)
+            );
+          }
+          if (stmts.length === 0) return badRequest("No fields");
+
+          await env.DB.batch(stmts);
+          return json({ ok: true, settings: await getSettings(env) });
+        }
+
         // NEW: delete user (admin)
         if (path.startsWith("/api/admin/users/") && request.method === "DELETE") {
           if (me.role !== "admin") return forbidden("Forbidden");
@@ -2789,8 +8358,25 @@ export default {
     return notFound();
   },
 
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      (async () => {
+        await ensureColumns(env);
+        if (event.cron !== EXPORT_CRON) {
+          const purged = await purgeTrash(env, ctx);
+          if (purged) console.log("trash purge:", purged);
+          const pruned = await pruneChangeLog(env);
+          if (pruned) console.log("change log prune:", pruned);
+        }
+        const expired = await maintainExports(env, ctx);
+        if (expired) console.log("export cleanup:", expired);
+      })().catch((e) => console.log("scheduled error:", e && e.stack ? e.stack : e))
+    );
+  },
+
   async email(message, env, ctx) {
     try {
+      await ensureColumns(env);
       const allowedDomains = getAllowedDomains(env);
       const hasAliasDomain = await aliasesHasDomain(env);
       const hasEmailDomain = await emailsHasDomain(env);
@@ -2808,35 +8394,34 @@ export default {
         return;
       }
 
-      const row = hasAliasDomain
-        ? await env.DB.prepare(
-          `SELECT a.local_part as local_part, a.domain as domain, a.user_id as user_id, a.disabled as alias_disabled,
-                  u.disabled as user_disabled
-           FROM aliases a
-           JOIN users u ON u.id = a.user_id
-           WHERE a.local_part = ? AND a.domain = ?`
-        )
-          .bind(local, toDomain)
-          .first()
-        : await env.DB.prepare(
-          `SELECT a.local_part as local_part, a.user_id as user_id, a.disabled as alias_disabled,
-                  u.disabled as user_disabled
-           FROM aliases a
-           JOIN users u ON u.id = a.user_id
-           WHERE a.local_part = ?`
-        )
-          .bind(local)
-          .first();
+      const { row, tag } = await resolveRecipient(env, hasAliasDomain, local, toDomain);
 
       if (!row || row.alias_disabled || row.user_disabled) {
         message.setReject("Unknown recipient");
         return;
       }
 
+      if (hasAliasDomain) {
+        const ruleReject = await checkSenderRules(env, message, row);
+        if (ruleReject) {
+          message.setReject(ruleReject);
+          return;
+        }
+      }
+
+      // Forward & auto-reply baru jalan setelah size, quota dan rule reject/delete lolos,
+      // supaya email yang akhirnya ditolak/dihapus tidak sempat terkirim keluar.
+      const forwardTo = hasAliasDomain ? await aliasForwardAddresses(env, row) : [];
+      let store = !(forwardTo.length && row.forward_keep === 0);
+
       const maxStore = safeInt(env.MAX_STORE_BYTES, 262144);
-      if (message.rawSize && message.rawSize > maxStore) {
-        message.setReject("Message too large");
-        return;
+      if (store && message.rawSize && message.rawSize > maxStore) {
+        // ada forward -> cukup tidak disimpan, jangan bounce ke pengirim
+        if (!forwardTo.length) {
+          message.setReject("Message too large");
+          return;
+        }
+        store = false;
       }
 
       const ab = await new Response(message.raw).arrayBuffer();
@@ -2853,10 +8438,68 @@ export default {
         parsed.from && parsed.from.address ? parsed.from.address : message.from || "";
       const toAddr = message.to || "";
 
+      const messageId = parseMessageIds(parsed.messageId)[0] || null;
+      const inReplyTo = parseMessageIds(parsed.inReplyTo)[0] || null;
+      const references = parsed.references ? String(parsed.references).slice(0, 4000) : null;
+      const threadId = await resolveThreadId(env, row.user_id, id, messageId, inReplyTo, references);
+
+      const envelopeFrom = message.from || "";
+      const auth = parseAuthResults(parsed.headers, authServIds(env));
+      const fromMismatch = fromDomainsAligned(envelopeFrom, fromAddr) ? 0 : 1;
+      const suspicious = isAuthSuspicious(auth, fromMismatch);
+
       const maxTextChars = safeInt(env.MAX_TEXT_CHARS, 200000);
       const text = (parsed.text || "").slice(0, maxTextChars);
       const htmlPart = (parsed.html || "").slice(0, maxTextChars);
 
+      const otpCode = extractOtp(subject, text || htmlToText(htmlPart));
+      const verifyLink = extractVerifyLink(htmlPart, text);
+
+      const toList = flattenAddresses(parsed.to);
+      const ccList = flattenAddresses(parsed.cc);
+      const attachmentsList = Array.isArray(parsed.attachments) ? parsed.attachments : [];
+      const ruleOutcome = await applyMailRules(
+        env,
+        row,
+        ruleMessage({
+          fromAddr,
+          fromName: parsed.from && parsed.from.name,
+          toAddrs: [toAddr, ...toList.map((a) => a.address), ...ccList.map((a) => a.address)],
+          subject,
+          text,
+          hasAttachment: attachmentsList.some((a) => isListedAttachment(a, htmlPart)),
+          size: ab.byteLength || message.rawSize || 0,
+        })
+      );
+      if (ruleOutcome.reject) {
+        message.setReject(ruleOutcome.reject);
+        return;
+      }
+      if (ruleOutcome.delete) {
+        // hanya forward yang diminta rule itu sendiri; forward alias & auto-reply tidak
+        await forwardMessage(message, ruleOutcome.forwardTo);
+        return;
+      }
+
+      // attachment disimpan lagi sebagai objek R2 sendiri -> ikut masuk hitungan kuota
+      const attachmentBytes = env.MAIL_R2
+        ? attachmentsList.reduce((n, a) => n + (a.content instanceof ArrayBuffer ? a.content.byteLength : 0), 0)
+        : 0;
+      if (store && !(await makeRoomForEmail(env, ctx, row, (message.rawSize || 0) + attachmentBytes))) {
+        if (!forwardTo.length) {
+          message.setReject("Mailbox full (storage quota exceeded)");
+          return;
+        }
+        store = false;
+      }
+
+      const forwardAll = [...new Set([...forwardTo, ...ruleOutcome.forwardTo])];
+      if (!store) {
+        await forwardMessage(message, forwardAll);
+        if (hasAliasDomain) await sendAutoReply(env, message, row, suspicious);
+        return;
+      }
+
       let raw_key = null;
       if (env.MAIL_R2) {
         raw_key = `emails/${id}.eml`;
@@ -2865,51 +8508,77 @@ export default {
         );
       }
 
-      if (hasEmailDomain) {
-        const storeDomain = row.domain || toDomain || fallbackDomain;
-        await env.DB.prepare(
-          `INSERT INTO emails
-           (id, local_part, domain, user_id, from_addr, to_addr, subject, date, text, html, raw_key, size, created_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-        )
-          .bind(
-            id,
-            row.local_part,
-            storeDomain,
-            row.user_id,
-            fromAddr,
-            toAddr,
-            subject,
-            date,
-            text,
-            htmlPart,
-            raw_key,
-            ab.byteLength || message.rawSize || 0,
-            t
-          )
-          .run();
-      } else {
-        await env.DB.prepare(
-          `INSERT INTO emails
-           (id, local_part, user_id, from_addr, to_addr, subject, date, text, html, raw_key, size, created_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-        )
-          .bind(
-            id,
-            row.local_part,
-            row.user_id,
-            fromAddr,
-            toAddr,
-            subject,
-            date,
-            text,
-            htmlPart,
-            raw_key,
-            ab.byteLength || message.rawSize || 0,
-            t
-          )
-          .run();
+      const record = {
+        id,
+        local_part: row.local_part,
+        user_id: row.user_id,
+        from_addr: fromAddr,
+        to_addr: toAddr,
+        subject,
+        date,
+        text,
+        html: htmlPart,
+        raw_key,
+        size: ab.byteLength || message.rawSize || 0,
+        tag,
+        envelope_from: envelopeFrom,
+        auth_spf: auth.spf,
+        auth_dkim: auth.dkim,
+        auth_dmarc: auth.dmarc,
+        from_mismatch: fromMismatch,
+        auth_suspicious: suspicious ? 1 : 0,
+        from_name: (parsed.from && parsed.from.name) || null,
+        to_list: addressListJson(parsed.to),
+        cc_list: addressListJson(parsed.cc),
+        bcc_list: addressListJson(parsed.bcc),
+        reply_to_list: addressListJson(parsed.replyTo),
+        headers_json: headersJson(parsed.headers),
+        message_id: messageId,
+        in_reply_to: inReplyTo,
+        msg_references: references,
+        thread_id: threadId,
+        otp_code: otpCode,
+        verify_link: verifyLink,
+        folder: ruleOutcome.skipInbox ? "archive" : "inbox",
+        read_at: ruleOutcome.markRead ? t : null,
+        created_at: t,
+      };
+      if (hasEmailDomain) record.domain = row.domain || toDomain || fallbackDomain;
+
+      const cols = Object.keys(record);
+      // satu batch: kalau change_log/label gagal, email juga batal -> retry pengirim tidak bikin duplikat
+      await env.DB.batch([
+        env.DB.prepare(
+          `INSERT INTO emails (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`
+        ).bind(...Object.values(record)),
+        logEmailChangesStmt(env, "id = ?", [id]),
+        ...ruleOutcome.labels.map((label) =>
+          env.DB.prepare(`INSERT OR IGNORE INTO email_labels (email_id, user_id, label) VALUES (?, ?, ?)`)
+            .bind(id, row.user_id, label)
+        ),
+      ]);
+      await indexEmailForSearch(env, record);
+
+      ctx.waitUntil(fireEmailWebhooks(env, record));
+      ctx.waitUntil(
+        notifyUser(env, row.user_id, {
+          type: "email",
+          id,
+          alias: record.local_part,
+          domain: record.domain || null,
+          folder: record.folder,
+        })
+      );
+
+      try {
+        await storeAttachments(env, ctx, id, row.user_id, attachmentsList, t);
+      } catch (e) {
+        // email sudah tersimpan; jangan reject gara-gara attachment
+        console.log("store attachments error:", e && e.stack ? e.stack : e);
       }
+
+      await forwardMessage(message, forwardAll);
+      if (hasAliasDomain) await sendAutoReply(env, message, row, suspicious);
     } catch (e) {
       console.log("email handler error:", e && e.stack ? e.stack : e);
       message.setReject("Temporary processing error");